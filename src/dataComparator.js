@@ -3,11 +3,25 @@ const { Client } = pkg;
 import chalk from 'chalk';
 import ora from 'ora';
 import { DumpParser } from './dumpParser.js';
+import {
+  qualifyName,
+  objectKey,
+  splitObjectKey,
+  parseSchemaOption,
+  parseTableFilter,
+  matchesTableFilter
+} from './schemaUtils.js';
+import { SchemaMapper } from './schemaMapper.js';
+import { TransactionAbortedError } from './transactionManager.js';
+import { IgnoreRules } from './ignoreRules.js';
+import { SeverityClassifier } from './severityClassifier.js';
 
 export class DataComparator {
   constructor() {
     this.sourceClient = null;
     this.targetClient = null;
+    this.schemaMapper = new SchemaMapper();
+    this.severityClassifier = new SeverityClassifier();
   }
 
   /**
@@ -23,7 +37,8 @@ export class DataComparator {
       connectionTimeoutMillis: timeoutMs,
       query_timeout: queryTimeoutMs,
       statement_timeout: queryTimeoutMs,
-      idle_in_transaction_session_timeout: timeoutMs
+      idle_in_transaction_session_timeout: timeoutMs,
+      lock_timeout: options.lockTimeout
     };
 
     // First try with SSL
@@ -78,22 +93,20 @@ export class DataComparator {
     let cloudData, edgeData;
     let commonTables = [];
 
-    // Parse table filter - supports both "table" and "schema.table" formats
-    let tableFilter = null;
-    if (options.tables && options.tables.length > 0) {
-      tableFilter = options.tables.map(t => {
-        if (t.includes('.')) {
-          const [tableSchema, tableName] = t.split('.');
-          // If schema matches, use just the table name
-          if (tableSchema === schema) {
-            return tableName;
-          }
-          // If different schema, we'll skip this table for this schema
-          return null;
-        }
-        return t;
-      }).filter(t => t !== null);
-    }
+    // Şema listesi (null: tüm şemalar) ve tablo filtresi ("table" veya "schema.table")
+    const schemas = parseSchemaOption(schema);
+    const tableFilter = parseTableFilter(options.tables);
+
+    // Edge şema eşlemesi (ör. public -> site_042), tablolar Cloud adlarıyla eşleştirilir
+    this.schemaMapper = new SchemaMapper(options.schemaMap);
+    const edgeSchemas = schemas && schemas.map(name => this.schemaMapper.toEdge(name));
+
+    // Bölümlü tablolar: 'parent' ebeveyn tablo üzerinden, 'each' her bölüm ayrı karşılaştırılır
+    const partitionMode = options.partitions || 'parent';
+
+    // Kabul edilmiş farklar (.pdiignore)
+    const ignoreRules = options.ignoreRules || new IgnoreRules();
+    ignoreRules.reset();
 
     try {
       // Cloud kaynağını belirle (DB veya dump)
@@ -101,7 +114,7 @@ export class DataComparator {
         spinner = ora('Cloud dump dosyası parse ediliyor...').start();
         const cloudParser = new DumpParser();
         await cloudParser.parseDumpFile(options.cloudDump);
-        cloudData = cloudParser.getDataInfo();
+        cloudData = cloudParser.getDataInfo(schemas, partitionMode);
         spinner.succeed('Cloud dump dosyası parse edildi');
       } else {
         spinner = ora('Cloud veritabanına bağlanılıyor...').start();
@@ -114,7 +127,10 @@ export class DataComparator {
         spinner = ora('Edge dump dosyası parse ediliyor...').start();
         const edgeParser = new DumpParser();
         await edgeParser.parseDumpFile(options.edgeDump);
-        edgeData = edgeParser.getDataInfo();
+        edgeData = Object.fromEntries(
+          Object.entries(edgeParser.getDataInfo(edgeSchemas, partitionMode))
+            .map(([table, data]) => [this.schemaMapper.mapKey(table, this.schemaMapper.edgeToCloud), data])
+        );
         spinner.succeed('Edge dump dosyası parse edildi');
       } else {
         spinner = ora('Edge veritabanına bağlanılıyor...').start();
@@ -131,13 +147,14 @@ export class DataComparator {
         commonTables = cloudTables.filter(table => edgeTables.includes(table));
       } else {
         // En az bir taraf DB ise, mevcut metodu kullan
-        commonTables = await this.getCommonTables(schema, tableFilter);
+        commonTables = await this.getCommonTables(schemas, edgeSchemas, partitionMode);
       }
 
-      // Apply table filter if provided (for dump sources)
-      if (tableFilter && tableFilter.length > 0) {
-        commonTables = commonTables.filter(table => tableFilter.includes(table));
-      }
+      // Tablo filtresini uygula (anahtarlar schema.table biçiminde)
+      commonTables = commonTables.filter(table => {
+        const { schema: tableSchema, name } = splitObjectKey(table);
+        return matchesTableFilter(tableFilter, tableSchema, name);
+      });
 
       spinner.succeed(`${commonTables.length} ortak tablo bulundu`);
 
@@ -149,11 +166,15 @@ export class DataComparator {
         },
         tableResults: [],
         insertQueries: [],
+        sequenceFixQueries: [],
         executionLog: []
       };
 
       // Her tablo için veri karşılaştırması yap
       for (const tableName of commonTables) {
+        // Her iki yönde yok sayılan tablolar hiç okunmaz, tek fark olarak sayılır
+        if (ignoreRules.suppress('table', tableName, 'both')) continue;
+
         spinner.start(`${tableName} tablosu karşılaştırılıyor...`);
 
         let tableResult;
@@ -162,8 +183,10 @@ export class DataComparator {
           tableResult = await this.compareDumpTableData(tableName, cloudData, edgeData);
         } else {
           // En az bir taraf DB ise, karma karşılaştırma yap
-          tableResult = await this.compareTableData(tableName, schema, options, cloudData, edgeData);
+          const { schema: tableSchema, name } = splitObjectKey(tableName);
+          tableResult = await this.compareTableData(name, tableSchema, options, cloudData, edgeData);
         }
+        this.applyIgnoreRules(tableResult, ignoreRules);
         results.tableResults.push(tableResult);
 
         if (tableResult.hasDifferences) {
@@ -173,11 +196,16 @@ export class DataComparator {
           // INSERT SQL'leri oluştur
           const insertQueries = this.generateInsertQueries(tableName, tableResult);
           results.insertQueries.push(...insertQueries);
+          results.sequenceFixQueries.push(...this.generateSequenceFixQueries(insertQueries));
         }
 
         spinner.succeed(`${tableName} tablosu tamamlandı`);
       }
 
+      results.ignored = ignoreRules.isEmpty() ? null : ignoreRules.getSummary();
+
+      // Farkların önem derecesi (rapor ve --fail-on için)
+      results.severity = this.severityClassifier.classifyDataComparison(results);
       return results;
 
     } catch (error) {
@@ -195,41 +223,28 @@ export class DataComparator {
   }
 
   /**
-   * Ortak tabloları bulur
-   * @param {string} schema - Schema name
-   * @param {string[]|null} tables - Optional array of specific tables to filter
+   * Ortak tabloları schema.table anahtarlarıyla bulur (Edge tabloları Cloud şema adlarıyla)
+   * @param {string[]|null} schemas - Schema names, null for every non-system schema
+   * @param {string[]|null} edgeSchemas - Mapped Edge schema names
+   * @param {string} partitionMode - 'parent': partitioned tables as a whole, 'each': every partition on its own
    */
-  async getCommonTables(schema, tables = null) {
-    let sourceTablesQuery;
-    let queryParams;
-
-    if (tables && tables.length > 0) {
-      const placeholders = tables.map((_, i) => `$${i + 2}`).join(', ');
-      sourceTablesQuery = `
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = $1 
-        AND table_type = 'BASE TABLE'
-        AND table_name IN (${placeholders})
-        ORDER BY table_name
-      `;
-      queryParams = [schema, ...tables];
-    } else {
-      sourceTablesQuery = `
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = $1 
-        AND table_type = 'BASE TABLE'
-        ORDER BY table_name
-      `;
-      queryParams = [schema];
-    }
-
-    const cloudResult = await this.cloudClient.query(sourceTablesQuery, queryParams);
-    const edgeResult = await this.edgeClient.query(sourceTablesQuery, queryParams);
+  async getCommonTables(schemas = null, edgeSchemas = schemas, partitionMode = 'parent') {
+    // 'parent' modunda bölümler, 'each' modunda bölümlü ebeveynler (relkind p) atlanır
+    const sourceTablesQuery = `
+      SELECT n.nspname AS table_schema, c.relname AS table_name
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p')
+      AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+      AND ($1::text[] IS NULL OR n.nspname = ANY($1))
+      AND CASE WHEN $2::text = 'each' THEN c.relkind = 'r' ELSE NOT c.relispartition END
+      ORDER BY n.nspname, c.relname
+    `;
+    const cloudResult = await this.cloudClient.query(sourceTablesQuery, [schemas, partitionMode]);
+    const edgeResult = await this.edgeClient.query(sourceTablesQuery, [edgeSchemas, partitionMode]);
 
-    const cloudTables = new Set(cloudResult.rows.map(row => row.table_name));
-    const edgeTables = new Set(edgeResult.rows.map(row => row.table_name));
+    const cloudTables = new Set(cloudResult.rows.map(row => objectKey(row.table_schema, row.table_name)));
+    const edgeTables = new Set(edgeResult.rows.map(row => objectKey(this.schemaMapper.toCloud(row.table_schema), row.table_name)));
 
     return Array.from(cloudTables).filter(table => edgeTables.has(table));
   }
@@ -238,8 +253,9 @@ export class DataComparator {
    * Tablo verilerini karşılaştırır
    */
   async compareTableData(tableName, schema, options = {}, cloudData = null, edgeData = null) {
+    const tableKey = objectKey(schema, tableName);
     const result = {
-      tableName,
+      tableName: tableKey,
       hasDifferences: false,
       missingInCloud: [],
       missingInEdge: [],
@@ -256,7 +272,7 @@ export class DataComparator {
         pkColumns = await this.getPrimaryKeyColumns(tableName, schema);
       } else {
         // Sadece dump varsa basit çıkarsama yap
-        const sampleData = cloudData?.[tableName]?.records?.[0] || edgeData?.[tableName]?.records?.[0];
+        const sampleData = cloudData?.[tableKey]?.records?.[0] || edgeData?.[tableKey]?.records?.[0];
         if (sampleData?.id !== undefined) {
           pkColumns = ['id'];
         } else if (sampleData) {
@@ -278,7 +294,7 @@ export class DataComparator {
 
       // Cloud verilerini al (DB veya dump)
       if (options.cloudDump && cloudData) {
-        cloudRows = cloudData[tableName]?.records || [];
+        cloudRows = cloudData[tableKey]?.records || [];
       } else {
         // Büyük tablolar için sayfalama kullan
         cloudRows = await this.getTableDataWithPagination(this.cloudClient, tableName, schema, pkColumns, options);
@@ -287,10 +303,10 @@ export class DataComparator {
 
       // Edge verilerini al (DB veya dump)
       if (options.edgeDump && edgeData) {
-        edgeRows = edgeData[tableName]?.records || [];
+        edgeRows = edgeData[tableKey]?.records || [];
       } else {
         // Büyük tablolar için sayfalama kullan
-        edgeRows = await this.getTableDataWithPagination(this.edgeClient, tableName, schema, pkColumns, options);
+        edgeRows = await this.getTableDataWithPagination(this.edgeClient, tableName, this.schemaMapper.toEdge(schema), pkColumns, options);
       }
       result.totalEdgeRecords = edgeRows.length;
 
@@ -345,6 +361,42 @@ export class DataComparator {
     return result;
   }
 
+  /**
+   * Kabul edilmiş farkları tablo sonucundan çıkarır: yöne göre tablo kuralları
+   * eksik kayıtları, sütun kuralları INSERT'e girecek sütunları düşürür
+   */
+  applyIgnoreRules(tableResult, ignoreRules) {
+    if (ignoreRules.isEmpty()) return tableResult;
+
+    // missingInEdge kayıtları Cloud'dan Edge'e, missingInCloud kayıtları Edge'den Cloud'a gider
+    const directions = [
+      { list: 'missingInEdge', direction: 'cloud-to-edge' },
+      { list: 'missingInCloud', direction: 'edge-to-cloud' }
+    ];
+
+    for (const { list, direction } of directions) {
+      const records = tableResult[list];
+      if (records.length === 0) continue;
+
+      // Her kayıt ayrı bir fark olarak sayılır
+      if (ignoreRules.suppress('table', tableResult.tableName, direction, records.length)) {
+        tableResult[list] = [];
+        continue;
+      }
+
+      const ignoredColumns = Object.keys(records[0])
+        .filter(column => ignoreRules.suppress('column', `${tableResult.tableName}.${column}`, direction));
+      if (ignoredColumns.length > 0) {
+        tableResult[list] = records.map(record => Object.fromEntries(
+          Object.entries(record).filter(([column]) => !ignoredColumns.includes(column))
+        ));
+      }
+    }
+
+    tableResult.hasDifferences = tableResult.missingInCloud.length > 0 || tableResult.missingInEdge.length > 0;
+    return tableResult;
+  }
+
   /**
    * Büyük tablolar için sayfalama ile veri alma
    */
@@ -364,7 +416,7 @@ export class DataComparator {
       while (retryCount < maxRetries) {
         try {
           const query = `
-            SELECT * FROM "${schema}"."${tableName}" 
+            SELECT * FROM ${qualifyName(schema, tableName)} 
             ORDER BY ${pkColumns.map(col => `"${col}"`).join(', ')}
             LIMIT ${batchSize} OFFSET ${offset}
           `;
@@ -538,6 +590,8 @@ export class DataComparator {
    */
   generateInsertQueries(tableName, tableResult) {
     const queries = [];
+    const { schema, name } = splitObjectKey(tableName);
+    const edgeTable = objectKey(schema && this.schemaMapper.toEdge(schema), name);
 
     // Cloud'da olup Edge'de olmayan kayıtlar için INSERT (Edge'e eklenecek)
     if (tableResult.missingInEdge.length > 0) {
@@ -547,10 +601,11 @@ export class DataComparator {
         return `(${values.join(', ')})`;
       });
 
-      const insertQuery = `INSERT INTO "${tableName}" (${columns.map(col => `"${col}"`).join(', ')}) VALUES ${valuesList.join(', ')};`;
+      const insertQuery = `INSERT INTO ${qualifyName(schema && this.schemaMapper.toEdge(schema), name)} (${columns.map(col => `"${col}"`).join(', ')}) VALUES ${valuesList.join(', ')};`;
       queries.push({
         type: 'INSERT_TO_EDGE',
         tableName,
+        targetTable: edgeTable,
         recordCount: tableResult.missingInEdge.length,
         query: insertQuery,
         description: 'Cloud\'dan Edge\'e eksik kayıtlar'
@@ -565,10 +620,11 @@ export class DataComparator {
         return `(${values.join(', ')})`;
       });
 
-      const insertQuery = `INSERT INTO "${tableName}" (${columns.map(col => `"${col}"`).join(', ')}) VALUES ${valuesList.join(', ')};`;
+      const insertQuery = `INSERT INTO ${qualifyName(schema, name)} (${columns.map(col => `"${col}"`).join(', ')}) VALUES ${valuesList.join(', ')};`;
       queries.push({
         type: 'INSERT_TO_CLOUD',
         tableName,
+        targetTable: tableName,
         recordCount: tableResult.missingInCloud.length,
         query: insertQuery,
         description: 'Edge\'den Cloud\'a eksik kayıtlar'
@@ -578,6 +634,48 @@ export class DataComparator {
     return queries;
   }
 
+  /**
+   * Kayıt eklenen tabloların sequence'larını en büyük anahtarın ötesine taşıyan SQL'leri oluşturur.
+   * Açık id ile eklenen kayıtlardan sonra nextval çakışmasın diye kullanılır;
+   * sequence sadece ileri alınır, geri çekilmez.
+   */
+  generateSequenceFixQueries(insertQueries) {
+    return insertQueries.map(queryInfo => {
+      const { schema, name } = splitObjectKey(queryInfo.targetTable || queryInfo.tableName);
+      const table = `'${qualifyName(schema, name).replace(/'/g, "''")}'`;
+      const query = [
+        'DO $$',
+        'DECLARE',
+        '  r record;',
+        '  max_value bigint;',
+        '  current_value bigint;',
+        'BEGIN',
+        '  FOR r IN',
+        `    SELECT a.attname, pg_get_serial_sequence(${table}, a.attname) AS sequence_name`,
+        '    FROM pg_attribute a',
+        `    WHERE a.attrelid = ${table}::regclass`,
+        '    AND a.attnum > 0',
+        '    AND NOT a.attisdropped',
+        `    AND pg_get_serial_sequence(${table}, a.attname) IS NOT NULL`,
+        '  LOOP',
+        `    EXECUTE format('SELECT MAX(%I)::bigint FROM %s', r.attname, ${table}) INTO max_value;`,
+        `    EXECUTE format('SELECT last_value FROM %s', r.sequence_name) INTO current_value;`,
+        '    IF max_value IS NOT NULL AND max_value >= current_value THEN',
+        '      PERFORM setval(r.sequence_name, max_value);',
+        '    END IF;',
+        '  END LOOP;',
+        'END $$;'
+      ].join('\n');
+
+      return {
+        type: queryInfo.type === 'INSERT_TO_EDGE' ? 'SETVAL_IN_EDGE' : 'SETVAL_IN_CLOUD',
+        tableName: queryInfo.tableName,
+        query,
+        description: 'Eklenen kayıtlardan sonra sequence düzeltmesi'
+      };
+    });
+  }
+
   /**
    * SQL değerlerini formatlar
    */
@@ -649,7 +747,7 @@ export class DataComparator {
     const cloudQueries = insertQueries.filter(q => q.type === 'INSERT_TO_CLOUD');
     if (cloudQueries.length > 0) {
       console.log(chalk.cyan('🌐 Cloud veritabanına kayıtlar ekleniyor...'));
-      const cloudResult = await this.executeInsertQueries(cloudQueries, cloudUrl, options);
+      const cloudResult = await this.executeInsertQueries(cloudQueries, cloudUrl, { ...options, targetLabel: 'Cloud' });
       results.cloudResults = cloudResult;
       results.success += cloudResult.success;
       results.failed += cloudResult.failed;
@@ -660,7 +758,7 @@ export class DataComparator {
     const edgeQueries = insertQueries.filter(q => q.type === 'INSERT_TO_EDGE');
     if (edgeQueries.length > 0) {
       console.log(chalk.cyan('🏢 Edge veritabanına kayıtlar ekleniyor...'));
-      const edgeResult = await this.executeInsertQueries(edgeQueries, edgeUrl, options);
+      const edgeResult = await this.executeInsertQueries(edgeQueries, edgeUrl, { ...options, targetLabel: 'Edge' });
       results.edgeResults = edgeResult;
       results.success += edgeResult.success;
       results.failed += edgeResult.failed;
@@ -671,7 +769,8 @@ export class DataComparator {
   }
 
   /**
-   * INSERT SQL'lerini hedef veritabanına uygular
+   * INSERT SQL'lerini hedef veritabanına uygular.
+   * options.transaction (TransactionManager) verilirse SQL'ler onun transaction'ında çalışır.
    */
   async executeInsertQueries(insertQueries, targetUrl, options = {}) {
     const results = {
@@ -680,8 +779,11 @@ export class DataComparator {
       errors: []
     };
 
+    let client;
     try {
-      const client = await this.createClient(targetUrl, options);
+      if (!options.transaction) {
+        client = await this.createClient(targetUrl, options);
+      }
 
       if (options.dryRun) {
         console.log(chalk.yellow('🔍 DRY RUN MODE - SQL\'ler çalıştırılmayacak'));
@@ -690,10 +792,11 @@ export class DataComparator {
 
       for (const queryInfo of insertQueries) {
         try {
-          await client.query(queryInfo.query);
+          await this.runQuery(client, queryInfo, targetUrl, options.targetLabel, options);
           results.success++;
           console.log(chalk.green(`✅ ${queryInfo.tableName} tablosuna ${queryInfo.recordCount} kayıt eklendi`));
         } catch (error) {
+          if (error instanceof TransactionAbortedError) throw error;
           results.failed++;
           results.errors.push({
             table: queryInfo.tableName,
@@ -704,14 +807,82 @@ export class DataComparator {
       }
 
     } catch (error) {
+      if (error instanceof TransactionAbortedError) throw error;
       throw new Error(`Veritabanı bağlantı hatası: ${error.message}`);
     } finally {
-      await client.end();
+      if (client) {
+        await client.end();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Sequence düzeltmelerini uygun veritabanlarında çalıştırır
+   */
+  async executeSequenceFixQueries(fixQueries, cloudUrl, edgeUrl, options = {}) {
+    const results = {
+      cloudResults: { success: 0, failed: 0, errors: [] },
+      edgeResults: { success: 0, failed: 0, errors: [] }
+    };
+
+    const targets = [
+      { key: 'cloudResults', type: 'SETVAL_IN_CLOUD', url: cloudUrl, label: 'Cloud' },
+      { key: 'edgeResults', type: 'SETVAL_IN_EDGE', url: edgeUrl, label: 'Edge' }
+    ];
+
+    for (const target of targets) {
+      const queries = fixQueries.filter(q => q.type === target.type);
+      if (queries.length === 0 || !target.url) continue;
+
+      if (options.dryRun) {
+        console.log(chalk.yellow(`🔍 DRY RUN MODE - ${queries.length} sequence düzeltmesi çalıştırılmayacak`));
+        continue;
+      }
+
+      let client;
+      try {
+        if (!options.transaction) {
+          client = await this.createClient(target.url, options);
+        }
+
+        for (const queryInfo of queries) {
+          try {
+            await this.runQuery(client, queryInfo, target.url, target.label, options);
+            results[target.key].success++;
+            console.log(chalk.green(`✅ ${queryInfo.tableName} tablosunun sequence'ları güncellendi`));
+          } catch (error) {
+            if (error instanceof TransactionAbortedError) throw error;
+            results[target.key].failed++;
+            results[target.key].errors.push({
+              table: queryInfo.tableName,
+              error: error.message
+            });
+            console.log(chalk.red(`❌ ${queryInfo.tableName} sequence düzeltmesi hatası: ${error.message}`));
+          }
+        }
+      } finally {
+        if (client) {
+          await client.end();
+        }
+      }
     }
 
     return results;
   }
 
+  /**
+   * Tek bir SQL'i çalıştırır, transaction modunda TransactionManager üzerinden
+   */
+  async runQuery(client, queryInfo, url, label, options = {}) {
+    if (options.transaction) {
+      await options.transaction.run({ url, label, name: queryInfo.tableName, statements: [queryInfo.query] });
+    } else {
+      await client.query(queryInfo.query);
+    }
+  }
+
   /**
    * SQL dosyası oluşturur
    */
@@ -731,10 +902,28 @@ export class DataComparator {
     return sqlContent;
   }
 
+  /**
+   * Sequence düzeltme SQL dosyası oluşturur (missing-records.sql'den sonra çalıştırılmalı)
+   */
+  generateSequenceFixFile(fixQueries) {
+    return [
+      '-- Otomatik oluşturulan sequence düzeltmeleri',
+      '-- missing-records.sql çalıştırıldıktan sonra uygulanmalıdır',
+      `-- Oluşturulma tarihi: ${new Date().toISOString()}`,
+      '',
+      ...fixQueries.map(q => [
+        `-- ${q.type} - ${q.tableName}`,
+        q.query,
+        ''
+      ].join('\n'))
+    ].join('\n');
+  }
+
   /**
    * Organize edilmiş klasör yapısında dosyalar oluşturur
+   * @param {object|null} severity - Farkların önem derecesi, özet raporuna yazılır
    */
-  async generateOrganizedOutput(insertQueries, baseOutputPath = process.env.OUTPUT_DIR || 'output') {
+  async generateOrganizedOutput(insertQueries, baseOutputPath = process.env.OUTPUT_DIR || 'output', severity = null) {
     const fs = await import('fs/promises');
 
     // Ana klasörleri oluştur
@@ -746,6 +935,11 @@ export class DataComparator {
     if (cloudToEdgeQueries.length > 0) {
       const sqlContent = this.generateSqlFile(cloudToEdgeQueries, 'cloud-to-edge.sql');
       await fs.writeFile(`${baseOutputPath}/cloud-to-edge/missing-records.sql`, sqlContent, 'utf8');
+      await fs.writeFile(
+        `${baseOutputPath}/cloud-to-edge/sequence-fixups.sql`,
+        this.generateSequenceFixFile(this.generateSequenceFixQueries(cloudToEdgeQueries)),
+        'utf8'
+      );
 
       // JSON raporu da oluştur
       const jsonReport = {
@@ -767,6 +961,11 @@ export class DataComparator {
     if (edgeToCloudQueries.length > 0) {
       const sqlContent = this.generateSqlFile(edgeToCloudQueries, 'edge-to-cloud.sql');
       await fs.writeFile(`${baseOutputPath}/edge-to-cloud/missing-records.sql`, sqlContent, 'utf8');
+      await fs.writeFile(
+        `${baseOutputPath}/edge-to-cloud/sequence-fixups.sql`,
+        this.generateSequenceFixFile(this.generateSequenceFixQueries(edgeToCloudQueries)),
+        'utf8'
+      );
 
       // JSON raporu da oluştur
       const jsonReport = {
@@ -798,6 +997,7 @@ export class DataComparator {
           records: edgeToCloudQueries.reduce((sum, q) => sum + q.recordCount, 0)
         }
       },
+      severity,
       details: insertQueries
     };
 
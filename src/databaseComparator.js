@@ -4,11 +4,183 @@ import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs/promises';
 import { DumpParser } from './dumpParser.js';
+import { SchemaSnapshot } from './schemaSnapshot.js';
+import { MigrationGenerator } from './migrationGenerator.js';
+import { ViewComparator } from './viewComparator.js';
+import { RoutineComparator } from './routineComparator.js';
+import { SequenceComparator } from './sequenceComparator.js';
+import { TypeComparator } from './typeComparator.js';
+import { ExtensionComparator } from './extensionComparator.js';
+import { SecurityComparator } from './securityComparator.js';
+import { SchemaMapper } from './schemaMapper.js';
+import { RenameDetector } from './renameDetector.js';
+import { RoleMapper } from './roleMapper.js';
+import { DependencyGraph } from './dependencyGraph.js';
+import { TransactionAbortedError } from './transactionManager.js';
+import { IgnoreRules } from './ignoreRules.js';
+import { SeverityClassifier } from './severityClassifier.js';
+import {
+  qualifyName,
+  objectKey,
+  parseSchemaOption,
+  parseTableFilter,
+  matchesTableFilter,
+  sortBySchema,
+  parseArrayValue,
+  getDatabaseSchemas
+} from './schemaUtils.js';
+
+// pg_constraint referential action and match type codes
+const FK_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT'
+};
+
+const FK_MATCH_TYPES = {
+  f: 'FULL',
+  p: 'PARTIAL',
+  s: 'SIMPLE'
+};
+
+// pg_constraint types compared through the generic constraint list
+const CONSTRAINT_TYPES = {
+  c: 'CHECK',
+  u: 'UNIQUE',
+  x: 'EXCLUDE'
+};
+
+// Phases of missing table creation, each phase runs for every table before the next one starts
+const CREATE_PHASES = [
+  { key: 'table', label: 'Tables' },
+  { key: 'constraint', label: 'Constraints' },
+  { key: 'index', label: 'Indexes' },
+  { key: 'deferred', label: 'Deferred foreign keys (reference cycles)' }
+];
+
+// Schema output files per direction, in execution order.
+// Entries without a file are written into the file of the entry that lists them in leadingPrefixes.
+const SCHEMA_OUTPUT_FILES = [
+  {
+    prefix: 'SCHEMA',
+    key: 'schemas',
+    nameKey: 'schemaName',
+    detailSuffix: 'Schemas',
+    file: 'schemas.sql',
+    header: 'Auto-generated CREATE SCHEMA SQLs',
+    description: direction => `Schemas missing in ${direction.target} database`
+  },
+  {
+    prefix: 'EXTENSION',
+    key: 'extensions',
+    nameKey: 'extensionName',
+    detailSuffix: 'Extensions',
+    file: null
+  },
+  {
+    prefix: 'TYPE',
+    key: 'types',
+    nameKey: 'typeName',
+    detailSuffix: 'Types',
+    file: 'types.sql',
+    header: 'Auto-generated enum, domain and composite type SQLs',
+    description: direction => `Types missing or different in ${direction.target} database`
+  },
+  {
+    prefix: 'SEQUENCE',
+    key: 'sequences',
+    nameKey: 'sequenceName',
+    detailSuffix: 'Sequences',
+    file: 'sequences.sql',
+    header: 'Auto-generated sequence SQLs',
+    description: direction => `Sequences missing or different in ${direction.target} database`
+  },
+  {
+    prefix: 'CREATE',
+    key: 'tables',
+    nameKey: 'tableName',
+    detailSuffix: '',
+    file: 'missing-tables.sql',
+    leadingPrefixes: ['EXTENSION'],
+    phased: true,
+    header: 'Auto-generated CREATE TABLE SQLs',
+    description: direction => `Tables missing in ${direction.target} database`
+  },
+  {
+    prefix: 'ALTER',
+    key: 'migrations',
+    nameKey: 'tableName',
+    detailSuffix: 'Migrations',
+    file: 'table-migrations.sql',
+    header: 'Auto-generated ALTER TABLE SQLs',
+    description: direction => `Migrates ${direction.target} tables to match ${direction.source}`
+  },
+  {
+    prefix: 'FUNCTION',
+    key: 'routines',
+    nameKey: 'routineName',
+    detailSuffix: 'Routines',
+    file: 'functions.sql',
+    header: 'Auto-generated function and procedure SQLs',
+    description: direction => `Functions missing or different in ${direction.target} database`
+  },
+  {
+    prefix: 'VIEW',
+    key: 'views',
+    nameKey: 'viewName',
+    detailSuffix: 'Views',
+    file: 'views.sql',
+    header: 'Auto-generated view SQLs',
+    description: direction => `Views missing or different in ${direction.target} database`
+  },
+  {
+    prefix: 'TRIGGER',
+    key: 'triggers',
+    nameKey: 'triggerName',
+    detailSuffix: 'Triggers',
+    file: 'triggers.sql',
+    header: 'Auto-generated trigger SQLs',
+    description: direction => `Triggers missing or different in ${direction.target} database`
+  },
+  {
+    prefix: 'SECURITY',
+    key: 'security',
+    nameKey: 'objectName',
+    detailSuffix: 'Security',
+    file: 'security.sql',
+    header: 'Auto-generated GRANT/REVOKE, row level security and policy SQLs',
+    description: direction => `Privileges and policies missing or different in ${direction.target} database`
+  }
+];
+
+/**
+ * Group catalog rows of many relations by their table_oid column
+ * @returns {Map} Relation oid -> rows, in query order
+ */
+function groupRows(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.table_oid)) groups.set(row.table_oid, []);
+    groups.get(row.table_oid).push(row);
+  }
+  return groups;
+}
 
 export class DatabaseComparator {
   constructor() {
     this.sourceClient = null;
     this.targetClient = null;
+    this.migrationGenerator = new MigrationGenerator();
+    this.viewComparator = new ViewComparator(this);
+    this.routineComparator = new RoutineComparator();
+    this.sequenceComparator = new SequenceComparator();
+    this.typeComparator = new TypeComparator();
+    this.extensionComparator = new ExtensionComparator();
+    this.securityComparator = new SecurityComparator();
+    this.renameDetector = new RenameDetector();
+    this.severityClassifier = new SeverityClassifier();
   }
 
   /**
@@ -24,7 +196,8 @@ export class DatabaseComparator {
       connectionTimeoutMillis: timeoutMs,
       query_timeout: queryTimeoutMs,
       statement_timeout: queryTimeoutMs,
-      idle_in_transaction_session_timeout: timeoutMs
+      idle_in_transaction_session_timeout: timeoutMs,
+      lock_timeout: options.lockTimeout
     };
 
     // First try with SSL
@@ -85,7 +258,8 @@ export class DatabaseComparator {
       connectionTimeoutMillis: timeoutMs,
       query_timeout: queryTimeoutMs,
       statement_timeout: queryTimeoutMs,
-      idle_in_transaction_session_timeout: timeoutMs
+      idle_in_transaction_session_timeout: timeoutMs,
+      lock_timeout: options.lockTimeout
     };
 
     // Add SSL configuration
@@ -141,30 +315,36 @@ export class DatabaseComparator {
     let spinner;
     let sourceSchema, targetSchema;
 
-    // Parse table filter - supports both "table" and "schema.table" formats
-    let tableFilter = null;
-    if (dumpOptions.tables && dumpOptions.tables.length > 0) {
-      tableFilter = dumpOptions.tables.map(t => {
-        if (t.includes('.')) {
-          const [tableSchema, tableName] = t.split('.');
-          // If schema matches, use just the table name
-          if (tableSchema === schema) {
-            return tableName;
-          }
-          // If different schema, we'll skip this table for this schema
-          return null;
-        }
-        return t;
-      }).filter(t => t !== null);
-    }
+    // Schema list ("public,billing" or "all") and table filter ("table" or "schema.table")
+    const requestedSchemas = parseSchemaOption(schema);
+    const tableFilter = parseTableFilter(dumpOptions.tables);
+    const selectSchemas = available => requestedSchemas
+      ? requestedSchemas.filter(name => available.includes(name))
+      : available;
+
+    // Edge side is read under its mapped schema names (e.g. public -> site_042)
+    const schemaMapper = new SchemaMapper(dumpOptions.schemaMap);
+    const selectEdgeSchemas = available => requestedSchemas
+      ? requestedSchemas.map(name => schemaMapper.toEdge(name)).filter(name => available.includes(name))
+      : available;
+    const edgeTableFilter = tableFilter && tableFilter.map(entry => ({
+      ...entry,
+      schema: entry.schema && schemaMapper.toEdge(entry.schema)
+    }));
 
     try {
-      // Determine cloud source (DB or dump)
-      if (dumpOptions.cloudDump) {
+      // Determine cloud source (DB, dump or snapshot)
+      if (dumpOptions.cloudSnapshot) {
+        spinner = ora('Loading cloud schema snapshot...').start();
+        const cloudSnapshot = new SchemaSnapshot();
+        const metadata = await cloudSnapshot.readSnapshotFile(dumpOptions.cloudSnapshot);
+        sourceSchema = cloudSnapshot.getSchemaInfo(selectSchemas(cloudSnapshot.getSchemas()), tableFilter);
+        spinner.succeed(`Cloud schema snapshot loaded (taken ${metadata.createdAt})`);
+      } else if (dumpOptions.cloudDump) {
         spinner = ora('Parsing cloud dump file...').start();
         const cloudParser = new DumpParser();
         await cloudParser.parseDumpFile(dumpOptions.cloudDump);
-        sourceSchema = cloudParser.getSchemaInfo();
+        sourceSchema = cloudParser.getSchemaInfo(selectSchemas(cloudParser.getSchemas()));
         spinner.succeed('Cloud dump file parsed');
       } else {
         spinner = ora('Connecting to cloud database...').start();
@@ -172,16 +352,27 @@ export class DatabaseComparator {
         spinner.succeed('Cloud database connection successful');
 
         spinner.start('Getting cloud schema information...');
-        sourceSchema = await this.getSchemaInfo(this.sourceClient, schema, tableFilter);
+        const cloudSchemas = selectSchemas(await getDatabaseSchemas(this.sourceClient));
+        const cloudTimings = {};
+        sourceSchema = await this.getSchemaInfo(this.sourceClient, cloudSchemas, tableFilter, cloudTimings);
         spinner.succeed('Cloud schema information retrieved');
+        if (verbose) {
+          console.log(chalk.gray(`   ⏱️  ${this.formatTimings(cloudTimings)}`));
+        }
       }
 
-      // Determine edge source (DB or dump)
-      if (dumpOptions.edgeDump) {
+      // Determine edge source (DB, dump or snapshot)
+      if (dumpOptions.edgeSnapshot) {
+        spinner = ora('Loading edge schema snapshot...').start();
+        const edgeSnapshot = new SchemaSnapshot();
+        const metadata = await edgeSnapshot.readSnapshotFile(dumpOptions.edgeSnapshot);
+        targetSchema = edgeSnapshot.getSchemaInfo(selectEdgeSchemas(edgeSnapshot.getSchemas()), edgeTableFilter);
+        spinner.succeed(`Edge schema snapshot loaded (taken ${metadata.createdAt})`);
+      } else if (dumpOptions.edgeDump) {
         spinner = ora('Parsing edge dump file...').start();
         const edgeParser = new DumpParser();
         await edgeParser.parseDumpFile(dumpOptions.edgeDump);
-        targetSchema = edgeParser.getSchemaInfo();
+        targetSchema = edgeParser.getSchemaInfo(selectEdgeSchemas(edgeParser.getSchemas()));
         spinner.succeed('Edge dump file parsed');
       } else {
         spinner = ora('Connecting to edge database...').start();
@@ -189,13 +380,25 @@ export class DatabaseComparator {
         spinner.succeed('Edge database connection successful');
 
         spinner.start('Getting edge schema information...');
-        targetSchema = await this.getSchemaInfo(this.targetClient, schema, tableFilter);
+        const edgeSchemas = selectEdgeSchemas(await getDatabaseSchemas(this.targetClient));
+        const edgeTimings = {};
+        targetSchema = await this.getSchemaInfo(this.targetClient, edgeSchemas, edgeTableFilter, edgeTimings);
         spinner.succeed('Edge schema information retrieved');
+        if (verbose) {
+          console.log(chalk.gray(`   ⏱️  ${this.formatTimings(edgeTimings)}`));
+        }
       }
 
       // Perform comparison
       spinner.start('Performing comparison...');
-      const comparison = this.compareSchemas(sourceSchema, targetSchema, verbose);
+      const comparison = this.compareSchemas(sourceSchema, schemaMapper.normalizeEdgeSchemaInfo(targetSchema), verbose, {
+        renameMap: dumpOptions.renameMap,
+        applyRenames: dumpOptions.applyRenames,
+        renameThreshold: dumpOptions.renameThreshold,
+        roleMap: dumpOptions.roleMap,
+        ignoreRules: dumpOptions.ignoreRules
+      });
+      this.applySchemaMap(comparison, schemaMapper);
       spinner.succeed('Comparison completed');
 
       return comparison;
@@ -214,177 +417,484 @@ export class DatabaseComparator {
     }
   }
 
+  /**
+   * Read the schema information of one database and write it to a snapshot file
+   * @param {string} url - Database connection URL
+   * @param {string} filePath - Snapshot file
+   * @param {string|string[]} schema - Schema name(s), or "all"
+   * @param {object} options - { tables, verbose } and connection options
+   */
+  async createSnapshot(url, filePath, schema = 'public', options = {}) {
+    let spinner;
+    let client;
+    const requestedSchemas = parseSchemaOption(schema);
+    const tableFilter = parseTableFilter(options.tables);
+
+    try {
+      spinner = ora('Connecting to database...').start();
+      client = await this.createClient(url, options);
+      spinner.succeed('Database connection successful');
+
+      spinner.start('Getting schema information...');
+      const available = await getDatabaseSchemas(client);
+      const schemas = requestedSchemas ? requestedSchemas.filter(name => available.includes(name)) : available;
+      const timings = {};
+      const schemaInfo = await this.getSchemaInfo(client, schemas, tableFilter, timings);
+      spinner.succeed('Schema information retrieved');
+      if (options.verbose) {
+        console.log(chalk.gray(`   ⏱️  ${this.formatTimings(timings)}`));
+      }
+
+      return await new SchemaSnapshot().writeSnapshotFile(filePath, schemaInfo, url);
+
+    } catch (error) {
+      spinner.fail('Error occurred');
+      throw error;
+    } finally {
+      if (client) {
+        await client.end();
+      }
+    }
+  }
+
+  /**
+   * Point Edge-bound queries of a comparison at the mapped Edge schemas
+   */
+  applySchemaMap(comparison, schemaMapper) {
+    if (schemaMapper.isEmpty()) return;
+
+    comparison.schemaMap = schemaMapper.cloudToEdge;
+    for (const key of Object.keys(comparison)) {
+      if (key.endsWith('Queries') && Array.isArray(comparison[key])) {
+        comparison[key] = schemaMapper.mapEdgeQueries(comparison[key]);
+      }
+    }
+  }
+
   /**
    * Get database schema information
    * @param {object} client - Database client
-   * @param {string} schema - Schema name
-   * @param {string[]|null} tables - Optional array of specific tables to include
+   * @param {string|string[]} schemas - Schema name(s) to read
+   * @param {object[]|null} tableFilter - Optional parsed table filter (see parseTableFilter)
+   * @param {object|null} timings - Optional object that receives the milliseconds spent per object category
+   */
+  async getSchemaInfo(client, schemas, tableFilter = null, timings = null) {
+    return this.withCatalogSearchPath(client, () => this.readSchemaInfo(client, schemas, tableFilter, timings));
+  }
+
+  /**
+   * Read the catalog with search_path set to pg_catalog only. Catalog text (pg_get_expr,
+   * pg_get_viewdef, pg_get_triggerdef, format_type) leaves out the schema of objects on the
+   * search_path, so Cloud would report 'new'::status_enum where an Edge mapped to site_042
+   * reports 'new'::site_042.status_enum. With pg_catalog only, every reference is qualified
+   * on both sides and can be compared and mapped. The previous search_path is restored.
    */
-  async getSchemaInfo(client, schema, tables = null) {
+  async withCatalogSearchPath(client, read) {
+    const { rows } = await client.query('SHOW search_path');
+    const previous = rows[0]?.search_path;
+    await client.query('SET search_path = pg_catalog');
+    try {
+      return await read();
+    } finally {
+      if (previous !== undefined) {
+        await client.query("SELECT set_config('search_path', $1, false)", [previous]);
+      }
+    }
+  }
+
+  async readSchemaInfo(client, schemas, tableFilter, timings) {
     const schemaInfo = {
       totalTables: 0,
+      schemas: [],
       tableList: [],
-      tables: {}
+      tables: {},
+      views: [],
+      routines: [],
+      triggers: [],
+      sequences: [],
+      types: [],
+      extensions: [],
+      security: {
+        schemas: [],
+        relations: [],
+        privileges: [],
+        defaultPrivileges: [],
+        rowSecurity: [],
+        policies: []
+      }
     };
 
-    // Get table list
-    let tablesQuery;
-    let queryParams;
-
-    if (tables && tables.length > 0) {
-      // Filter by specific tables
-      const placeholders = tables.map((_, i) => `$${i + 2}`).join(', ');
-      tablesQuery = `
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = $1 
-        AND table_type = 'BASE TABLE'
-        AND table_name IN (${placeholders})
-        ORDER BY table_name
-      `;
-      queryParams = [schema, ...tables];
-    } else {
-      tablesQuery = `
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = $1 
-        AND table_type = 'BASE TABLE'
-        ORDER BY table_name
-      `;
-      queryParams = [schema];
+    schemaInfo.schemas = [].concat(schemas);
+
+    // Get tables of every schema with a fixed number of catalog queries
+    const tableList = await this.timeStep(timings, 'tables', () => this.getTables(client, schemaInfo.schemas, tableFilter));
+    for (const tableInfo of tableList) {
+      schemaInfo.tableList.push(tableInfo);
+      schemaInfo.tables[objectKey(tableInfo.schema, tableInfo.name)] = tableInfo;
     }
 
-    const tablesResult = await client.query(tablesQuery, queryParams);
-    schemaInfo.totalTables = tablesResult.rows.length;
+    // Schemas with a table selected by the filter; the other objects are read for all of
+    // them at once, like the tables, and grouped by schema in memory
+    const selectedSchemas = tableFilter
+      ? schemaInfo.schemas.filter(schema => tableFilter.some(entry => !entry.schema || entry.schema === schema))
+      : schemaInfo.schemas;
+
+    if (selectedSchemas.length > 0) {
+      // Get views and materialized views
+      schemaInfo.views = await this.timeStep(timings, 'views', () => this.viewComparator.getViews(client, selectedSchemas, tableFilter));
+
+      // Get functions, procedures and triggers of the selected tables and views (INSTEAD OF triggers)
+      const relationKeys = [
+        ...tableList.map(tableInfo => objectKey(tableInfo.schema, tableInfo.name)),
+        ...schemaInfo.views.map(view => view.name)
+      ];
+      schemaInfo.routines = await this.timeStep(timings, 'routines', () => this.routineComparator.getRoutines(client, selectedSchemas));
+      schemaInfo.triggers = await this.timeStep(timings, 'triggers', () => this.routineComparator.getTriggers(client, selectedSchemas, relationKeys));
+
+      // Get sequences (identity sequences are part of the column definition)
+      schemaInfo.sequences = await this.timeStep(timings, 'sequences', () => this.sequenceComparator.getSequences(client, selectedSchemas, tableFilter));
+
+      // Get enums, domains and composite types
+      schemaInfo.types = await this.timeStep(timings, 'types', () => this.typeComparator.getTypes(client, selectedSchemas));
+
+      // Get privileges, row level security flags and policies
+      const security = await this.timeStep(timings, 'security', () => this.securityComparator.getSecurity(client, selectedSchemas, tableFilter));
+      schemaInfo.security = { ...schemaInfo.security, schemas: selectedSchemas, ...security };
+    }
 
-    // Get detailed information for each table
-    for (const row of tablesResult.rows) {
-      const tableName = row.table_name;
-      const tableInfo = await this.getTableInfo(client, tableName, schema);
+    schemaInfo.totalTables = schemaInfo.tableList.length;
 
-      schemaInfo.tableList.push(tableInfo);
-      schemaInfo.tables[tableName] = tableInfo;
-    }
+    // Get installed extensions (database wide)
+    schemaInfo.extensions = await this.timeStep(timings, 'extensions', () => this.extensionComparator.getExtensions(client));
+
+    // Get global and per-schema default privileges
+    schemaInfo.security.defaultPrivileges = await this.timeStep(timings, 'security', () => this.securityComparator.getDefaultPrivileges(client, schemaInfo.schemas));
 
     return schemaInfo;
   }
 
   /**
-   * Get detailed table information
+   * Run one introspection step, adding its duration to timings[category] when timings are collected
+   */
+  async timeStep(timings, category, step) {
+    const startedAt = Date.now();
+    const result = await step();
+    if (timings) {
+      timings[category] = (timings[category] || 0) + Date.now() - startedAt;
+    }
+    return result;
+  }
+
+  /**
+   * Format introspection timings for verbose output, e.g. "tables 420ms, views 35ms (total 512ms)"
+   */
+  formatTimings(timings) {
+    const entries = Object.entries(timings);
+    const total = entries.reduce((sum, [, ms]) => sum + ms, 0);
+    return `${entries.map(([category, ms]) => `${category} ${ms}ms`).join(', ')} (total ${total}ms)`;
+  }
+
+  /**
+   * Get detailed information of a single table, null when it does not exist
    */
   async getTableInfo(client, tableName, schema) {
-    const tableInfo = {
-      name: tableName,
-      columns: [],
-      primaryKeys: [],
-      foreignKeys: [],
-      indexes: []
-    };
+    const [tableInfo] = await this.withCatalogSearchPath(client, () => this.getTables(client, [schema], [{ schema, name: tableName }]));
+    return tableInfo || null;
+  }
 
-    // Get column information
-    const columnsQuery = `
+  /**
+   * Get detailed information of the tables of the given schemas.
+   * Columns, constraints, indexes and partitions of all tables are read at once and
+   * grouped in memory, so the number of queries does not grow with the number of tables.
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names to read
+   * @param {object[]|null} tableFilter - Optional parsed table filter (see parseTableFilter)
+   */
+  async getTables(client, schemas, tableFilter = null) {
+    // Ordinary and partitioned tables, partitions are read with their parent.
+    // reltuples is the planner's row estimate (-1 when never analyzed), used by rename detection.
+    const tablesQuery = `
       SELECT 
-        column_name,
-        data_type,
-        is_nullable,
-        column_default,
-        character_maximum_length,
-        numeric_precision,
-        numeric_scale
-      FROM information_schema.columns 
-      WHERE table_schema = $1 
-      AND table_name = $2
-      ORDER BY ordinal_position
+        c.oid AS table_oid,
+        n.nspname AS schema_name,
+        c.relname AS table_name,
+        c.reltuples::bigint AS estimate,
+        pg_get_partkeydef(c.oid) AS partition_key
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1)
+      AND c.relkind IN ('r', 'p')
+      AND NOT c.relispartition
+      ORDER BY c.relname
     `;
 
-    const columnsResult = await client.query(columnsQuery, [schema, tableName]);
-    tableInfo.columns = columnsResult.rows.map(col => ({
-      name: col.column_name,
-      dataType: col.data_type,
-      nullable: col.is_nullable === 'YES',
-      defaultValue: col.column_default,
-      maxLength: col.character_maximum_length,
-      precision: col.numeric_precision,
-      scale: col.numeric_scale
-    }));
+    const tablesResult = await client.query(tablesQuery, [schemas]);
+    const tableRows = sortBySchema(
+      tablesResult.rows.filter(row => matchesTableFilter(tableFilter, row.schema_name, row.table_name)),
+      schemas
+    );
+    if (tableRows.length === 0) return [];
 
-    // Get primary keys
-    const primaryKeysQuery = `
-      SELECT kcu.column_name
-      FROM information_schema.table_constraints tc
-      JOIN information_schema.key_column_usage kcu 
-        ON tc.constraint_name = kcu.constraint_name
-      WHERE tc.constraint_type = 'PRIMARY KEY' 
-      AND tc.table_schema = $1 
-      AND tc.table_name = $2
-      ORDER BY kcu.ordinal_position
-    `;
+    const tableIds = tableRows.map(row => row.table_oid);
 
-    const primaryKeysResult = await client.query(primaryKeysQuery, [schema, tableName]);
-    tableInfo.primaryKeys = primaryKeysResult.rows.map(row => row.column_name);
+    // Columns with the fields information_schema.columns would report.
+    // formatted_type is the runnable type name from format_type, e.g. character varying(20)[];
+    // user-defined types (and arrays of them) are schema-qualified so that the DDL does not depend on search_path.
+    const columnsQuery = `
+      SELECT 
+        a.attrelid AS table_oid,
+        a.attname AS column_name,
+        CASE
+          WHEN bt.oid IS NOT NULL THEN
+            CASE
+              WHEN bt.typelem <> 0 AND bt.typlen = -1 THEN 'ARRAY'
+              WHEN bn.nspname = 'pg_catalog' THEN format_type(bt.oid, NULL)
+              ELSE 'USER-DEFINED'
+            END
+          WHEN t.typelem <> 0 AND t.typlen = -1 THEN 'ARRAY'
+          WHEN tn.nspname = 'pg_catalog' THEN format_type(t.oid, NULL)
+          ELSE 'USER-DEFINED'
+        END AS data_type,
+        COALESCE(bt.typname, t.typname) AS udt_name,
+        COALESCE(bn.nspname, tn.nspname) AS udt_schema,
+        CASE WHEN bt.oid IS NOT NULL THEN t.typname END AS domain_name,
+        CASE WHEN bt.oid IS NOT NULL THEN tn.nspname END AS domain_schema,
+        NOT (a.attnotnull OR (t.typtype = 'd' AND t.typnotnull)) AS is_nullable,
+        CASE WHEN a.attgenerated = '' THEN pg_get_expr(ad.adbin, ad.adrelid) END AS column_default,
+        CASE WHEN a.attgenerated <> '' THEN pg_get_expr(ad.adbin, ad.adrelid) END AS generation_expression,
+        information_schema._pg_char_max_length(information_schema._pg_truetypid(a.*, t.*), information_schema._pg_truetypmod(a.*, t.*))::integer AS character_maximum_length,
+        information_schema._pg_numeric_precision(information_schema._pg_truetypid(a.*, t.*), information_schema._pg_truetypmod(a.*, t.*))::integer AS numeric_precision,
+        information_schema._pg_numeric_scale(information_schema._pg_truetypid(a.*, t.*), information_schema._pg_truetypmod(a.*, t.*))::integer AS numeric_scale,
+        co.collname AS collation_name,
+        CASE a.attidentity WHEN 'a' THEN 'ALWAYS' WHEN 'd' THEN 'BY DEFAULT' END AS identity_generation,
+        format_type(a.atttypid, a.atttypmod) AS formatted_type,
+        COALESCE(en.nspname, tn.nspname) AS type_schema,
+        COALESCE(et.typname, t.typname) AS type_name,
+        et.oid IS NOT NULL AS is_array
+      FROM pg_attribute a
+      JOIN pg_type t ON t.oid = a.atttypid
+      JOIN pg_namespace tn ON tn.oid = t.typnamespace
+      LEFT JOIN pg_type bt ON t.typtype = 'd' AND bt.oid = t.typbasetype
+      LEFT JOIN pg_namespace bn ON bn.oid = bt.typnamespace
+      LEFT JOIN pg_type et ON et.oid = t.typelem AND t.typcategory = 'A'
+      LEFT JOIN pg_namespace en ON en.oid = et.typnamespace
+      LEFT JOIN pg_attrdef ad ON ad.adrelid = a.attrelid AND ad.adnum = a.attnum
+      LEFT JOIN pg_collation co ON co.oid = a.attcollation
+        AND NOT (co.collnamespace = 'pg_catalog'::regnamespace AND co.collname = 'default')
+      WHERE a.attrelid = ANY($1::oid[])
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      ORDER BY a.attrelid, a.attnum
+    `;
 
-    // Get foreign keys
-    const foreignKeysQuery = `
+    // Primary keys, foreign keys, CHECK, UNIQUE and EXCLUDE constraints, keeping column order.
+    // Column names are cast to text: node-pg returns name[] as an unparsed literal.
+    const constraintsQuery = `
       SELECT 
-        tc.constraint_name,
-        kcu.column_name,
-        ccu.table_name AS foreign_table_name,
-        ccu.column_name AS foreign_column_name
-      FROM information_schema.table_constraints AS tc 
-      JOIN information_schema.key_column_usage AS kcu
-        ON tc.constraint_name = kcu.constraint_name
-      JOIN information_schema.constraint_column_usage AS ccu
-        ON ccu.constraint_name = tc.constraint_name
-      WHERE tc.constraint_type = 'FOREIGN KEY' 
-      AND tc.table_schema = $1
-      AND tc.table_name = $2
+        con.conrelid AS table_oid,
+        con.conname AS constraint_name,
+        con.contype AS constraint_type,
+        pg_get_constraintdef(con.oid) AS definition,
+        ARRAY(
+          SELECT a.attname::text
+          FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        ) AS columns,
+        rn.nspname AS referenced_schema,
+        rt.relname AS referenced_table,
+        ARRAY(
+          SELECT a.attname::text
+          FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        ) AS referenced_columns,
+        con.confdeltype AS on_delete,
+        con.confupdtype AS on_update,
+        con.confmatchtype AS match_type,
+        con.condeferrable AS is_deferrable,
+        con.condeferred AS is_deferred,
+        con.convalidated AS is_validated
+      FROM pg_constraint con
+      LEFT JOIN pg_class rt ON rt.oid = con.confrelid
+      LEFT JOIN pg_namespace rn ON rn.oid = rt.relnamespace
+      WHERE con.conrelid = ANY($1::oid[])
+      AND con.contype IN ('p', 'f', 'c', 'u', 'x')
+      ORDER BY con.conname
     `;
 
-    const foreignKeysResult = await client.query(foreignKeysQuery, [schema, tableName]);
-    const fkMap = {};
+    // Partitions of the partitioned tables with their bounds
+    const partitionsQuery = `
+      SELECT 
+        i.inhparent AS table_oid,
+        cn.nspname AS partition_schema,
+        c.relname AS partition_name,
+        pg_get_expr(c.relpartbound, c.oid) AS partition_bound,
+        pg_get_partkeydef(c.oid) AS subpartition_key
+      FROM pg_inherits i
+      JOIN pg_class c ON c.oid = i.inhrelid AND c.relispartition
+      JOIN pg_namespace cn ON cn.oid = c.relnamespace
+      WHERE i.inhparent = ANY($1::oid[])
+      ORDER BY c.relname
+    `;
 
-    foreignKeysResult.rows.forEach(row => {
-      if (!fkMap[row.constraint_name]) {
-        fkMap[row.constraint_name] = {
-          name: row.constraint_name,
-          columns: [],
-          referencedTable: row.foreign_table_name,
-          referencedColumns: []
-        };
-      }
-      fkMap[row.constraint_name].columns.push(row.column_name);
-      fkMap[row.constraint_name].referencedColumns.push(row.foreign_column_name);
+    const columnsResult = await client.query(columnsQuery, [tableIds]);
+    const constraintsResult = await client.query(constraintsQuery, [tableIds]);
+    const partitionsResult = await client.query(partitionsQuery, [tableIds]);
+    const indexes = await this.getIndexes(client, tableIds);
+
+    const columns = groupRows(columnsResult.rows);
+    const constraints = groupRows(constraintsResult.rows);
+    const partitions = groupRows(partitionsResult.rows);
+
+    return tableRows.map(row => {
+      const tableConstraints = constraints.get(row.table_oid) || [];
+      const primaryKey = tableConstraints.find(con => con.constraint_type === 'p');
+      const estimate = Number(row.estimate ?? -1);
+
+      return {
+        name: row.table_name,
+        schema: row.schema_name,
+        columns: (columns.get(row.table_oid) || []).map(col => ({
+          name: col.column_name,
+          // Domains and enums are reported by their own name instead of the base type / USER-DEFINED
+          dataType: col.domain_name || (col.data_type === 'USER-DEFINED' ? col.udt_name : col.data_type),
+          nullable: col.is_nullable,
+          defaultValue: col.column_default,
+          maxLength: col.character_maximum_length,
+          precision: col.numeric_precision,
+          scale: col.numeric_scale,
+          collation: col.collation_name,
+          identity: col.identity_generation,
+          generationExpression: col.generation_expression,
+          elementType: col.data_type === 'ARRAY' ? col.udt_name.replace(/^_/, '') : null,
+          udtName: col.udt_name,
+          typeSchema: col.domain_schema || (col.udt_schema !== 'pg_catalog' ? col.udt_schema : null),
+          formattedType: col.type_schema === 'pg_catalog'
+            ? col.formatted_type
+            : `${qualifyName(col.type_schema, col.type_name)}${col.is_array ? '[]' : ''}`
+        })),
+        primaryKeys: primaryKey ? parseArrayValue(primaryKey.columns) : [],
+        primaryKeyName: primaryKey ? primaryKey.constraint_name : null,
+        foreignKeys: tableConstraints
+          .filter(con => con.constraint_type === 'f')
+          .map(con => ({
+            name: con.constraint_name,
+            columns: parseArrayValue(con.columns),
+            referencedSchema: con.referenced_schema,
+            referencedTable: con.referenced_table,
+            referencedColumns: parseArrayValue(con.referenced_columns),
+            onDelete: FK_ACTIONS[con.on_delete],
+            onUpdate: FK_ACTIONS[con.on_update],
+            matchType: FK_MATCH_TYPES[con.match_type],
+            deferrable: con.is_deferrable,
+            initiallyDeferred: con.is_deferred,
+            validated: con.is_validated
+          })),
+        constraints: tableConstraints
+          .filter(con => CONSTRAINT_TYPES[con.constraint_type])
+          .map(con => ({
+            name: con.constraint_name,
+            type: CONSTRAINT_TYPES[con.constraint_type],
+            definition: con.definition
+          })),
+        indexes: indexes.get(row.table_oid) || [],
+        estimatedRows: estimate >= 0 ? estimate : null,
+        // Partition key (e.g. "RANGE (recorded_at)") and partitions, ordinary tables have a null key and no partitions
+        partitionKey: row.partition_key,
+        partitions: (partitions.get(row.table_oid) || []).map(partition => ({
+          name: partition.partition_name,
+          schema: partition.partition_schema,
+          bound: partition.partition_bound,
+          isDefault: partition.partition_bound === 'DEFAULT',
+          partitionKey: partition.subpartition_key
+        }))
+      };
     });
+  }
 
-    tableInfo.foreignKeys = Object.values(fkMap);
-
-    // Get indexes
+  /**
+   * Get indexes of tables or materialized views with their structure from pg_index
+   * @param {Array} relationIds - pg_class oids of the tables or materialized views
+   * @returns {Map} Relation oid -> indexes
+   */
+  async getIndexes(client, relationIds) {
     const indexesQuery = `
       SELECT 
-        indexname,
-        indexdef
-      FROM pg_indexes 
-      WHERE schemaname = $1 
-      AND tablename = $2
+        ix.indrelid AS table_oid,
+        i.relname AS index_name,
+        pg_get_indexdef(ix.indexrelid) AS index_def,
+        am.amname AS method,
+        ix.indisunique AS is_unique,
+        ix.indisprimary AS is_primary,
+        ix.indnkeyatts AS key_count,
+        pg_get_expr(ix.indpred, ix.indrelid) AS predicate,
+        con.conname AS constraint_name,
+        ARRAY(
+          SELECT pg_get_indexdef(ix.indexrelid, k, false)
+            || CASE WHEN k <= ix.indnkeyatts AND ix.indoption[k - 1] & 1 = 1 THEN ' DESC' ELSE '' END
+            || CASE
+                 WHEN k <= ix.indnkeyatts AND ix.indoption[k - 1] & 3 = 2 THEN ' NULLS FIRST'
+                 WHEN k <= ix.indnkeyatts AND ix.indoption[k - 1] & 3 = 1 THEN ' NULLS LAST'
+                 ELSE ''
+               END
+          FROM generate_series(1, ix.indnatts) AS k
+          ORDER BY k
+        ) AS columns
+      FROM pg_index ix
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_am am ON am.oid = i.relam
+      LEFT JOIN pg_constraint con ON con.conindid = ix.indexrelid AND con.contype IN ('p', 'u', 'x')
+      WHERE ix.indrelid = ANY($1::oid[])
+      ORDER BY i.relname
     `;
 
-    const indexesResult = await client.query(indexesQuery, [schema, tableName]);
-    tableInfo.indexes = indexesResult.rows.map(row => ({
-      name: row.indexname,
-      definition: row.indexdef,
-      unique: row.indexdef.includes('UNIQUE')
-    }));
-
-    return tableInfo;
+    const indexes = new Map();
+    if (relationIds.length === 0) return indexes;
+
+    const indexesResult = await client.query(indexesQuery, [relationIds]);
+    for (const [relationId, rows] of groupRows(indexesResult.rows)) {
+      indexes.set(relationId, rows.map(row => ({
+        name: row.index_name,
+        definition: row.index_def,
+        method: row.method,
+        unique: row.is_unique,
+        primary: row.is_primary,
+        columns: parseArrayValue(row.columns).slice(0, row.key_count),
+        include: parseArrayValue(row.columns).slice(row.key_count),
+        predicate: row.predicate,
+        constraintName: row.constraint_name
+      })));
+    }
+    return indexes;
   }
 
   /**
    * Compare two schemas
+   * @param {object} options - Rename handling: { renameMap, applyRenames, renameThreshold }, role mapping: { roleMap },
+   *                           accepted differences: { ignoreRules }
    */
-  compareSchemas(sourceSchema, targetSchema, verbose = false) {
-    // Extract table names
-    const sourceTableNames = sourceSchema.tableList.map(table => typeof table === 'string' ? table : table.name);
-    const targetTableNames = targetSchema.tableList.map(table => typeof table === 'string' ? table : table.name);
+  compareSchemas(sourceSchema, targetSchema, verbose = false, options = {}) {
+    const ignoreRules = options.ignoreRules || new IgnoreRules();
+    ignoreRules.reset();
+
+    // Extract table keys (schema.table)
+    const tableKey = table => typeof table === 'string' ? table : objectKey(table.schema, table.name);
+    const findTable = (schemaInfo, key) => schemaInfo.tables
+      ? schemaInfo.tables[key]
+      : schemaInfo.tableList.find(table => tableKey(table) === key);
+    const sourceTableNames = sourceSchema.tableList.map(tableKey);
+    const targetTableNames = targetSchema.tableList.map(tableKey);
+
+    // Schemas missing on one side
+    const schemas = sourceSchema.schemas && targetSchema.schemas ? {
+      onlyInSource: sourceSchema.schemas.filter(schema => !targetSchema.schemas.includes(schema) && !ignoreRules.suppress('schema', schema, 'cloud-to-edge')),
+      onlyInTarget: targetSchema.schemas.filter(schema => !sourceSchema.schemas.includes(schema) && !ignoreRules.suppress('schema', schema, 'edge-to-cloud'))
+    } : null;
+    const schemaQueries = schemas ? [
+      ...schemas.onlyInSource.map(schema => this.generateCreateSchemaQuery(schema, 'SCHEMA_IN_EDGE', 'Cloud', 'Edge')),
+      ...schemas.onlyInTarget.map(schema => this.generateCreateSchemaQuery(schema, 'SCHEMA_IN_CLOUD', 'Edge', 'Cloud'))
+    ] : [];
 
     const sourceTables = new Set(sourceTableNames);
     const targetTables = new Set(targetTableNames);
@@ -392,64 +902,154 @@ export class DatabaseComparator {
     // Common tables
     const commonTables = sourceTableNames.filter(table => targetTables.has(table));
 
-    // Tables only in source
-    const onlyInSource = sourceTableNames.filter(table => !targetTables.has(table));
+    // Tables only in source, accepted ones are left out before rename detection
+    let onlyInSource = sourceTableNames.filter(table => !targetTables.has(table) && !ignoreRules.suppress('table', table, 'cloud-to-edge'));
 
     // Tables only in target
-    const onlyInTarget = targetTableNames.filter(table => !sourceTables.has(table));
+    let onlyInTarget = targetTableNames.filter(table => !sourceTables.has(table) && !ignoreRules.suppress('table', table, 'edge-to-cloud'));
 
-    // Find differences in common tables
+    // Likely renamed tables; confirmed renames are migrated instead of created
+    const renameOptions = {
+      applyRenames: options.applyRenames,
+      threshold: options.renameThreshold
+    };
+    const renameMap = options.renameMap || {};
+    const tableRenames = this.renameDetector.confirmRenames(
+      this.renameDetector.detectTableRenames(
+        onlyInSource.map(tableName => findTable(sourceSchema, tableName)).filter(table => table && typeof table === 'object'),
+        onlyInTarget.map(tableName => findTable(targetSchema, tableName)).filter(table => table && typeof table === 'object')
+      ),
+      renameMap.tables,
+      renameOptions,
+      onlyInSource,
+      onlyInTarget
+    );
+    const confirmedTableRenames = tableRenames.filter(rename => rename.confirmed);
+    onlyInSource = onlyInSource.filter(table => !confirmedTableRenames.some(rename => rename.source === table));
+    onlyInTarget = onlyInTarget.filter(table => !confirmedTableRenames.some(rename => rename.target === table));
+
+    // Find differences in common and renamed tables
+    const tablePairs = [
+      ...commonTables.map(tableName => ({ tableName, targetName: tableName, tableRename: null })),
+      ...confirmedTableRenames.map(rename => ({ tableName: rename.source, targetName: rename.target, tableRename: rename }))
+    ];
     const tableDifferences = [];
-    for (const tableName of commonTables) {
+    const alterTableQueries = [];
+    const columnRenames = [];
+    for (const { tableName, targetName, tableRename } of tablePairs) {
       // Find table information
-      const sourceTable = sourceSchema.tables ?
-        sourceSchema.tables[tableName] :
-        sourceSchema.tableList.find(t => t.name === tableName);
-      const targetTable = targetSchema.tables ?
-        targetSchema.tables[tableName] :
-        targetSchema.tableList.find(t => t.name === tableName);
+      const sourceTable = findTable(sourceSchema, tableName);
+      const targetTable = findTable(targetSchema, targetName);
 
       if (sourceTable && targetTable) {
-        const differences = this.compareTable(sourceTable, targetTable, tableName);
+        const pair = this.compareTablePair(tableName, sourceTable, targetTable, tableRename, renameMap.columns, renameOptions);
+        columnRenames.push(...pair.columnRenames);
+
+        // A table ignored as a whole counts as one suppressed difference
+        if (pair.differences.hasDifferences && ignoreRules.suppress('table', tableName, 'both')) continue;
 
+        const differences = ignoreRules.filterTableDifferences(pair.differences);
         if (differences.hasDifferences) {
           tableDifferences.push(differences);
+          alterTableQueries.push(...this.migrationGenerator.generateTableMigrations(differences, sourceTable, pair.targetTable));
         }
       }
     }
 
-    // Generate CREATE SQL for missing tables
-    const createTableQueries = [];
+    // Generate CREATE SQL for missing tables, referenced tables first
+    const createTableQueries = [
+      ...this.generateCreateTableQueries(
+        onlyInSource.map(tableName => findTable(sourceSchema, tableName)).filter(Boolean),
+        sourceSchema.sequences || [],
+        'CREATE_IN_EDGE',
+        'Cloud',
+        'Edge'
+      ),
+      ...this.generateCreateTableQueries(
+        onlyInTarget.map(tableName => findTable(targetSchema, tableName)).filter(Boolean),
+        targetSchema.sequences || [],
+        'CREATE_IN_CLOUD',
+        'Edge',
+        'Cloud'
+      )
+    ];
+
+    // Compare views when both sides provide them (dump files do not)
+    let views = null;
+    let viewQueries = [];
+    if (sourceSchema.views && targetSchema.views) {
+      views = ignoreRules.filterComparison('view', this.viewComparator.compareViews(sourceSchema.views, targetSchema.views), diff => diff.viewName);
+      viewQueries = this.viewComparator.generateViewQueries(views, sourceSchema.views, targetSchema.views);
+    }
 
-    // CREATE SQLs for tables in Cloud but not in Edge
-    for (const tableName of onlyInSource) {
-      const tableInfo = sourceSchema.tableList.find(t => t.name === tableName);
-      if (tableInfo) {
-        const createSql = this.generateCreateTableSQL(tableInfo, 'CREATE_IN_EDGE');
-        createTableQueries.push({
-          type: 'CREATE_IN_EDGE',
-          tableName: tableName,
-          sql: createSql,
-          description: `Create ${tableName} table from Cloud in Edge`
-        });
-      }
+    // Compare extensions (live databases only)
+    let extensions = null;
+    let extensionQueries = [];
+    if (sourceSchema.extensions && targetSchema.extensions) {
+      extensions = ignoreRules.filterComparison('extension', this.extensionComparator.compareExtensions(sourceSchema.extensions, targetSchema.extensions), diff => diff.extensionName);
+      extensionQueries = this.extensionComparator.generateExtensionQueries(extensions, sourceSchema.extensions, targetSchema.extensions);
     }
 
-    // CREATE SQLs for tables in Edge but not in Cloud
-    for (const tableName of onlyInTarget) {
-      const tableInfo = targetSchema.tableList.find(t => t.name === tableName);
-      if (tableInfo) {
-        const createSql = this.generateCreateTableSQL(tableInfo, 'CREATE_IN_CLOUD');
-        createTableQueries.push({
-          type: 'CREATE_IN_CLOUD',
-          tableName: tableName,
-          sql: createSql,
-          description: `Create ${tableName} table from Edge in Cloud`
-        });
-      }
+    // Compare user-defined types (live databases only)
+    let types = null;
+    let typeQueries = [];
+    if (sourceSchema.types && targetSchema.types) {
+      types = ignoreRules.filterComparison('type', this.typeComparator.compareTypes(sourceSchema.types, targetSchema.types), diff => diff.typeName);
+      typeQueries = this.typeComparator.generateTypeQueries(types, sourceSchema.types, targetSchema.types);
     }
 
-    return {
+    // Compare sequences (live databases only)
+    let sequences = null;
+    let sequenceQueries = [];
+    if (sourceSchema.sequences && targetSchema.sequences) {
+      sequences = ignoreRules.filterComparison('sequence', this.sequenceComparator.compareSequences(sourceSchema.sequences, targetSchema.sequences), diff => diff.sequenceName);
+      sequenceQueries = this.sequenceComparator.generateSequenceQueries(
+        sequences,
+        { sequences: sourceSchema.sequences, tables: sourceSchema.tables || {} },
+        { sequences: targetSchema.sequences, tables: targetSchema.tables || {} }
+      );
+    }
+
+    // Compare functions, procedures and triggers (live databases only)
+    let routines = null;
+    let triggers = null;
+    let routineQueries = [];
+    if (sourceSchema.routines && targetSchema.routines) {
+      routines = ignoreRules.filterComparison(
+        'function',
+        this.routineComparator.compareRoutines(sourceSchema.routines, targetSchema.routines),
+        diff => diff.signature
+      );
+      triggers = ignoreRules.filterComparison(
+        'trigger',
+        this.routineComparator.compareTriggers(sourceSchema.triggers || [], targetSchema.triggers || []),
+        diff => `${diff.tableName}.${diff.triggerName}`
+      );
+      routineQueries = this.routineComparator.generateRoutineQueries(
+        routines,
+        triggers,
+        { routines: sourceSchema.routines, triggers: sourceSchema.triggers || [] },
+        { routines: targetSchema.routines, triggers: targetSchema.triggers || [] }
+      );
+    }
+
+    // Compare privileges, row level security and policies (live databases only)
+    let security = null;
+    let securityQueries = [];
+    if (sourceSchema.security && targetSchema.security) {
+      const roleMapper = new RoleMapper(options.roleMap);
+      const targetSecurity = roleMapper.normalizeEdgeSecurity(targetSchema.security);
+      const comparedSecurity = this.securityComparator.compareSecurity(sourceSchema.security, targetSecurity);
+      security = {
+        privileges: ignoreRules.filterComparison('privilege', comparedSecurity.privileges, diff => diff.privilegeName),
+        defaultPrivileges: ignoreRules.filterComparison('privilege', comparedSecurity.defaultPrivileges, diff => diff.privilegeName),
+        rowSecurity: ignoreRules.filterComparison('policy', comparedSecurity.rowSecurity, diff => diff.tableName),
+        policies: ignoreRules.filterComparison('policy', comparedSecurity.policies, diff => diff.policyName)
+      };
+      securityQueries = this.securityComparator.generateSecurityQueries(security, sourceSchema.security, targetSecurity, roleMapper);
+    }
+
+    const comparison = {
       sourceStats: {
         totalTables: sourceSchema.totalTables
       },
@@ -459,19 +1059,125 @@ export class DatabaseComparator {
       commonTables,
       onlyInSource,
       onlyInTarget,
+      renames: {
+        tables: tableRenames,
+        columns: columnRenames
+      },
+      schemas,
+      schemaQueries,
       tableDifferences,
       createTableQueries,
+      alterTableQueries,
+      views,
+      viewQueries,
+      extensions,
+      extensionQueries,
+      types,
+      typeQueries,
+      sequences,
+      sequenceQueries,
+      routines,
+      triggers,
+      routineQueries,
+      security,
+      securityQueries,
+      ignored: ignoreRules.isEmpty() ? null : ignoreRules.getSummary(),
       summary: {
         totalMissingTables: onlyInSource.length + onlyInTarget.length,
+        totalSchemaQueries: schemaQueries.length,
         missingInEdge: onlyInSource.length,
         missingInCloud: onlyInTarget.length,
-        totalCreateQueries: createTableQueries.length
+        totalCreateQueries: createTableQueries.length,
+        totalAlterQueries: alterTableQueries.length,
+        totalViewQueries: viewQueries.length,
+        totalExtensionQueries: extensionQueries.length,
+        totalTypeQueries: typeQueries.length,
+        totalSequenceQueries: sequenceQueries.length,
+        totalRoutineQueries: routineQueries.length,
+        totalSecurityQueries: securityQueries.length
       },
       detailedComparison: verbose ? {
         sourceSchema,
         targetSchema
       } : null
     };
+
+    // Breaking, risky or informational, for the report and --fail-on
+    comparison.severity = this.severityClassifier.classifySchemaComparison(comparison);
+    return comparison;
+  }
+
+  /**
+   * Compare a Cloud table with its Edge counterpart, detecting renamed columns.
+   * Confirmed column renames are applied to a copy of the Edge table so that the
+   * pair is compared (and migrated) under the Cloud names.
+   * @param {object|null} tableRename - Confirmed table rename, if the tables have different names
+   * @param {object} columnMap - Rename mapping file columns: { table: { cloudColumn: edgeColumn } }
+   */
+  compareTablePair(tableName, sourceTable, targetTable, tableRename, columnMap = {}, renameOptions = {}) {
+    const sourceColumns = sourceTable.columns || [];
+    const targetColumns = targetTable.columns || [];
+    const onlySource = sourceColumns.filter(column => !targetColumns.some(col => col.name === column.name));
+    const onlyTarget = targetColumns.filter(column => !sourceColumns.some(col => col.name === column.name));
+
+    const candidates = onlySource.length > 0 && onlyTarget.length > 0
+      ? this.renameDetector.detectColumnRenames(onlySource, onlyTarget, sourceTable, targetTable)
+      : [];
+    const mapping = columnMap?.[tableName] || columnMap?.[sourceTable.name] || {};
+    const renames = this.renameDetector.confirmRenames(
+      candidates,
+      mapping,
+      renameOptions,
+      onlySource.map(column => column.name),
+      onlyTarget.map(column => column.name)
+    ).map(rename => ({ tableName, ...rename }));
+    const confirmed = renames.filter(rename => rename.confirmed);
+
+    let renamedTarget = this.renameDetector.renameColumns(
+      targetTable,
+      Object.fromEntries(confirmed.map(rename => [rename.target, rename.source]))
+    );
+    if (tableRename) {
+      renamedTarget = { ...renamedTarget, name: sourceTable.name, schema: sourceTable.schema };
+    }
+
+    const differences = this.compareTable(sourceTable, renamedTarget, tableName);
+
+    for (const rename of [...confirmed].reverse()) {
+      differences.columnDifferences.unshift({
+        columnName: rename.source,
+        kind: 'RENAMED',
+        difference: `Column renamed: ${rename.target} (Edge) -> ${rename.source} (Cloud)`,
+        sourceName: rename.source,
+        targetName: rename.target
+      });
+      differences.hasDifferences = true;
+    }
+
+    if (tableRename) {
+      differences.tableRename = {
+        source: { schema: sourceTable.schema, name: sourceTable.name },
+        target: { schema: targetTable.schema, name: targetTable.name }
+      };
+      differences.hasDifferences = true;
+    }
+
+    return { differences, targetTable: renamedTarget, columnRenames: renames };
+  }
+
+  /**
+   * Build a CREATE SCHEMA query for a schema missing on one side
+   */
+  generateCreateSchemaQuery(schema, type, fromLabel, toLabel) {
+    const sql = `CREATE SCHEMA IF NOT EXISTS "${schema}";`;
+    return {
+      type,
+      objectType: 'schema',
+      objectName: schema,
+      statements: [{ sql, additive: true }],
+      sql: `-- ${type} - Schema ${schema}\n${sql}\n\n`,
+      description: `Create ${schema} schema from ${fromLabel} in ${toLabel}`
+    };
   }
 
   /**
@@ -483,7 +1189,8 @@ export class DatabaseComparator {
       hasDifferences: false,
       columnDifferences: [],
       constraintDifferences: [],
-      indexDifferences: []
+      indexDifferences: [],
+      partitionDifferences: []
     };
 
     // Column comparison
@@ -498,7 +1205,9 @@ export class DatabaseComparator {
       if (!targetColMap.has(colName)) {
         differences.columnDifferences.push({
           columnName: colName,
-          difference: `Column exists in source but not in target`
+          kind: 'MISSING_IN_TARGET',
+          difference: `Column exists in source but not in target`,
+          sourceColumn: colInfo
         });
         differences.hasDifferences = true;
       }
@@ -509,7 +1218,9 @@ export class DatabaseComparator {
       if (!sourceColMap.has(colName)) {
         differences.columnDifferences.push({
           columnName: colName,
-          difference: `Column exists in target but not in source`
+          kind: 'MISSING_IN_SOURCE',
+          difference: `Column exists in target but not in source`,
+          targetColumn: colInfo
         });
         differences.hasDifferences = true;
       }
@@ -519,63 +1230,481 @@ export class DatabaseComparator {
     for (const [colName, sourceCol] of sourceColMap) {
       const targetCol = targetColMap.get(colName);
       if (targetCol) {
-        if (sourceCol.dataType !== targetCol.dataType) {
-          differences.columnDifferences.push({
-            columnName: colName,
-            difference: `Data type difference: ${sourceCol.dataType} vs ${targetCol.dataType}`
-          });
-          differences.hasDifferences = true;
-        }
-
-        if (sourceCol.nullable !== targetCol.nullable) {
-          differences.columnDifferences.push({
-            columnName: colName,
-            difference: `Nullable difference: ${sourceCol.nullable} vs ${targetCol.nullable}`
-          });
+        const attributeDifferences = this.compareColumnAttributes(sourceCol, targetCol);
+        if (attributeDifferences.length > 0) {
+          differences.columnDifferences.push(...attributeDifferences);
           differences.hasDifferences = true;
         }
       }
     }
 
     // Primary key comparison
-    const sourcePKs = (sourceTable.primaryKeys || []).sort();
-    const targetPKs = (targetTable.primaryKeys || []).sort();
+    const sourcePKs = [...(sourceTable.primaryKeys || [])].sort();
+    const targetPKs = [...(targetTable.primaryKeys || [])].sort();
 
     if (JSON.stringify(sourcePKs) !== JSON.stringify(targetPKs)) {
       differences.constraintDifferences.push({
         constraintName: 'PRIMARY KEY',
+        kind: 'PRIMARY_KEY',
         difference: `Primary key difference: [${sourcePKs.join(', ')}] vs [${targetPKs.join(', ')}]`
       });
       differences.hasDifferences = true;
     }
 
     // Foreign key comparison
-    const sourceFKs = (sourceTable.foreignKeys || []).map(fk => fk.name).sort();
-    const targetFKs = (targetTable.foreignKeys || []).map(fk => fk.name).sort();
+    const foreignKeyDifferences = this.compareForeignKeys(sourceTable.foreignKeys || [], targetTable.foreignKeys || []);
+    if (foreignKeyDifferences.length > 0) {
+      differences.constraintDifferences.push(...foreignKeyDifferences);
+      differences.hasDifferences = true;
+    }
 
-    if (JSON.stringify(sourceFKs) !== JSON.stringify(targetFKs)) {
-      differences.constraintDifferences.push({
-        constraintName: 'FOREIGN KEYS',
-        difference: `Foreign key difference: [${sourceFKs.join(', ')}] vs [${targetFKs.join(', ')}]`
-      });
+    // CHECK, UNIQUE and EXCLUDE constraint comparison
+    const otherConstraintDifferences = this.compareConstraints(sourceTable.constraints || [], targetTable.constraints || []);
+    if (otherConstraintDifferences.length > 0) {
+      differences.constraintDifferences.push(...otherConstraintDifferences);
       differences.hasDifferences = true;
     }
 
     // Index comparison
-    const sourceIndexes = (sourceTable.indexes || []).map(idx => idx.name).sort();
-    const targetIndexes = (targetTable.indexes || []).map(idx => idx.name).sort();
+    const indexDifferences = this.compareIndexes(sourceTable.indexes || [], targetTable.indexes || []);
+    if (indexDifferences.length > 0) {
+      differences.indexDifferences.push(...indexDifferences);
+      differences.hasDifferences = true;
+    }
 
-    if (JSON.stringify(sourceIndexes) !== JSON.stringify(targetIndexes)) {
-      differences.indexDifferences.push({
-        indexName: 'ALL INDEXES',
-        difference: `Index difference: [${sourceIndexes.join(', ')}] vs [${targetIndexes.join(', ')}]`
-      });
+    // Partition key and partition comparison
+    const partitionDifferences = this.comparePartitions(sourceTable, targetTable);
+    if (partitionDifferences.length > 0) {
+      differences.partitionDifferences.push(...partitionDifferences);
       differences.hasDifferences = true;
     }
 
     return differences;
   }
 
+  /**
+   * Compare the partition key and partitions of two tables.
+   * Partitions are matched by their bound, so a partition with the same bound
+   * but another name is reported as renamed rather than missing.
+   */
+  comparePartitions(sourceTable, targetTable) {
+    const differences = [];
+    const normalize = value => (value ? String(value).replace(/\s+/g, ' ').trim() : null);
+    const sourceKey = normalize(sourceTable.partitionKey);
+    const targetKey = normalize(targetTable.partitionKey);
+
+    // Bounds only make sense for the same partition key
+    if (sourceKey !== targetKey) {
+      differences.push({
+        partitionName: 'PARTITION KEY',
+        kind: 'PARTITION_KEY',
+        difference: `Partition key difference: ${sourceKey || 'not partitioned'} vs ${targetKey || 'not partitioned'}`,
+        sourceValue: sourceKey,
+        targetValue: targetKey
+      });
+      return differences;
+    }
+
+    const sourceBounds = new Map((sourceTable.partitions || []).map(partition => [normalize(partition.bound), partition]));
+    const targetBounds = new Map((targetTable.partitions || []).map(partition => [normalize(partition.bound), partition]));
+
+    for (const [bound, sourcePartition] of sourceBounds) {
+      const targetPartition = targetBounds.get(bound);
+      if (!targetPartition) {
+        differences.push({
+          partitionName: sourcePartition.name,
+          kind: 'MISSING_IN_TARGET',
+          bound,
+          difference: `Partition ${bound} exists in source but not in target`,
+          sourcePartition
+        });
+      } else if (objectKey(sourcePartition.schema, sourcePartition.name) !== objectKey(targetPartition.schema, targetPartition.name)) {
+        differences.push({
+          partitionName: sourcePartition.name,
+          kind: 'RENAMED',
+          bound,
+          difference: `Partition ${bound} has a different name: ${sourcePartition.name} vs ${targetPartition.name}`,
+          sourcePartition,
+          targetPartition
+        });
+      }
+    }
+
+    for (const [bound, targetPartition] of targetBounds) {
+      if (!sourceBounds.has(bound)) {
+        differences.push({
+          partitionName: targetPartition.name,
+          kind: 'MISSING_IN_SOURCE',
+          bound,
+          difference: `Partition ${bound} exists in target but not in source`,
+          targetPartition
+        });
+      }
+    }
+
+    return differences;
+  }
+
+  /**
+   * Compare attributes of a column that exists on both sides.
+   * Length, precision, scale and array element type are only compared when the
+   * base data types match, otherwise they would just repeat the type difference.
+   */
+  compareColumnAttributes(sourceCol, targetCol) {
+    const attributeChecks = [
+      { kind: 'DATA_TYPE', label: 'Data type', value: col => col.dataType },
+      { kind: 'ARRAY_ELEMENT_TYPE', label: 'Array element type', value: col => col.elementType ?? null, sameType: true },
+      { kind: 'MAX_LENGTH', label: 'Length', value: col => col.maxLength ?? null, sameType: true },
+      { kind: 'PRECISION', label: 'Precision', value: col => col.precision ?? null, sameType: true },
+      { kind: 'SCALE', label: 'Scale', value: col => col.scale ?? null, sameType: true },
+      { kind: 'COLLATION', label: 'Collation', value: col => col.collation ?? null },
+      { kind: 'DEFAULT', label: 'Default', value: col => this.normalizeDefault(col.defaultValue) },
+      { kind: 'IDENTITY', label: 'Identity', value: col => col.identity ?? null },
+      { kind: 'GENERATED', label: 'Generated expression', value: col => col.generationExpression ?? null },
+      { kind: 'NULLABLE', label: 'Nullable', value: col => col.nullable }
+    ];
+
+    const sameType = sourceCol.dataType === targetCol.dataType;
+    const differences = [];
+
+    for (const check of attributeChecks) {
+      if (check.sameType && !sameType) continue;
+
+      const sourceValue = check.value(sourceCol);
+      const targetValue = check.value(targetCol);
+
+      if (sourceValue !== targetValue) {
+        differences.push({
+          columnName: sourceCol.name,
+          kind: check.kind,
+          difference: `${check.label} difference: ${sourceValue ?? 'none'} vs ${targetValue ?? 'none'}`,
+          sourceValue,
+          targetValue,
+          sourceColumn: sourceCol,
+          targetColumn: targetCol
+        });
+      }
+    }
+
+    // Modifiers information_schema does not expose (e.g. timestamp(3), varchar(20)[])
+    // only show up in the format_type name of live columns
+    const typeKinds = ['DATA_TYPE', 'ARRAY_ELEMENT_TYPE', 'MAX_LENGTH', 'PRECISION', 'SCALE'];
+    if (sourceCol.formattedType && targetCol.formattedType &&
+        sourceCol.formattedType !== targetCol.formattedType &&
+        !differences.some(difference => typeKinds.includes(difference.kind))) {
+      differences.push({
+        columnName: sourceCol.name,
+        kind: 'TYPE_MODIFIER',
+        difference: `Type difference: ${sourceCol.formattedType} vs ${targetCol.formattedType}`,
+        sourceValue: sourceCol.formattedType,
+        targetValue: targetCol.formattedType,
+        sourceColumn: sourceCol,
+        targetColumn: targetCol
+      });
+    }
+
+    return differences;
+  }
+
+  /**
+   * Compare foreign keys by structure (columns, referenced table and columns).
+   * Matched foreign keys are compared attribute by attribute; unmatched ones
+   * with the same name are reported as changed, the rest as missing.
+   */
+  compareForeignKeys(sourceFKs, targetFKs) {
+    const differences = [];
+    const structureKey = fk => `${fk.columns.join(',')}->${fk.referencedTable}(${fk.referencedColumns.join(',')})`;
+    const unmatchedTarget = [...targetFKs];
+    const unmatchedSource = [];
+
+    for (const sourceFK of sourceFKs) {
+      const key = structureKey(sourceFK);
+      const candidates = unmatchedTarget.filter(fk => structureKey(fk) === key);
+      const targetFK = candidates.find(fk => fk.name === sourceFK.name) || candidates[0];
+
+      if (!targetFK) {
+        unmatchedSource.push(sourceFK);
+        continue;
+      }
+
+      unmatchedTarget.splice(unmatchedTarget.indexOf(targetFK), 1);
+
+      if (sourceFK.name !== targetFK.name) {
+        differences.push({
+          constraintName: sourceFK.name,
+          kind: 'FK_RENAMED',
+          difference: `Same foreign key, different name: ${sourceFK.name} vs ${targetFK.name}`,
+          sourceForeignKey: sourceFK,
+          targetForeignKey: targetFK
+        });
+      }
+
+      differences.push(...this.compareForeignKeyAttributes(sourceFK, targetFK, [
+        'referencedSchema', 'onDelete', 'onUpdate', 'matchType', 'deferrable', 'initiallyDeferred', 'validated'
+      ]));
+    }
+
+    for (const sourceFK of unmatchedSource) {
+      const targetFK = unmatchedTarget.find(fk => fk.name === sourceFK.name);
+
+      if (targetFK) {
+        unmatchedTarget.splice(unmatchedTarget.indexOf(targetFK), 1);
+        differences.push(...this.compareForeignKeyAttributes(sourceFK, targetFK, [
+          'columns', 'referencedSchema', 'referencedTable', 'referencedColumns',
+          'onDelete', 'onUpdate', 'matchType', 'deferrable', 'initiallyDeferred', 'validated'
+        ]));
+      } else {
+        differences.push({
+          constraintName: sourceFK.name,
+          kind: 'FK_MISSING_IN_TARGET',
+          difference: `Foreign key exists in source but not in target: ${structureKey(sourceFK)}`,
+          sourceForeignKey: sourceFK
+        });
+      }
+    }
+
+    for (const targetFK of unmatchedTarget) {
+      differences.push({
+        constraintName: targetFK.name,
+        kind: 'FK_MISSING_IN_SOURCE',
+        difference: `Foreign key exists in target but not in source: ${structureKey(targetFK)}`,
+        targetForeignKey: targetFK
+      });
+    }
+
+    return differences;
+  }
+
+  /**
+   * Compare the given attributes of two foreign keys, one entry per differing attribute.
+   * Attributes missing on one side (e.g. from dump files) default to PostgreSQL defaults.
+   */
+  compareForeignKeyAttributes(sourceFK, targetFK, attributes) {
+    const defaults = {
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION',
+      matchType: 'SIMPLE',
+      deferrable: false,
+      initiallyDeferred: false,
+      validated: true
+    };
+    const valueOf = (fk, attribute) => {
+      const value = fk[attribute] ?? defaults[attribute] ?? null;
+      return Array.isArray(value) ? value.join(', ') : value;
+    };
+
+    const differences = [];
+    for (const attribute of attributes) {
+      const sourceValue = valueOf(sourceFK, attribute);
+      const targetValue = valueOf(targetFK, attribute);
+
+      // Referenced schema is unknown for dump files without qualified names
+      if (attribute === 'referencedSchema' && (sourceValue === null || targetValue === null)) continue;
+
+      if (sourceValue !== targetValue) {
+        differences.push({
+          constraintName: sourceFK.name,
+          kind: 'FK_CHANGED',
+          attribute,
+          difference: `Foreign key ${attribute} difference: ${sourceValue ?? 'none'} vs ${targetValue ?? 'none'}`,
+          sourceValue,
+          targetValue,
+          sourceForeignKey: sourceFK,
+          targetForeignKey: targetFK
+        });
+      }
+    }
+
+    return differences;
+  }
+
+  /**
+   * Compare CHECK, UNIQUE and EXCLUDE constraints by type and normalized definition.
+   * Constraints with different names but the same definition are reported as renamed,
+   * since auto-generated names often differ between databases.
+   */
+  compareConstraints(sourceConstraints, targetConstraints) {
+    const differences = [];
+    const signature = constraint => `${constraint.type} ${String(constraint.definition).replace(/"/g, '').replace(/\s+/g, ' ').trim()}`;
+    const targetByName = new Map(targetConstraints.map(con => [con.name, con]));
+    const matchedTargetNames = new Set();
+    const unmatchedSource = [];
+
+    for (const sourceConstraint of sourceConstraints) {
+      const targetConstraint = targetByName.get(sourceConstraint.name);
+      if (!targetConstraint) {
+        unmatchedSource.push(sourceConstraint);
+        continue;
+      }
+
+      matchedTargetNames.add(targetConstraint.name);
+      if (signature(sourceConstraint) !== signature(targetConstraint)) {
+        differences.push({
+          constraintName: sourceConstraint.name,
+          constraintType: sourceConstraint.type,
+          kind: 'CONSTRAINT_CHANGED',
+          difference: `${sourceConstraint.type} constraint changed: ${sourceConstraint.definition} vs ${targetConstraint.definition}`,
+          sourceConstraint,
+          targetConstraint
+        });
+      }
+    }
+
+    const unmatchedTarget = targetConstraints.filter(con => !matchedTargetNames.has(con.name));
+
+    for (const sourceConstraint of unmatchedSource) {
+      const renamedConstraint = unmatchedTarget.find(con => signature(con) === signature(sourceConstraint));
+
+      if (renamedConstraint) {
+        unmatchedTarget.splice(unmatchedTarget.indexOf(renamedConstraint), 1);
+        differences.push({
+          constraintName: sourceConstraint.name,
+          constraintType: sourceConstraint.type,
+          kind: 'CONSTRAINT_RENAMED',
+          difference: `Same ${sourceConstraint.type} constraint, different name: ${sourceConstraint.name} vs ${renamedConstraint.name}`,
+          sourceConstraint,
+          targetConstraint: renamedConstraint
+        });
+      } else {
+        differences.push({
+          constraintName: sourceConstraint.name,
+          constraintType: sourceConstraint.type,
+          kind: 'CONSTRAINT_MISSING_IN_TARGET',
+          difference: `${sourceConstraint.type} constraint exists in source but not in target: ${sourceConstraint.definition}`,
+          sourceConstraint
+        });
+      }
+    }
+
+    for (const targetConstraint of unmatchedTarget) {
+      differences.push({
+        constraintName: targetConstraint.name,
+        constraintType: targetConstraint.type,
+        kind: 'CONSTRAINT_MISSING_IN_SOURCE',
+        difference: `${targetConstraint.type} constraint exists in target but not in source: ${targetConstraint.definition}`,
+        targetConstraint
+      });
+    }
+
+    return differences;
+  }
+
+  /**
+   * Compare indexes by their normalized definition.
+   * Indexes with the same name are compared by definition, the remaining ones
+   * are paired by definition to detect the same index under a different name.
+   * Indexes backing a primary key, unique or exclusion constraint are covered
+   * by the constraint comparison.
+   */
+  compareIndexes(sourceIndexes, targetIndexes) {
+    const differences = [];
+    const sourceList = sourceIndexes.filter(idx => !idx.primary && !idx.constraintName);
+    const targetList = targetIndexes.filter(idx => !idx.primary && !idx.constraintName);
+    const targetByName = new Map(targetList.map(idx => [idx.name, idx]));
+
+    const unmatchedSource = [];
+    const matchedTargetNames = new Set();
+
+    for (const sourceIndex of sourceList) {
+      const targetIndex = targetByName.get(sourceIndex.name);
+      if (!targetIndex) {
+        unmatchedSource.push(sourceIndex);
+        continue;
+      }
+
+      matchedTargetNames.add(targetIndex.name);
+      const sourceSignature = this.getIndexSignature(sourceIndex);
+      const targetSignature = this.getIndexSignature(targetIndex);
+
+      if (sourceSignature !== targetSignature) {
+        differences.push({
+          indexName: sourceIndex.name,
+          kind: 'DEFINITION_CHANGED',
+          difference: `Definition changed: ${sourceSignature} vs ${targetSignature}`,
+          sourceIndex,
+          targetIndex
+        });
+      }
+    }
+
+    const unmatchedTarget = targetList.filter(idx => !matchedTargetNames.has(idx.name));
+
+    for (const sourceIndex of unmatchedSource) {
+      const signature = this.getIndexSignature(sourceIndex);
+      const renamedIndex = unmatchedTarget.find(idx => this.getIndexSignature(idx) === signature);
+
+      if (renamedIndex) {
+        unmatchedTarget.splice(unmatchedTarget.indexOf(renamedIndex), 1);
+        differences.push({
+          indexName: sourceIndex.name,
+          kind: 'RENAMED',
+          difference: `Same definition, different name: ${sourceIndex.name} vs ${renamedIndex.name}`,
+          sourceIndex,
+          targetIndex: renamedIndex
+        });
+      } else {
+        differences.push({
+          indexName: sourceIndex.name,
+          kind: 'MISSING_IN_TARGET',
+          difference: `Index exists in source but not in target`,
+          sourceIndex
+        });
+      }
+    }
+
+    for (const targetIndex of unmatchedTarget) {
+      differences.push({
+        indexName: targetIndex.name,
+        kind: 'MISSING_IN_SOURCE',
+        difference: `Index exists in target but not in source`,
+        targetIndex
+      });
+    }
+
+    return differences;
+  }
+
+  /**
+   * Build a name independent signature of an index:
+   * access method, uniqueness, key columns/expressions, INCLUDE columns and predicate
+   */
+  getIndexSignature(index) {
+    const normalize = value => String(value).replace(/"/g, '').replace(/\s+/g, ' ').trim();
+
+    const method = index.method || 'btree';
+    const unique = index.unique ? 'UNIQUE ' : '';
+    const columns = (index.columns || []).map(normalize).join(', ');
+    const include = index.include && index.include.length > 0
+      ? ` INCLUDE (${index.include.map(normalize).join(', ')})`
+      : '';
+    const predicate = index.predicate ? ` WHERE ${normalize(index.predicate)}` : '';
+
+    return `${unique}${method} (${columns})${include}${predicate}`;
+  }
+
+  /**
+   * Normalize a column default so equivalent expressions compare equal
+   * e.g. nextval('public.users_id_seq'::regclass) -> nextval('users_id_seq')
+   */
+  normalizeDefault(defaultValue) {
+    if (defaultValue === null || defaultValue === undefined) {
+      return null;
+    }
+
+    let value = String(defaultValue).trim().replace(/\s+/g, ' ');
+
+    if (value === '' || /^NULL(::[\w\s"]+)?$/i.test(value)) {
+      return null;
+    }
+
+    value = value.replace(
+      /nextval\('(?:"?[^'".]+"?\.)?"?([^'"]+)"?'(?:::regclass)?\)/gi,
+      (match, sequenceName) => `nextval('${sequenceName}')`
+    );
+
+    return value;
+  }
+
   /**
    * Save comparison report to file
    */
@@ -589,78 +1718,132 @@ export class DatabaseComparator {
         onlyInSource: result.onlyInSource,
         onlyInTarget: result.onlyInTarget,
         tableDifferences: result.tableDifferences
-      }
+      },
+      ignored: result.ignored || null,
+      severity: result.severity || null
     };
 
     await fs.writeFile(filename, JSON.stringify(report, null, 2), 'utf8');
   }
 
   /**
-   * Generate CREATE TABLE SQL for a table
+   * Generate CREATE TABLE queries for tables missing on one side, sorted so that
+   * referenced tables are created before the tables whose foreign keys use them.
+   * Foreign keys closing a reference cycle are moved to the 'deferred' phase.
+   * @param {object[]} tables - Missing tables, taken from the side that has them
+   * @param {object[]} sequences - Sequences of that side, for OWNED BY statements
    */
-  generateCreateTableSQL(tableInfo, queryType) {
-    const tableName = tableInfo.name;
-    let sql = `-- ${queryType} - Create ${tableName} table\n`;
-    sql += `CREATE TABLE "${tableName}" (\n`;
-
-    // Add columns
-    const columnDefinitions = [];
-    for (const column of tableInfo.columns) {
-      let columnDef = `    "${column.name}" ${column.dataType}`;
-
-      // NOT NULL check
-      if (!column.nullable) {
-        columnDef += ' NOT NULL';
+  generateCreateTableQueries(tables, sequences, queryType, fromLabel, toLabel) {
+    const tableMap = new Map(tables.map(table => [objectKey(table.schema, table.name), table]));
+    const referencedKey = (table, fk) => objectKey(fk.referencedSchema || table.schema, fk.referencedTable);
+    const graph = new DependencyGraph();
+
+    tableMap.forEach((table, tableName) => graph.addNode(tableName));
+    for (const [tableName, table] of tableMap) {
+      for (const fk of table.foreignKeys || []) {
+        graph.addDependency(tableName, referencedKey(table, fk));
       }
+    }
 
-      // DEFAULT value
-      if (column.defaultValue && column.defaultValue !== 'NULL') {
-        columnDef += ` DEFAULT ${column.defaultValue}`;
-      }
+    const { order, cycles } = graph.sort();
+
+    return order.map(tableName => {
+      const tableInfo = tableMap.get(tableName);
+      const deferredTables = new Set(cycles.filter(cycle => cycle.name === tableName).map(cycle => cycle.dependency));
+      const statements = this.generateCreateTableStatements(
+        tableInfo,
+        sequences,
+        fk => deferredTables.has(referencedKey(tableInfo, fk))
+      );
+
+      return {
+        type: queryType,
+        tableName,
+        statements,
+        sql: this.generateCreateTableSQL(tableInfo, queryType, statements),
+        description: `Create ${tableName} table from ${fromLabel} in ${toLabel}`
+      };
+    });
+  }
 
-      columnDefinitions.push(columnDef);
+  /**
+   * CREATE TABLE statements of a table, each tagged with its phase (see CREATE_PHASES)
+   * and the section it is listed under in the table's script
+   * @param {object[]} sequences - Sequences whose OWNED BY may point to the table
+   * @param {function} isDeferred - Whether a foreign key has to wait for the 'deferred' phase
+   */
+  generateCreateTableStatements(tableInfo, sequences = [], isDeferred = () => false) {
+    const tableName = qualifyName(tableInfo.schema, tableInfo.name);
+    const statements = [];
+    const add = (phase, section, sql) => statements.push({ sql, additive: true, phase, section });
+
+    const columnDefinitions = tableInfo.columns.map(column => `    ${this.migrationGenerator.formatColumnDefinition(column)}`);
+    add('table', null, `CREATE TABLE ${tableName} (\n${columnDefinitions.join(',\n')}\n)` +
+      (tableInfo.partitionKey ? ` PARTITION BY ${tableInfo.partitionKey};` : ';'));
+
+    // Add partitions before the constraints and indexes so that these cascade to them
+    for (const partition of tableInfo.partitions || []) {
+      add('table', 'Partitions', this.migrationGenerator.formatCreatePartition(partition, tableInfo));
     }
 
-    sql += columnDefinitions.join(',\n');
-    sql += '\n);\n\n';
+    for (const sql of this.sequenceComparator.generateOwnershipStatements(sequences, objectKey(tableInfo.schema, tableInfo.name))) {
+      add('table', 'Sequence ownership', sql);
+    }
 
-    // Add primary key constraint
     if (tableInfo.primaryKeys && tableInfo.primaryKeys.length > 0) {
       const pkColumns = tableInfo.primaryKeys.map(pk => `"${pk}"`).join(', ');
-      sql += `-- Primary key constraint\n`;
-      sql += `ALTER TABLE "${tableName}" ADD CONSTRAINT "${tableName}_pkey" PRIMARY KEY (${pkColumns});\n\n`;
+      const pkName = tableInfo.primaryKeyName || `${tableInfo.name}_pkey`;
+      add('constraint', 'Primary key constraint', `ALTER TABLE ${tableName} ADD CONSTRAINT "${pkName}" PRIMARY KEY (${pkColumns});`);
     }
 
-    // Add foreign key constraints
-    if (tableInfo.foreignKeys && tableInfo.foreignKeys.length > 0) {
-      sql += `-- Foreign key constraints\n`;
-      for (const fk of tableInfo.foreignKeys) {
-        const fkColumns = fk.columns.map(col => `"${col}"`).join(', ');
-        const refColumns = fk.referencedColumns.map(col => `"${col}"`).join(', ');
-        sql += `ALTER TABLE "${tableName}" ADD CONSTRAINT "${fk.name}" `;
-        sql += `FOREIGN KEY (${fkColumns}) REFERENCES "${fk.referencedTable}"(${refColumns});\n`;
-      }
-      sql += '\n';
+    // Unique constraints come before foreign keys, which may reference them
+    for (const constraint of tableInfo.constraints || []) {
+      add('constraint', 'Check, unique and exclusion constraints', `ALTER TABLE ${tableName} ADD CONSTRAINT "${constraint.name}" ${constraint.definition};`);
     }
 
-    // Add indexes
-    if (tableInfo.indexes && tableInfo.indexes.length > 0) {
-      sql += `-- Indexes\n`;
-      for (const index of tableInfo.indexes) {
-        const indexColumns = index.columns.map(col => `"${col}"`).join(', ');
-        const uniqueKeyword = index.unique ? 'UNIQUE ' : '';
-        sql += `CREATE ${uniqueKeyword}INDEX "${index.name}" ON "${tableName}" (${indexColumns});\n`;
-      }
-      sql += '\n';
+    const foreignKeys = tableInfo.foreignKeys || [];
+    for (const fk of foreignKeys.filter(fk => !isDeferred(fk))) {
+      add('constraint', 'Foreign key constraints', `ALTER TABLE ${tableName} ADD CONSTRAINT "${fk.name}" ${this.migrationGenerator.formatForeignKey(fk)};`);
     }
 
-    return sql;
+    // Constraint indexes are created by their constraints
+    for (const index of (tableInfo.indexes || []).filter(idx => !idx.primary && !idx.constraintName)) {
+      add('index', 'Indexes', this.migrationGenerator.formatCreateIndex(index, tableInfo.name, tableInfo.schema));
+    }
+
+    for (const fk of foreignKeys.filter(isDeferred)) {
+      add('deferred', 'Deferred foreign key constraints (reference cycle)', `ALTER TABLE ${tableName} ADD CONSTRAINT "${fk.name}" ${this.migrationGenerator.formatForeignKey(fk)};`);
+    }
+
+    return statements;
+  }
+
+  /**
+   * Generate the CREATE TABLE script of a table
+   */
+  generateCreateTableSQL(tableInfo, queryType, statements = this.generateCreateTableStatements(tableInfo)) {
+    let sql = `-- ${queryType} - Create ${objectKey(tableInfo.schema, tableInfo.name)} table\n`;
+    let section;
+
+    statements.forEach((statement, index) => {
+      if (index > 0 && statement.section !== section) {
+        sql += '\n';
+        if (statement.section) sql += `-- ${statement.section}\n`;
+      }
+      section = statement.section;
+      sql += `${statement.sql}\n`;
+    });
+
+    return `${sql}\n`;
   }
 
   /**
-   * Generate organized CREATE TABLE output
+   * Generate organized schema output, one SQL file per object kind and direction
+   * @param {object[]} schemaQueries - Queries typed as <PREFIX>_IN_EDGE / <PREFIX>_IN_CLOUD
+   * @param {string} baseOutputPath - Output directory
+   * @param {object|null} severity - Severity classification of the comparison, kept in the summary report
    */
-  async generateOrganizedSchemaOutput(createTableQueries, baseOutputPath = process.env.OUTPUT_DIR || 'output') {
+  async generateOrganizedSchemaOutput(schemaQueries, baseOutputPath = process.env.OUTPUT_DIR || 'output', severity = null) {
     // Create main output directory
     await fs.mkdir(baseOutputPath, { recursive: true });
 
@@ -671,87 +1854,123 @@ export class DatabaseComparator {
     await fs.mkdir(cloudToEdgePath, { recursive: true });
     await fs.mkdir(edgeToCloudPath, { recursive: true });
 
-    // Cloud → Edge SQLs (tables missing in Edge)
-    const cloudToEdgeQueries = createTableQueries.filter(q => q.type === 'CREATE_IN_EDGE');
-    const edgeToCloudQueries = createTableQueries.filter(q => q.type === 'CREATE_IN_CLOUD');
+    const directions = [
+      { path: cloudToEdgePath, suffix: 'EDGE', key: 'cloudToEdge', target: 'Edge', source: 'Cloud' },
+      { path: edgeToCloudPath, suffix: 'CLOUD', key: 'edgeToCloud', target: 'Cloud', source: 'Edge' }
+    ];
 
-    // Cloud → Edge SQL file
-    if (cloudToEdgeQueries.length > 0) {
-      let sql = `-- Auto-generated CREATE TABLE SQLs\n`;
-      sql += `-- Tables missing in Edge database\n`;
-      sql += `-- Generated at: ${new Date().toISOString()}\n\n`;
+    const counts = {};
+    const details = {};
 
-      for (const query of cloudToEdgeQueries) {
-        sql += query.sql;
-      }
-
-      await fs.writeFile(`${cloudToEdgePath}/missing-tables.sql`, sql, 'utf8');
-
-      // Report file
+    for (const direction of directions) {
       const report = {
         timestamp: new Date().toISOString(),
-        type: 'CREATE_IN_EDGE',
-        description: 'Tables missing in Edge database',
-        tables: cloudToEdgeQueries.map(q => ({
-          tableName: q.tableName,
-          description: q.description
-        }))
+        type: `CREATE_IN_${direction.suffix}`,
+        description: `Tables missing or different in ${direction.target} database`
       };
+      let hasQueries = false;
+      counts[direction.suffix] = {};
+
+      for (const output of SCHEMA_OUTPUT_FILES) {
+        const queries = schemaQueries.filter(q => q.type === `${output.prefix}_IN_${direction.suffix}`);
+        hasQueries = hasQueries || queries.length > 0;
+        counts[direction.suffix][output.key] = queries.length;
+        details[`${direction.key}${output.detailSuffix}`] = queries.map(q => q.tableName || q.objectName);
+        report[output.key] = queries.map(q => ({
+          [output.nameKey]: q.tableName || q.objectName,
+          ...(q.statements ? { statements: q.statements.length } : {}),
+          description: q.description
+        }));
 
-      await fs.writeFile(`${cloudToEdgePath}/report.json`, JSON.stringify(report, null, 2), 'utf8');
-    }
+        if (!output.file) continue;
 
-    // Edge → Cloud SQL file
-    if (edgeToCloudQueries.length > 0) {
-      let sql = `-- Auto-generated CREATE TABLE SQLs\n`;
-      sql += `-- Tables missing in Cloud database\n`;
-      sql += `-- Generated at: ${new Date().toISOString()}\n\n`;
+        // e.g. CREATE EXTENSION statements go to the top of missing-tables.sql
+        const leadingQueries = schemaQueries.filter(q =>
+          (output.leadingPrefixes || []).some(prefix => q.type === `${prefix}_IN_${direction.suffix}`)
+        );
 
-      for (const query of edgeToCloudQueries) {
-        sql += query.sql;
+        await this.writeSchemaSqlFile(`${direction.path}/${output.file}`, [...leadingQueries, ...queries], [
+          output.header,
+          output.description(direction)
+        ], output.phased);
       }
 
-      await fs.writeFile(`${edgeToCloudPath}/missing-tables.sql`, sql, 'utf8');
-
       // Report file
-      const report = {
-        timestamp: new Date().toISOString(),
-        type: 'CREATE_IN_CLOUD',
-        description: 'Tables missing in Cloud database',
-        tables: edgeToCloudQueries.map(q => ({
-          tableName: q.tableName,
-          description: q.description
-        }))
-      };
-
-      await fs.writeFile(`${edgeToCloudPath}/report.json`, JSON.stringify(report, null, 2), 'utf8');
+      if (hasQueries) {
+        await fs.writeFile(`${direction.path}/report.json`, JSON.stringify(report, null, 2), 'utf8');
+      }
     }
 
     // Summary report
     const summaryReport = {
       timestamp: new Date().toISOString(),
       summary: {
-        totalMissingTables: createTableQueries.length,
-        missingInEdge: cloudToEdgeQueries.length,
-        missingInCloud: edgeToCloudQueries.length
+        totalMissingTables: counts.EDGE.tables + counts.CLOUD.tables,
+        missingInEdge: counts.EDGE.tables,
+        missingInCloud: counts.CLOUD.tables,
+        inEdge: counts.EDGE,
+        inCloud: counts.CLOUD
       },
-      details: {
-        cloudToEdge: cloudToEdgeQueries.map(q => q.tableName),
-        edgeToCloud: edgeToCloudQueries.map(q => q.tableName)
-      }
+      severity,
+      details
     };
 
     await fs.writeFile(`${baseOutputPath}/schema-summary-report.json`, JSON.stringify(summaryReport, null, 2), 'utf8');
 
     return {
-      cloudToEdgeQueries: cloudToEdgeQueries.length,
-      edgeToCloudQueries: edgeToCloudQueries.length,
-      totalQueries: createTableQueries.length
+      cloudToEdgeQueries: counts.EDGE.tables,
+      edgeToCloudQueries: counts.CLOUD.tables,
+      totalQueries: counts.EDGE.tables + counts.CLOUD.tables,
+      cloudToEdge: counts.EDGE,
+      edgeToCloud: counts.CLOUD
     };
   }
 
   /**
-   * Execute CREATE TABLE SQLs
+   * Write queries to a SQL file with a header, skipped when there are no queries.
+   * In a phased file the statements of phased queries are grouped by CREATE_PHASES
+   * instead of by query, other queries (e.g. CREATE EXTENSION) are written first.
+   */
+  async writeSchemaSqlFile(filePath, queries, headerLines, phased = false) {
+    if (queries.length === 0) return;
+
+    let sql = headerLines.map(line => `-- ${line}\n`).join('');
+    sql += `-- Generated at: ${new Date().toISOString()}\n\n`;
+
+    const phasedQueries = phased ? queries.filter(query => (query.statements || []).some(statement => statement.phase)) : [];
+    for (const query of queries.filter(query => !phasedQueries.includes(query))) {
+      sql += query.sql;
+    }
+
+    CREATE_PHASES.forEach((phase, index) => {
+      const tables = phasedQueries
+        .map(query => ({ query, statements: this.getCreateStatements(query).filter(statement => statement.phase === phase.key) }))
+        .filter(table => table.statements.length > 0);
+      if (tables.length === 0) return;
+
+      sql += `-- Phase ${index + 1}/${CREATE_PHASES.length}: ${phase.label}\n\n`;
+      for (const { query, statements } of tables) {
+        sql += `-- ${query.type} - ${query.tableName}\n`;
+        sql += statements.map(statement => `${statement.sql}\n`).join('');
+        sql += '\n';
+      }
+    });
+
+    await fs.writeFile(filePath, sql, 'utf8');
+  }
+
+  /**
+   * Statements of a CREATE TABLE query, queries without phases run as a whole in the 'table' phase
+   */
+  getCreateStatements(query) {
+    return query.statements || [{ sql: query.sql, additive: true, phase: 'table' }];
+  }
+
+  /**
+   * Execute CREATE TABLE SQLs phase by phase (see CREATE_PHASES) over one connection
+   * per database, so that foreign keys are only added once every table exists.
+   * Later phases of a table are skipped after one of its statements failed.
+   * With options.transaction (TransactionManager) the statements run in its transaction.
    */
   async executeCreateTableQueries(createTableQueries, cloudUrl, edgeUrl, options = {}) {
     const results = {
@@ -759,56 +1978,149 @@ export class DatabaseComparator {
       edge: { success: 0, failed: 0, errors: [] }
     };
 
-    // Tables to be created in Edge (from Cloud)
-    const edgeQueries = createTableQueries.filter(q => q.type === 'CREATE_IN_EDGE');
-    if (edgeQueries.length > 0 && edgeUrl) {
-      console.log(chalk.blue('🏢 Creating tables in Edge database...'));
+    const targets = [
+      { key: 'edge', type: 'CREATE_IN_EDGE', url: edgeUrl, label: 'Edge', icon: '🏢' },
+      { key: 'cloud', type: 'CREATE_IN_CLOUD', url: cloudUrl, label: 'Cloud', icon: '☁️' }
+    ];
 
-      for (const query of edgeQueries) {
-        try {
-          if (options.dryRun) {
-            console.log(chalk.yellow(`[DRY RUN] ${query.tableName} table would be created`));
-            results.edge.success++;
-          } else {
-            // Connect to Edge DB and create table
-            const edgeClient = await this.createClient(edgeUrl, options);
-            await edgeClient.query(query.sql);
-            await edgeClient.end();
+    for (const target of targets) {
+      const queries = createTableQueries.filter(q => q.type === target.type);
+      if (queries.length === 0 || !target.url) continue;
 
-            console.log(chalk.green(`✅ ${query.tableName} table created in Edge`));
-            results.edge.success++;
+      console.log(chalk.blue(`${target.icon} Creating tables in ${target.label} database...`));
+
+      if (options.dryRun) {
+        for (const query of queries) {
+          console.log(chalk.yellow(`[DRY RUN] ${query.tableName} table would be created`));
+          results[target.key].success++;
+        }
+        continue;
+      }
+
+      // tableName -> error message of the first failed statement
+      const failed = new Map();
+      let client;
+      try {
+        if (!options.transaction) {
+          client = await this.createClient(target.url, options);
+        }
+
+        for (const phase of CREATE_PHASES) {
+          for (const query of queries) {
+            if (failed.has(query.tableName)) continue;
+
+            const statements = this.getCreateStatements(query)
+              .filter(statement => statement.phase === phase.key)
+              .map(statement => statement.sql);
+            if (statements.length === 0) continue;
+
+            try {
+              if (options.transaction) {
+                await options.transaction.run({ url: target.url, label: target.label, name: query.tableName, statements });
+              } else {
+                for (const sql of statements) {
+                  await client.query(sql);
+                }
+              }
+            } catch (error) {
+              if (error instanceof TransactionAbortedError) throw error;
+              console.log(chalk.red(`❌ Error creating ${query.tableName} table (${phase.label.toLowerCase()}): ${error.message}`));
+              failed.set(query.tableName, error.message);
+            }
           }
-        } catch (error) {
-          console.log(chalk.red(`❌ Error creating ${query.tableName} table: ${error.message}`));
-          results.edge.failed++;
-          results.edge.errors.push(`${query.tableName}: ${error.message}`);
+        }
+      } catch (error) {
+        if (error instanceof TransactionAbortedError) throw error;
+        console.log(chalk.red(`❌ Error connecting to ${target.label} database: ${error.message}`));
+        queries.filter(query => !failed.has(query.tableName)).forEach(query => failed.set(query.tableName, error.message));
+      } finally {
+        if (client) {
+          await client.end();
+        }
+      }
+
+      for (const query of queries) {
+        if (failed.has(query.tableName)) {
+          results[target.key].failed++;
+          results[target.key].errors.push(`${query.tableName}: ${failed.get(query.tableName)}`);
+        } else {
+          console.log(chalk.green(`✅ ${query.tableName} table created in ${target.label}`));
+          results[target.key].success++;
         }
       }
     }
 
-    // Tables to be created in Cloud (from Edge)
-    const cloudQueries = createTableQueries.filter(q => q.type === 'CREATE_IN_CLOUD');
-    if (cloudQueries.length > 0 && cloudUrl) {
-      console.log(chalk.blue('☁️ Creating tables in Cloud database...'));
+    return results;
+  }
+
+  /**
+   * Execute schema queries (table migrations, views, ...) in their target database.
+   * Queries either carry a list of statements or a single sql script; the target
+   * database is taken from the type suffix (_IN_EDGE / _IN_CLOUD).
+   * In 'both' direction only additive statements are run, since applying
+   * destructive changes both ways would just swap the differences.
+   * With options.transaction (TransactionManager) the statements run in its transaction.
+   */
+  async executeSchemaQueries(schemaQueries, cloudUrl, edgeUrl, options = {}) {
+    const direction = options.direction || 'both';
+    const results = {
+      cloud: { success: 0, failed: 0, skipped: 0, errors: [] },
+      edge: { success: 0, failed: 0, skipped: 0, errors: [] }
+    };
 
-      for (const query of cloudQueries) {
+    const targets = [
+      { key: 'edge', suffix: '_IN_EDGE', url: edgeUrl, label: 'Edge', icon: '🏢', enabled: direction !== 'edge-to-cloud' },
+      { key: 'cloud', suffix: '_IN_CLOUD', url: cloudUrl, label: 'Cloud', icon: '☁️', enabled: direction !== 'cloud-to-edge' }
+    ];
+
+    for (const target of targets) {
+      const queries = schemaQueries.filter(q => q.type.endsWith(target.suffix));
+      if (!target.enabled || queries.length === 0 || !target.url) continue;
+
+      console.log(chalk.blue(`${target.icon} Applying schema changes in ${target.label} database...`));
+
+      for (const query of queries) {
+        const name = query.tableName || query.objectName;
+        const allStatements = query.statements || [{ sql: query.sql, additive: query.additive !== false }];
+        const statements = direction === 'both'
+          ? allStatements.filter(statement => statement.additive)
+          : allStatements;
+        const skipped = allStatements.length - statements.length;
+
+        if (skipped > 0) {
+          console.log(chalk.yellow(`⚠️  ${name}: ${skipped} non-additive statement(s) skipped, use --direction to apply them`));
+          results[target.key].skipped += skipped;
+        }
+        if (statements.length === 0) continue;
+
+        let client;
         try {
           if (options.dryRun) {
-            console.log(chalk.yellow(`[DRY RUN] ${query.tableName} table would be created`));
-            results.cloud.success++;
+            console.log(chalk.yellow(`[DRY RUN] ${name} would be updated (${statements.length} statements)`));
+            results[target.key].success++;
+          } else if (options.transaction) {
+            await options.transaction.run({ url: target.url, label: target.label, name, statements: statements.map(statement => statement.sql) });
+
+            console.log(chalk.green(`✅ ${name} updated in ${target.label}`));
+            results[target.key].success++;
           } else {
-            // Connect to Cloud DB and create table
-            const cloudClient = await this.createClient(cloudUrl, options);
-            await cloudClient.query(query.sql);
-            await cloudClient.end();
+            client = await this.createClient(target.url, options);
+            for (const statement of statements) {
+              await client.query(statement.sql);
+            }
 
-            console.log(chalk.green(`✅ ${query.tableName} table created in Cloud`));
-            results.cloud.success++;
+            console.log(chalk.green(`✅ ${name} updated in ${target.label}`));
+            results[target.key].success++;
           }
         } catch (error) {
-          console.log(chalk.red(`❌ Error creating ${query.tableName} table: ${error.message}`));
-          results.cloud.failed++;
-          results.cloud.errors.push(`${query.tableName}: ${error.message}`);
+          if (error instanceof TransactionAbortedError) throw error;
+          console.log(chalk.red(`❌ Error updating ${name}: ${error.message}`));
+          results[target.key].failed++;
+          results[target.key].errors.push(`${name}: ${error.message}`);
+        } finally {
+          if (client) {
+            await client.end();
+          }
         }
       }
     }
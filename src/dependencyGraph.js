@@ -0,0 +1,68 @@
+/**
+ * Directed graph of object dependencies (tables through foreign keys, views
+ * through the relations they select from, types through the types they use),
+ * sorted so that every object comes after the objects it depends on.
+ */
+export class DependencyGraph {
+  constructor() {
+    // name -> set of names it depends on, in insertion order
+    this.nodes = new Map();
+  }
+
+  /**
+   * Add an object, adding it twice is a no-op
+   */
+  addNode(name) {
+    if (!this.nodes.has(name)) {
+      this.nodes.set(name, new Set());
+    }
+    return this;
+  }
+
+  /**
+   * Record that `name` depends on `dependency`.
+   * Self references and dependencies outside of the graph are ignored,
+   * objects outside of the graph are assumed to exist already.
+   */
+  addDependency(name, dependency) {
+    if (name !== dependency && this.nodes.has(name) && this.nodes.has(dependency)) {
+      this.nodes.get(name).add(dependency);
+    }
+    return this;
+  }
+
+  /**
+   * Topologically sort the graph, keeping the insertion order where there is no dependency.
+   * Cycles are broken by dropping the edge that closes them; dropped edges are
+   * returned as { name, dependency } so that callers can defer them.
+   */
+  sort() {
+    const order = [];
+    const cycles = [];
+    const visited = new Set();
+    const visiting = new Set();
+
+    const visit = name => {
+      if (visited.has(name)) return;
+      visiting.add(name);
+
+      for (const dependency of this.nodes.get(name)) {
+        if (visiting.has(dependency)) {
+          cycles.push({ name, dependency });
+        } else {
+          visit(dependency);
+        }
+      }
+
+      visiting.delete(name);
+      visited.add(name);
+      order.push(name);
+    };
+
+    for (const name of this.nodes.keys()) {
+      visit(name);
+    }
+
+    return { order, cycles };
+  }
+}
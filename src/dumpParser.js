@@ -6,8 +6,9 @@ import path from 'path';
  */
 export class DumpParser {
   constructor() {
+    // Tablolar "şema.tablo" anahtarıyla tutulur
     this.tables = new Map();
-    this.schema = 'public'; // varsayılan şema
+    this.defaultSchema = 'public'; // şemasız isimler için varsayılan şema
   }
 
   /**
@@ -42,34 +43,78 @@ export class DumpParser {
     let insertBuffer = '';
 
     for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+      let line = lines[i].trim();
+
+      // pg_dump "ALTER TABLE ONLY x" satırını bir sonraki "ADD CONSTRAINT" satırıyla birleştir
+      if (/^ALTER TABLE (?:ONLY )?[\w."]+$/.test(line) && lines[i + 1]?.trim().startsWith('ADD CONSTRAINT')) {
+        line = `${line} ${lines[i + 1].trim()}`;
+        i++;
+      }
       
       // CREATE TABLE ifadelerini yakala
       if (line.startsWith('CREATE TABLE')) {
         const match = line.match(/CREATE TABLE (?:(\w+)\.)?(\w+)/);
         if (match) {
-          const schema = match[1] || 'public';
+          const schema = match[1] || this.defaultSchema;
           const tableName = match[2];
           
-          if (schema === this.schema) {
-            currentTable = tableName;
-            currentColumns = [];
-            this.tables.set(currentTable, {
-              name: currentTable,
-              columns: [],
-              primaryKeys: [],
-              foreignKeys: [],
-              indexes: [],
-              data: []
-            });
+          currentTable = this.tableKey(schema, tableName);
+          currentColumns = [];
+          this.tables.set(currentTable, {
+            name: tableName,
+            schema,
+            columns: [],
+            primaryKeys: [],
+            foreignKeys: [],
+            constraints: [],
+            indexes: [],
+            data: [],
+            partitionKey: null,
+            partitionOf: null,
+            partitionBound: null
+          });
+
+          // Eski pg_dump biçimi: CREATE TABLE child PARTITION OF parent FOR VALUES ... / DEFAULT
+          const partitionMatch = line.match(/ PARTITION OF (?:(\w+)\.)?(\w+)(.*)$/);
+          if (partitionMatch) {
+            this.tables.get(currentTable).partitionOf = this.tableKey(partitionMatch[1], partitionMatch[2]);
+            this.setPartitionBound(currentTable, partitionMatch[3]);
+            if (line.endsWith(';')) {
+              currentTable = null;
+            }
           }
         }
       }
       
       // CREATE TABLE'dan sonraki satırları parse et
       else if (currentTable && !line.startsWith('--') && line.length > 0) {
+        // Bölümlü tablonun bölümleme anahtarı: ") PARTITION BY RANGE (recorded_at);"
+        if (/^\)?\s*PARTITION BY /.test(line)) {
+          this.tables.get(currentTable).partitionKey = line.replace(/^\)?\s*PARTITION BY /, '').replace(/;$/, '').trim();
+        }
+
+        // PARTITION OF tablosunun sınırı ayrı satırda olabilir
+        else if (/^(?:\)\s*)?(FOR VALUES |DEFAULT\b)/.test(line) && this.tables.get(currentTable).partitionOf) {
+          this.setPartitionBound(currentTable, line.replace(/^\)\s*/, ''));
+          if (line.endsWith(';')) {
+            currentTable = null;
+          }
+        }
+
+        // Tablo içi CHECK, UNIQUE ve EXCLUDE constraint tanımları
+        else if (line.startsWith('CONSTRAINT ')) {
+          const match = line.replace(/,$/, '').match(/^CONSTRAINT (\w+) ((CHECK|UNIQUE|EXCLUDE)\b.*)$/);
+          if (match) {
+            this.tables.get(currentTable).constraints.push({
+              name: match[1],
+              type: match[3],
+              definition: match[2]
+            });
+          }
+        }
+
         // Basit sütun tanımı kontrolü
-        if (line.includes('integer') || line.includes('character varying') || 
+        else if (line.includes('integer') || line.includes('character varying') || 
             line.includes('varchar') || line.includes('text') || 
             line.includes('numeric') || line.includes('timestamp')) {
           
@@ -84,6 +129,32 @@ export class DumpParser {
             // Veri tipini temizle
             dataType = dataType.replace(/\s+NOT\s+NULL.*$/i, '').trim();
             dataType = dataType.replace(/\s+DEFAULT.*$/i, '').trim();
+
+            // COLLATE ifadesini ayır
+            let collation = null;
+            const collateMatch = dataType.match(/\s+COLLATE\s+(?:pg_catalog\.)?"?([^"\s]+)"?$/i);
+            if (collateMatch) {
+              collation = collateMatch[1];
+              dataType = dataType.slice(0, collateMatch.index).trim();
+            }
+
+            // Uzunluk, precision ve scale değerlerini ayır (örn: character varying(50), numeric(10,2))
+            let maxLength = null;
+            let precision = null;
+            let scale = null;
+            const modifierMatch = dataType.match(/^(.+?)\((\d+)(?:,\s*(\d+))?\)$/);
+            if (modifierMatch) {
+              dataType = modifierMatch[1].trim();
+              if (dataType === 'numeric') {
+                precision = parseInt(modifierMatch[2]);
+                scale = modifierMatch[3] !== undefined ? parseInt(modifierMatch[3]) : 0;
+              } else {
+                maxLength = parseInt(modifierMatch[2]);
+              }
+            }
+
+            // DEFAULT ifadesini yakala
+            const defaultMatch = trimmedLine.match(/\sDEFAULT\s+(.+?)(?:\s+NOT\s+NULL)?$/i);
             
             const table = this.tables.get(currentTable);
             if (table) {
@@ -91,7 +162,11 @@ export class DumpParser {
                 name: columnName,
                 dataType: dataType,
                 nullable: !line.includes('NOT NULL'),
-                defaultValue: line.includes('DEFAULT') ? 'default' : null
+                defaultValue: defaultMatch ? defaultMatch[1] : null,
+                maxLength,
+                precision,
+                scale,
+                collation
               });
             }
           }
@@ -105,36 +180,76 @@ export class DumpParser {
       
       // PRIMARY KEY ifadelerini yakala
       else if (line.includes('ADD CONSTRAINT') && line.includes('PRIMARY KEY')) {
-        const match = line.match(/ALTER TABLE (?:\w+\.)?(\w+) ADD CONSTRAINT .+ PRIMARY KEY \(([^)]+)\)/);
-        if (match && this.tables.has(match[1])) {
-          const tableName = match[1];
-          const pkColumns = match[2].split(',').map(col => col.trim().replace(/"/g, ''));
-          this.tables.get(tableName).primaryKeys = pkColumns;
+        const match = line.match(/ALTER TABLE (?:ONLY )?(?:(\w+)\.)?(\w+) ADD CONSTRAINT (\w+) PRIMARY KEY \(([^)]+)\)/);
+        const tableKey = match && this.tableKey(match[1], match[2]);
+        if (match && this.tables.has(tableKey)) {
+          const pkColumns = match[4].split(',').map(col => col.trim().replace(/"/g, ''));
+          this.tables.get(tableKey).primaryKeys = pkColumns;
+          this.tables.get(tableKey).primaryKeyName = match[3];
         }
       }
       
       // FOREIGN KEY ifadelerini yakala
       else if (line.includes('ADD CONSTRAINT') && line.includes('FOREIGN KEY')) {
-        const match = line.match(/ALTER TABLE (?:\w+\.)?(\w+) ADD CONSTRAINT (\w+) FOREIGN KEY \(([^)]+)\) REFERENCES (?:\w+\.)?(\w+)\(([^)]+)\)/);
-        if (match && this.tables.has(match[1])) {
-          const tableName = match[1];
-          this.tables.get(tableName).foreignKeys.push({
-            name: match[2],
-            columns: match[3].split(',').map(col => col.trim().replace(/"/g, '')),
-            referencedTable: match[4],
-            referencedColumns: match[5].split(',').map(col => col.trim().replace(/"/g, ''))
+        const match = line.match(/ALTER TABLE (?:ONLY )?(?:(\w+)\.)?(\w+) ADD CONSTRAINT (\w+) FOREIGN KEY \(([^)]+)\) REFERENCES (?:(\w+)\.)?(\w+)\(([^)]+)\)(.*)$/);
+        const tableKey = match && this.tableKey(match[1], match[2]);
+        if (match && this.tables.has(tableKey)) {
+          const options = match[8];
+          const onDelete = options.match(/ON DELETE (CASCADE|RESTRICT|SET NULL|SET DEFAULT|NO ACTION)/);
+          const onUpdate = options.match(/ON UPDATE (CASCADE|RESTRICT|SET NULL|SET DEFAULT|NO ACTION)/);
+          const matchType = options.match(/MATCH (FULL|PARTIAL|SIMPLE)/);
+
+          this.tables.get(tableKey).foreignKeys.push({
+            name: match[3],
+            columns: match[4].split(',').map(col => col.trim().replace(/"/g, '')),
+            referencedSchema: match[5] || null,
+            referencedTable: match[6],
+            referencedColumns: match[7].split(',').map(col => col.trim().replace(/"/g, '')),
+            onDelete: onDelete ? onDelete[1] : 'NO ACTION',
+            onUpdate: onUpdate ? onUpdate[1] : 'NO ACTION',
+            matchType: matchType ? matchType[1] : 'SIMPLE',
+            deferrable: /\bDEFERRABLE\b/.test(options) && !/NOT DEFERRABLE/.test(options),
+            initiallyDeferred: options.includes('INITIALLY DEFERRED'),
+            validated: !options.includes('NOT VALID')
+          });
+        }
+      }
+      
+      // CHECK, UNIQUE ve EXCLUDE constraint ifadelerini yakala
+      else if (line.includes('ADD CONSTRAINT') && /ADD CONSTRAINT \w+ (CHECK|UNIQUE|EXCLUDE)\b/.test(line)) {
+        const match = line.match(/ALTER TABLE (?:ONLY )?(?:(\w+)\.)?(\w+) ADD CONSTRAINT (\w+) ((CHECK|UNIQUE|EXCLUDE)\b.*?);?$/);
+        const tableKey = match && this.tableKey(match[1], match[2]);
+        if (match && this.tables.has(tableKey)) {
+          this.tables.get(tableKey).constraints.push({
+            name: match[3],
+            type: match[5],
+            definition: match[4]
           });
         }
       }
       
+      // Bölümleri yakala: ALTER TABLE ONLY parent ATTACH PARTITION child FOR VALUES ... / DEFAULT;
+      else if (line.includes(' ATTACH PARTITION ') && line.startsWith('ALTER TABLE')) {
+        const match = line.match(/ALTER TABLE (?:ONLY )?(?:(\w+)\.)?(\w+) ATTACH PARTITION (?:(\w+)\.)?(\w+) (.+)$/);
+        const childKey = match && this.tableKey(match[3], match[4]);
+        if (match && this.tables.has(childKey)) {
+          this.tables.get(childKey).partitionOf = this.tableKey(match[1], match[2]);
+          this.setPartitionBound(childKey, match[5]);
+        }
+      }
+      
       // INDEX ifadelerini yakala
       else if (line.startsWith('CREATE INDEX') || line.startsWith('CREATE UNIQUE INDEX')) {
-        const match = line.match(/CREATE (?:UNIQUE )?INDEX (\w+) ON (?:\w+\.)?(\w+) \(([^)]+)\)/);
-        if (match && this.tables.has(match[2])) {
-          const tableName = match[2];
-          this.tables.get(tableName).indexes.push({
+        const match = line.match(/CREATE (?:UNIQUE )?INDEX (\w+) ON (?:ONLY )?(?:(\w+)\.)?(\w+)(?: USING (\w+))? \((.+?)\)(?: INCLUDE \(([^)]+)\))?(?: WHERE (.+?))?;?$/);
+        const tableKey = match && this.tableKey(match[2], match[3]);
+        if (match && this.tables.has(tableKey)) {
+          this.tables.get(tableKey).indexes.push({
             name: match[1],
-            columns: match[3].split(',').map(col => col.trim().replace(/"/g, '')),
+            definition: line.replace(/;$/, ''),
+            method: match[4] || 'btree',
+            columns: this.splitList(match[5]),
+            include: match[6] ? this.splitList(match[6]) : [],
+            predicate: match[7] || null,
             unique: line.includes('UNIQUE')
           });
         }
@@ -209,16 +324,44 @@ export class DumpParser {
     }
   }
 
+  /**
+   * Virgülle ayrılmış listeyi parantez seviyesine dikkat ederek böler
+   * (örn: "lower((email)::text), id DESC")
+   */
+  splitList(value) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      if (char === ',' && depth === 0) {
+        items.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) {
+      items.push(current.trim());
+    }
+
+    return items;
+  }
+
   /**
    * INSERT ifadesini parse eder
    */
   parseInsertStatement(statement) {
-    const match = statement.match(/INSERT INTO (?:\w+\.)?(\w+) \(([^)]+)\) VALUES (.+);/);
+    const match = statement.match(/INSERT INTO (?:(\w+)\.)?(\w+) \(([^)]+)\) VALUES (.+);/);
     if (!match) return;
 
-    const tableName = match[1];
-    const columns = match[2].split(',').map(col => col.trim().replace(/"/g, ''));
-    const valuesSection = match[3];
+    const tableName = this.tableKey(match[1], match[2]);
+    const columns = match[3].split(',').map(col => col.trim().replace(/"/g, ''));
+    const valuesSection = match[4];
 
     if (!this.tables.has(tableName)) return;
 
@@ -303,48 +446,133 @@ export class DumpParser {
     return value;
   }
 
+  /**
+   * Bölüm sınırını kaydeder ("FOR VALUES ..." veya "DEFAULT", sondaki ; ve PARTITION BY hariç)
+   */
+  setPartitionBound(tableKey, text) {
+    const table = this.tables.get(tableKey);
+    const bound = String(text || '').trim().replace(/;$/, '').trim();
+    const subPartition = bound.match(/\s+PARTITION BY (.+)$/);
+
+    if (subPartition) {
+      table.partitionKey = subPartition[1].trim();
+    }
+    const value = subPartition ? bound.slice(0, subPartition.index).trim() : bound;
+    if (value.startsWith('FOR VALUES') || value === 'DEFAULT') {
+      table.partitionBound = value;
+    }
+  }
+
+  /**
+   * Tablo anahtarını oluşturur (şemasız isimler varsayılan şemaya aittir)
+   */
+  tableKey(schema, tableName) {
+    return `${schema || this.defaultSchema}.${tableName}`;
+  }
+
   /**
    * Parse edilmiş tabloları döndürür
+   * @param {string[]|null} schemas - Sadece bu şemalardaki tablolar (null: hepsi)
+   */
+  getTables(schemas = null) {
+    return Array.from(this.tables.values())
+      .filter(table => !schemas || schemas.includes(table.schema));
+  }
+
+  /**
+   * Dump'ta tablosu bulunan şemaları döndürür
    */
-  getTables() {
-    return Array.from(this.tables.values());
+  getSchemas() {
+    return [...new Set(Array.from(this.tables.values()).map(table => table.schema))].sort();
   }
 
   /**
-   * Belirli bir tabloyu döndürür
+   * Belirli bir tabloyu döndürür ("tablo" veya "şema.tablo")
    */
   getTable(tableName) {
-    return this.tables.get(tableName);
+    return this.tables.get(tableName.includes('.') ? tableName : this.tableKey(null, tableName));
   }
 
   /**
    * Şema bilgilerini DatabaseComparator formatında döndürür
    */
-  getSchemaInfo() {
-    const tables = this.getTables();
+  getSchemaInfo(schemas = null) {
+    // Bölümler ayrı tablo olarak değil, ebeveyn tablonun partitions listesinde döner
+    const tables = this.getTables(schemas).filter(table => !this.isPartition(table));
     
     return {
       totalTables: tables.length,
-      tableList: tables.map(table => ({
-        name: table.name,
-        columns: table.columns,
-        primaryKeys: table.primaryKeys,
-        foreignKeys: table.foreignKeys,
-        indexes: table.indexes
-      }))
+      schemas: this.getSchemas().filter(schema => !schemas || schemas.includes(schema)),
+      tableList: tables.map(table => {
+        const rowCount = this.getPartitionedData(table).length;
+        return {
+          name: table.name,
+          schema: table.schema,
+          columns: table.columns,
+          primaryKeys: table.primaryKeys,
+          primaryKeyName: table.primaryKeyName || null,
+          foreignKeys: table.foreignKeys,
+          constraints: table.constraints,
+          indexes: table.indexes,
+          // Dump'ta veri varsa satır sayısı (isim değişikliği tespiti için)
+          estimatedRows: rowCount > 0 ? rowCount : null,
+          partitionKey: table.partitionKey,
+          partitions: this.getPartitions(table).map(partition => ({
+            name: partition.name,
+            schema: partition.schema,
+            bound: partition.partitionBound,
+            isDefault: partition.partitionBound === 'DEFAULT',
+            partitionKey: partition.partitionKey
+          }))
+        };
+      })
     };
   }
 
+  /**
+   * Tablo, dump'taki bölümlü bir tablonun bölümü mü
+   */
+  isPartition(table) {
+    return Boolean(table.partitionOf) && this.tables.has(table.partitionOf);
+  }
+
+  /**
+   * Bölümlü tablonun doğrudan bölümlerini döndürür
+   */
+  getPartitions(table) {
+    const tableKey = this.tableKey(table.schema, table.name);
+    return Array.from(this.tables.values()).filter(partition => partition.partitionOf === tableKey);
+  }
+
+  /**
+   * Tablonun ve tüm alt bölümlerinin kayıtlarını döndürür
+   */
+  getPartitionedData(table) {
+    return [...table.data, ...this.getPartitions(table).flatMap(partition => this.getPartitionedData(partition))];
+  }
+
   /**
    * Veri bilgilerini DataComparator formatında döndürür
+   * @param {string} partitionMode - 'parent': bölümlü tablolar tek tablo olarak, 'each': her bölüm ayrı
    */
-  getDataInfo() {
+  getDataInfo(schemas = null, partitionMode = 'parent') {
     const result = {};
     
-    for (const [tableName, table] of this.tables) {
+    for (const table of this.getTables(schemas)) {
+      let records;
+      if (partitionMode === 'each') {
+        // Sadece veriyi tutan yaprak tablolar (bölümlü ebeveynler atlanır)
+        if (table.partitionKey) continue;
+        records = table.data;
+      } else {
+        if (this.isPartition(table)) continue;
+        records = this.getPartitionedData(table);
+      }
+
+      const tableName = this.tableKey(table.schema, table.name);
       result[tableName] = {
-        records: table.data,
-        totalRecords: table.data.length
+        records,
+        totalRecords: records.length
       };
     }
     
@@ -0,0 +1,97 @@
+/**
+ * Compares installed extensions and scripts the missing ones
+ */
+export class ExtensionComparator {
+  /**
+   * Get installed extensions
+   * @param {object} client - Database client
+   */
+  async getExtensions(client) {
+    const extensionsQuery = `
+      SELECT e.extname, e.extversion, n.nspname AS schema_name
+      FROM pg_extension e
+      JOIN pg_namespace n ON n.oid = e.extnamespace
+      ORDER BY e.extname
+    `;
+
+    const result = await client.query(extensionsQuery);
+
+    return result.rows.map(row => ({
+      name: row.extname,
+      version: row.extversion,
+      schema: row.schema_name
+    }));
+  }
+
+  /**
+   * Compare extensions by name, version and schema
+   */
+  compareExtensions(sourceExtensions, targetExtensions) {
+    const sourceMap = new Map(sourceExtensions.map(extension => [extension.name, extension]));
+    const targetMap = new Map(targetExtensions.map(extension => [extension.name, extension]));
+
+    const onlyInSource = sourceExtensions.filter(extension => !targetMap.has(extension.name)).map(extension => extension.name);
+    const onlyInTarget = targetExtensions.filter(extension => !sourceMap.has(extension.name)).map(extension => extension.name);
+    const differences = [];
+
+    for (const [extensionName, sourceExtension] of sourceMap) {
+      const targetExtension = targetMap.get(extensionName);
+      if (!targetExtension) continue;
+
+      if (sourceExtension.version !== targetExtension.version) {
+        differences.push({
+          extensionName,
+          kind: 'VERSION',
+          difference: `Version difference: ${sourceExtension.version} vs ${targetExtension.version}`,
+          sourceValue: sourceExtension.version,
+          targetValue: targetExtension.version
+        });
+      }
+
+      if (sourceExtension.schema !== targetExtension.schema) {
+        differences.push({
+          extensionName,
+          kind: 'SCHEMA',
+          difference: `Schema difference: ${sourceExtension.schema} vs ${targetExtension.schema}`,
+          sourceValue: sourceExtension.schema,
+          targetValue: targetExtension.schema
+        });
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Generate CREATE EXTENSION queries for extensions missing on either side.
+   * Version and schema differences are only reported, upgrading an extension
+   * is left to the operator.
+   */
+  generateExtensionQueries(comparison, sourceExtensions, targetExtensions) {
+    return [
+      ...this.buildDirectionQueries('EXTENSION_IN_EDGE', sourceExtensions, comparison.onlyInSource, 'Cloud', 'Edge'),
+      ...this.buildDirectionQueries('EXTENSION_IN_CLOUD', targetExtensions, comparison.onlyInTarget, 'Edge', 'Cloud')
+    ];
+  }
+
+  /**
+   * Build CREATE EXTENSION queries for one direction
+   */
+  buildDirectionQueries(type, desiredExtensions, missingNames, fromLabel, toLabel) {
+    return desiredExtensions
+      .filter(extension => missingNames.includes(extension.name))
+      .map(extension => {
+        const schema = extension.schema === 'pg_catalog' ? '' : ` WITH SCHEMA "${extension.schema}"`;
+        const sql = `CREATE EXTENSION IF NOT EXISTS "${extension.name}"${schema};`;
+
+        return {
+          type,
+          objectType: 'extension',
+          objectName: extension.name,
+          statements: [{ sql, additive: true }],
+          sql: `-- ${type} - Extension ${extension.name} (version ${extension.version} in ${fromLabel})\n${sql}\n\n`,
+          description: `Create ${extension.name} extension from ${fromLabel} in ${toLabel}`
+        };
+      });
+  }
+}
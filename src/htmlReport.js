@@ -0,0 +1,357 @@
+import {
+  SCHEMA_OBJECT_GROUPS,
+  TABLE_MEMBERS,
+  DIRECTIONS,
+  getSchemaQueries,
+  getDirectionQueries,
+  sortBySeverity,
+  writeReportFile
+} from './reportUtils.js';
+
+// Records shown per table and direction; the SQL files keep all of them
+const SAMPLE_RECORDS = 10;
+
+// Longer statements (e.g. multi-row INSERTs) are cut in the report
+const MAX_SQL_LENGTH = 20000;
+const MAX_VALUE_LENGTH = 200;
+
+const SQL_KEYWORDS = new Set([
+  'ADD', 'ALL', 'ALTER', 'AND', 'AS', 'ASC', 'BEGIN', 'BY', 'CASCADE', 'CASE', 'CHECK', 'COLLATE', 'COLUMN',
+  'CONSTRAINT', 'CREATE', 'DECLARE', 'DEFAULT', 'DEFERRABLE', 'DELETE', 'DESC', 'DETACH', 'DISTINCT', 'DO',
+  'DOMAIN', 'DROP', 'ELSE', 'ENABLE', 'END', 'ENUM', 'EXCLUDE', 'EXECUTE', 'EXISTS', 'EXTENSION', 'FOR',
+  'FORCE', 'FOREIGN', 'FROM', 'FUNCTION', 'GENERATED', 'GRANT', 'IDENTITY', 'IF', 'IN', 'INCLUDE', 'INDEX',
+  'INITIALLY', 'INSERT', 'INTO', 'IS', 'KEY', 'LANGUAGE', 'LEVEL', 'LOOP', 'MATERIALIZED', 'NOT', 'NULL', 'OF',
+  'ON', 'OR', 'OWNED', 'PARTITION', 'PERFORM', 'POLICY', 'PRIMARY', 'PROCEDURE', 'RANGE', 'REFERENCES',
+  'RENAME', 'REPLACE', 'RETURNS', 'REVOKE', 'ROW', 'SCHEMA', 'SECURITY', 'SELECT', 'SEQUENCE', 'SET', 'STORED',
+  'TABLE', 'THEN', 'TO', 'TRIGGER', 'TYPE', 'UNIQUE', 'UPDATE', 'USING', 'VALUES', 'VIEW', 'WHEN', 'WHERE', 'WITH'
+]);
+
+const STYLES = `
+  :root { --breaking: #c62828; --risky: #e08600; --informational: #607d8b; --border: #dde3ea; --muted: #6b7785; }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px 32px; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2933; background: #f5f7fa; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 32px 0 12px; font-size: 18px; border-bottom: 2px solid var(--border); padding-bottom: 4px; }
+  h3 { margin: 16px 0 8px; font-size: 15px; }
+  .meta { color: var(--muted); margin: 0 0 4px; }
+  .dashboard { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 12px; margin-top: 16px; }
+  .card { background: #fff; border: 1px solid var(--border); border-radius: 6px; padding: 12px 16px; }
+  .card .value { font-size: 26px; font-weight: 600; }
+  .card .label { color: var(--muted); font-size: 12px; text-transform: uppercase; letter-spacing: .04em; }
+  .card.breaking .value { color: var(--breaking); }
+  .card.risky .value { color: var(--risky); }
+  .card.informational .value { color: var(--informational); }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+  .panel { background: #fff; border: 1px solid var(--border); border-radius: 6px; padding: 12px 16px; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { border: 1px solid var(--border); padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #eef2f6; font-weight: 600; }
+  td.value { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-all; }
+  details { background: #fff; border: 1px solid var(--border); border-radius: 6px; margin: 8px 0; }
+  details > summary { cursor: pointer; padding: 8px 12px; font-weight: 600; }
+  details > .body { padding: 0 12px 12px; }
+  .badge { display: inline-block; border-radius: 10px; padding: 0 8px; font-size: 11px; font-weight: 600; color: #fff; text-transform: uppercase; }
+  .badge.breaking { background: var(--breaking); }
+  .badge.risky { background: var(--risky); }
+  .badge.informational { background: var(--informational); }
+  .empty { color: var(--muted); font-style: italic; }
+  .ok { color: #2e7d32; font-weight: 600; }
+  pre.sql { margin: 0; padding: 12px; overflow-x: auto; background: #1e2430; color: #e6e9ef; border-radius: 4px; font: 12px/1.45 ui-monospace, Menlo, Consolas, monospace; }
+  .sql .kw { color: #82aaff; font-weight: 600; }
+  .sql .str { color: #c3e88d; }
+  .sql .num { color: #f78c6c; }
+  .sql .com { color: #7f8c98; font-style: italic; }
+  .sql .id { color: #ffcb6b; }
+  ul { margin: 4px 0; padding-left: 20px; }
+  @media print { body { background: #fff; } details { break-inside: avoid; } details:not([open]) > .body { display: block; } }
+`;
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * SQL as HTML with keywords, strings, numbers, quoted identifiers and comments wrapped in spans
+ */
+function highlightSql(sql) {
+  const tokens = /(--[^\n]*)|('(?:[^']|'')*'?)|("(?:[^"]|"")*"?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_$]*)|([\s\S])/g;
+  let html = '';
+  let match;
+  while ((match = tokens.exec(sql)) !== null) {
+    const [token, comment, string, identifier, number, word] = match;
+    if (comment) html += `<span class="com">${escapeHtml(token)}</span>`;
+    else if (string) html += `<span class="str">${escapeHtml(token)}</span>`;
+    else if (identifier) html += `<span class="id">${escapeHtml(token)}</span>`;
+    else if (number) html += `<span class="num">${escapeHtml(token)}</span>`;
+    else if (word && SQL_KEYWORDS.has(word.toUpperCase())) html += `<span class="kw">${escapeHtml(token)}</span>`;
+    else html += escapeHtml(token);
+  }
+  return html;
+}
+
+/**
+ * A statement cut to MAX_SQL_LENGTH, with a note pointing at the SQL files
+ */
+function truncateSql(sql) {
+  if (sql.length <= MAX_SQL_LENGTH) return sql;
+  return `${sql.slice(0, MAX_SQL_LENGTH)}\n-- ... ${sql.length - MAX_SQL_LENGTH} more characters, see the generated SQL files`;
+}
+
+/**
+ * Record value as short display text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return null;
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+function badge(severity) {
+  return severity ? `<span class="badge ${severity}">${severity}</span>` : '';
+}
+
+function card(label, value, className = '') {
+  return `<div class="${className ? `card ${className}` : 'card'}"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`;
+}
+
+/**
+ * Table with escaped cells; cells given as { html } are inserted as they are
+ */
+function htmlTable(headers, rows, cellClass = '') {
+  const cell = value => (value && typeof value === 'object' && 'html' in value ? value.html : escapeHtml(value));
+  const td = cellClass ? `<td class="${cellClass}">` : '<td>';
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(value => `${td}${cell(value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * Self-contained HTML reports of schema and data comparisons for the people who sign off
+ * on a sync: a summary dashboard, collapsible per-table differences, the generated SQL of
+ * both directions with syntax highlighting and samples of missing records. Styles are
+ * inlined and there is no script, so the file works offline and can be attached to tickets.
+ */
+export class HtmlReport {
+  /**
+   * Render the report of a schema comparison (see DatabaseComparator.compareSchemas)
+   * @param {object} metadata - { cloud, edge } source descriptions shown in the header
+   */
+  renderSchemaReport(result, metadata = {}) {
+    const queries = getSchemaQueries(result);
+    const severity = result.severity;
+
+    const dashboard = [
+      card('Tables in Cloud', result.sourceStats.totalTables),
+      card('Tables in Edge', result.targetStats.totalTables),
+      card('Common tables', result.commonTables.length),
+      card('Only in Cloud', result.onlyInSource.length),
+      card('Only in Edge', result.onlyInTarget.length),
+      card('Tables with differences', result.tableDifferences.length),
+      ...this.renderSeverityCards(severity),
+      ...DIRECTIONS.map(direction => card(`SQL ${direction.title}`, getDirectionQueries(queries, direction).length))
+    ];
+
+    const sections = [
+      `<h2>Summary</h2><div class="dashboard">${dashboard.join('')}</div>`,
+      this.renderFindings(severity),
+      this.renderMissingObjects(result),
+      this.renderTableDifferences(result.tableDifferences, result.commonTables.length),
+      this.renderObjectDifferences(result),
+      this.renderSql(queries, query => query.sql),
+      this.renderIgnored(result.ignored)
+    ];
+
+    return this.renderPage('Schema Comparison', metadata, sections);
+  }
+
+  /**
+   * Render the report of a data comparison (see DataComparator.compareData)
+   * @param {object} metadata - { cloud, edge } source descriptions shown in the header
+   */
+  renderDataReport(result, metadata = {}) {
+    const missingInEdge = result.tableResults.reduce((sum, table) => sum + table.missingInEdge.length, 0);
+    const missingInCloud = result.tableResults.reduce((sum, table) => sum + table.missingInCloud.length, 0);
+
+    const dashboard = [
+      card('Compared tables', result.summary.totalTables),
+      card('Tables with differences', result.summary.tablesWithDifferences),
+      card('Missing records', result.summary.totalMissingRecords),
+      card('Missing in Edge', missingInEdge),
+      card('Missing in Cloud', missingInCloud),
+      ...this.renderSeverityCards(result.severity)
+    ];
+
+    const tables = result.tableResults.map(table => {
+      const body = [
+        htmlTable(['', 'Cloud', 'Edge'], [
+          ['Records', table.totalCloudRecords ?? '-', table.totalEdgeRecords ?? '-'],
+          ['Missing', table.missingInCloud.length, table.missingInEdge.length]
+        ]),
+        this.renderRecordSample('Missing in Edge (from Cloud)', table.missingInEdge),
+        this.renderRecordSample('Missing in Cloud (from Edge)', table.missingInCloud)
+      ];
+      const status = table.hasDifferences
+        ? `${table.missingInEdge.length + table.missingInCloud.length} missing records`
+        : '<span class="ok">in sync</span>';
+      return this.renderDetails(`${escapeHtml(table.tableName)} ${badge(table.severity)} — ${status}`, body.join(''), table.hasDifferences);
+    });
+
+    const queries = [...result.insertQueries, ...(result.sequenceFixQueries || [])];
+
+    const sections = [
+      `<h2>Summary</h2><div class="dashboard">${dashboard.join('')}</div>`,
+      this.renderFindings(result.severity),
+      `<h2>Tables</h2>${tables.join('') || '<p class="empty">No tables compared</p>'}`,
+      this.renderSql(queries, query => query.query),
+      this.renderIgnored(result.ignored)
+    ];
+
+    return this.renderPage('Data Comparison', metadata, sections);
+  }
+
+  /**
+   * Write a rendered report, creating the directory when needed
+   */
+  async writeReport(filePath, html) {
+    await writeReportFile(filePath, html);
+  }
+
+  renderPage(title, metadata, sections) {
+    const sources = [
+      metadata.cloud ? `<p class="meta">Cloud: ${escapeHtml(metadata.cloud)}</p>` : '',
+      metadata.edge ? `<p class="meta">Edge: ${escapeHtml(metadata.edge)}</p>` : ''
+    ].join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>PDI ${escapeHtml(title)} Report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Postgres Diff Inspector — ${escapeHtml(title)}</h1>
+<p class="meta">Generated at ${escapeHtml(metadata.generatedAt || new Date().toISOString())}</p>
+${sources}
+${sections.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+  }
+
+  renderSeverityCards(severity) {
+    if (!severity) return [];
+    return ['breaking', 'risky', 'informational'].map(level => card(level, severity.counts[level], level));
+  }
+
+  renderDetails(summaryHtml, bodyHtml, open = false) {
+    return `<details${open ? ' open' : ''}><summary>${summaryHtml}</summary><div class="body">${bodyHtml}</div></details>`;
+  }
+
+  /**
+   * Every classified difference, most severe first
+   */
+  renderFindings(severity) {
+    if (!severity) return '';
+    if (severity.items.length === 0) {
+      return '<h2>Findings</h2><p class="ok">No differences found</p>';
+    }
+
+    const items = sortBySeverity(severity.items);
+    const rows = items.map(item => [{ html: badge(item.severity) }, item.category, item.name, item.difference]);
+    return `<h2>Findings</h2>${this.renderDetails(`${items.length} differences`, htmlTable(['Severity', 'Kind', 'Name', 'Difference'], rows), true)}`;
+  }
+
+  renderMissingObjects(result) {
+    const panel = (title, key) => {
+      const groups = SCHEMA_OBJECT_GROUPS
+        .map(group => ({ label: group.label, names: group.select(result)?.[key] || [] }))
+        .filter(group => group.names.length > 0);
+      const content = groups.length > 0
+        ? groups.map(group => `<h3>${escapeHtml(group.label)} (${group.names.length})</h3><ul>${group.names.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>`).join('')
+        : '<p class="empty">Nothing missing</p>';
+      return `<div class="panel"><h3>${title}</h3>${content}</div>`;
+    };
+
+    return `<h2>Missing Objects</h2><div class="columns">${panel('Only in Cloud (missing in Edge)', 'onlyInSource')}${panel('Only in Edge (missing in Cloud)', 'onlyInTarget')}</div>`;
+  }
+
+  renderTableDifferences(tableDifferences, commonTableCount) {
+    if (tableDifferences.length === 0) {
+      return `<h2>Table Differences</h2><p class="ok">No differences in ${commonTableCount} common tables</p>`;
+    }
+
+    const tables = tableDifferences.map(table => {
+      const rows = TABLE_MEMBERS.flatMap(member => (table[member.list] || []).map(diff => [
+        member.label,
+        member.name(diff),
+        diff.kind,
+        diff.difference,
+        { html: badge(diff.severity) }
+      ]));
+      const rename = table.tableRename
+        ? `<p>Renamed in Edge: ${escapeHtml(`${table.tableRename.target.schema}.${table.tableRename.target.name}`)}</p>`
+        : '';
+      const summary = `${escapeHtml(table.tableName)} ${badge(table.severity)} — ${rows.length} differences`;
+      return this.renderDetails(summary, rename + htmlTable(['Object', 'Name', 'Kind', 'Difference', 'Severity'], rows));
+    });
+
+    return `<h2>Table Differences</h2>${tables.join('')}`;
+  }
+
+  renderObjectDifferences(result) {
+    const rows = SCHEMA_OBJECT_GROUPS.flatMap(group => (group.select(result)?.differences || []).map(diff => [
+      group.label,
+      group.name(diff),
+      diff.difference,
+      { html: badge(diff.severity) }
+    ]));
+    if (rows.length === 0) return '';
+    return `<h2>Changed Objects</h2>${htmlTable(['Object', 'Name', 'Difference', 'Severity'], rows)}`;
+  }
+
+  /**
+   * Generated SQL of both directions, one collapsible block per table or object
+   * @param {function} sqlOf - SQL text of a query
+   */
+  renderSql(queries, sqlOf) {
+    const directions = DIRECTIONS.map(direction => {
+      const directionQueries = getDirectionQueries(queries, direction);
+      const blocks = directionQueries.map(query => {
+        const name = query.tableName || query.objectName;
+        const summary = `${escapeHtml(name)} <span class="meta">${escapeHtml(query.type)}${query.description ? ` — ${escapeHtml(query.description)}` : ''}</span>`;
+        return this.renderDetails(summary, `<pre class="sql">${highlightSql(truncateSql(sqlOf(query).trim()))}</pre>`);
+      });
+      return `<h3>${direction.title}</h3><p class="meta">${direction.note}</p>${blocks.join('') || '<p class="empty">No statements</p>'}`;
+    });
+
+    return `<h2>Generated SQL</h2>${directions.join('')}`;
+  }
+
+  renderRecordSample(title, records) {
+    if (records.length === 0) return '';
+
+    const sample = records.slice(0, SAMPLE_RECORDS);
+    const columns = [...new Set(sample.flatMap(record => Object.keys(record)))];
+    const rows = sample.map(record => columns.map(column => {
+      const value = formatValue(record[column]);
+      return value === null ? { html: '<span class="empty">NULL</span>' } : value;
+    }));
+    const shown = records.length > SAMPLE_RECORDS ? `first ${SAMPLE_RECORDS} of ${records.length}` : `${records.length}`;
+    return `<h3>${escapeHtml(title)}: ${shown}</h3>${htmlTable(columns, rows, 'value')}`;
+  }
+
+  renderIgnored(ignored) {
+    if (!ignored) return '';
+    const rows = ignored.rules.map(rule => [rule.rule, rule.direction, rule.source, rule.suppressed]);
+    return `<h2>Ignored Differences</h2><p>${ignored.totalSuppressed} differences suppressed by the ignore file</p>${htmlTable(['Rule', 'Direction', 'Source', 'Suppressed'], rows)}`;
+  }
+}
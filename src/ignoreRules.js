@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+
+// Object kinds a rule can name
+const RULE_KINDS = [
+  'schema',
+  'table',
+  'column',
+  'index',
+  'constraint',
+  'partition',
+  'view',
+  'function',
+  'trigger',
+  'sequence',
+  'type',
+  'extension',
+  'privilege',
+  'policy'
+];
+
+// Sections of an ignore file. Directional rules only hide objects that exist on one side:
+// cloud-to-edge objects only in Cloud, edge-to-cloud objects only in Edge.
+const RULE_DIRECTIONS = ['both', 'cloud-to-edge', 'edge-to-cloud'];
+
+/**
+ * Build the regular expression of a rule pattern: /regex/flags or a glob with * and ?
+ */
+function compilePattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Names a rule pattern is tested against: the full key and every shorter suffix,
+ * so "orders", "public.orders" and "public.orders.*_idx" all work.
+ * Routine arguments, e.g. "public.calc(integer)", are kept on every suffix.
+ */
+function candidateNames(key) {
+  const argumentsStart = key.indexOf('(');
+  const head = argumentsStart === -1 ? key : key.slice(0, argumentsStart);
+  const tail = argumentsStart === -1 ? '' : key.slice(argumentsStart);
+
+  const names = [key];
+  let dot = head.indexOf('.');
+  while (dot !== -1) {
+    names.push(head.slice(dot + 1) + tail);
+    dot = head.indexOf('.', dot + 1);
+  }
+  return names;
+}
+
+/**
+ * Direction of a table member difference from its kind, e.g. FK_MISSING_IN_TARGET is cloud-to-edge.
+ * Changed members exist on both sides and are only hidden by rules of the "both" section.
+ */
+function memberDirection(kind) {
+  if (kind.endsWith('MISSING_IN_TARGET')) return 'cloud-to-edge';
+  if (kind.endsWith('MISSING_IN_SOURCE')) return 'edge-to-cloud';
+  return 'both';
+}
+
+/**
+ * Rules for known, accepted differences (.pdiignore). Every line names an object kind
+ * and a glob or /regex/ pattern, sections scope the rules below them to a direction:
+ *
+ *   [edge-to-cloud]
+ *   table local_cache_*
+ *   column *.edge_synced_at
+ *
+ *   [cloud-to-edge]
+ *   index /_monitor_idx$/
+ *
+ * Matching differences are left out of the comparison and its SQL; the number of
+ * differences each rule suppressed is kept for the report.
+ */
+export class IgnoreRules {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * Load rules from an ignore file
+   */
+  async loadFile(filePath) {
+    this.parse(await fs.readFile(filePath, 'utf8'), filePath);
+    return this;
+  }
+
+  /**
+   * Parse ignore file content, rules are appended to the loaded ones
+   * @param {string} content - Ignore file content
+   * @param {string} source - File name used in rule references and errors
+   */
+  parse(content, source = 'ignore rules') {
+    let direction = 'both';
+
+    content.split('\n').forEach((rawLine, index) => {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+      const location = `${source}:${index + 1}`;
+      if (!line) return;
+
+      const section = line.match(/^\[(.+)\]$/);
+      if (section) {
+        direction = section[1].trim();
+        if (!RULE_DIRECTIONS.includes(direction)) {
+          throw new Error(`${location}: unknown section [${direction}], use ${RULE_DIRECTIONS.map(name => `[${name}]`).join(', ')}`);
+        }
+        return;
+      }
+
+      const [kind, ...patternParts] = line.split(/\s+/);
+      const pattern = patternParts.join(' ');
+      if (!RULE_KINDS.includes(kind)) {
+        throw new Error(`${location}: unknown object kind "${kind}", use one of ${RULE_KINDS.join(', ')}`);
+      }
+      if (!pattern) {
+        throw new Error(`${location}: missing pattern after "${kind}"`);
+      }
+
+      let regex;
+      try {
+        regex = compilePattern(pattern);
+      } catch (error) {
+        throw new Error(`${location}: invalid pattern ${pattern}: ${error.message}`);
+      }
+
+      this.rules.push({ kind, pattern, direction, regex, source: location, suppressed: 0 });
+    });
+
+    return this;
+  }
+
+  /**
+   * Whether any rule is loaded
+   */
+  isEmpty() {
+    return this.rules.length === 0;
+  }
+
+  /**
+   * Reset the suppressed counts before a new comparison
+   */
+  reset() {
+    this.rules.forEach(rule => {
+      rule.suppressed = 0;
+    });
+  }
+
+  /**
+   * Find the first rule matching an object
+   * @param {string} kind - Object kind, e.g. table or column
+   * @param {string} key - Object key, e.g. public.orders or public.orders.edge_synced_at
+   * @param {string} direction - cloud-to-edge (only in Cloud), edge-to-cloud (only in Edge) or both (on both sides)
+   */
+  match(kind, key, direction) {
+    const names = candidateNames(key);
+    return this.rules.find(rule =>
+      rule.kind === kind &&
+      (rule.direction === 'both' || rule.direction === direction) &&
+      names.some(name => rule.regex.test(name))
+    ) || null;
+  }
+
+  /**
+   * Count a difference against the first matching rule
+   * @param {number} count - Number of differences the object stands for, e.g. records of a table
+   * @returns {boolean} Whether the difference is suppressed
+   */
+  suppress(kind, key, direction, count = 1) {
+    const rule = this.match(kind, key, direction);
+    if (!rule) return false;
+    rule.suppressed += count;
+    return true;
+  }
+
+  /**
+   * Drop suppressed entries from a { onlyInSource, onlyInTarget, differences } comparison
+   * @param {function} differenceKey - Object key of a difference entry
+   */
+  filterComparison(kind, comparison, differenceKey) {
+    if (this.isEmpty() || !comparison) return comparison;
+
+    return {
+      ...comparison,
+      onlyInSource: comparison.onlyInSource.filter(key => !this.suppress(kind, key, 'cloud-to-edge')),
+      onlyInTarget: comparison.onlyInTarget.filter(key => !this.suppress(kind, key, 'edge-to-cloud')),
+      differences: comparison.differences.filter(diff => !this.suppress(kind, differenceKey(diff), 'both'))
+    };
+  }
+
+  /**
+   * Drop suppressed column, constraint, index and partition differences of a compared table
+   */
+  filterTableDifferences(differences) {
+    if (this.isEmpty()) return differences;
+
+    const members = [
+      { list: 'columnDifferences', kind: 'column', name: diff => diff.columnName },
+      { list: 'constraintDifferences', kind: 'constraint', name: diff => diff.constraintName },
+      { list: 'indexDifferences', kind: 'index', name: diff => diff.indexName },
+      { list: 'partitionDifferences', kind: 'partition', name: diff => diff.partitionName }
+    ];
+
+    const filtered = { ...differences };
+    for (const member of members) {
+      filtered[member.list] = (differences[member.list] || []).filter(diff =>
+        !this.suppress(member.kind, `${differences.tableName}.${member.name(diff)}`, memberDirection(diff.kind))
+      );
+    }
+    filtered.hasDifferences = Boolean(filtered.tableRename) || members.some(member => filtered[member.list].length > 0);
+    return filtered;
+  }
+
+  /**
+   * Suppressed differences per rule, for the report
+   */
+  getSummary() {
+    return {
+      totalSuppressed: this.rules.reduce((sum, rule) => sum + rule.suppressed, 0),
+      rules: this.rules.map(rule => ({
+        rule: `${rule.kind} ${rule.pattern}`,
+        direction: rule.direction,
+        source: rule.source,
+        suppressed: rule.suppressed
+      }))
+    };
+  }
+}
@@ -4,13 +4,38 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
+import path from 'path';
+import { existsSync } from 'fs';
 import { DatabaseComparator } from './databaseComparator.js';
 import { DataComparator } from './dataComparator.js';
 import { DumpParser } from './dumpParser.js';
+import { TransactionManager, TransactionAbortedError } from './transactionManager.js';
+import { IgnoreRules } from './ignoreRules.js';
+import { ProjectConfig, DEFAULT_CONFIG_FILE } from './projectConfig.js';
+import { SEVERITY_LEVELS } from './severityClassifier.js';
+import { HtmlReport } from './htmlReport.js';
+import { MarkdownReport } from './markdownReport.js';
+import { JunitReport } from './junitReport.js';
 
 // Load environment variables
 dotenv.config();
 
+// Settings of each command that the config file and environment variables can provide
+const RECORDS_SETTINGS = ['cloud', 'edge', 'schema', 'table', 'schemaMap', 'timeout', 'queryTimeout', 'batchSize', 'outputDir', 'ignoreFile'];
+const SCHEMA_SETTINGS = [...RECORDS_SETTINGS, 'roleMap'];
+
+const SEVERITY_COLORS = {
+  breaking: chalk.red,
+  risky: chalk.yellow,
+  informational: chalk.gray
+};
+
+// --format reports, written to the output directory as <command>-report.<extension>
+const REPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', create: () => new MarkdownReport() },
+  junit: { label: 'JUnit', extension: 'junit.xml', create: () => new JunitReport() }
+};
+
 const program = new Command();
 
 program
@@ -21,37 +46,76 @@ program
 program
   .command('schema')
   .description('Compare and synchronize database schemas between two PostgreSQL databases')
-  .option('-c, --cloud <url>', 'Cloud database connection URL', process.env.CLOUD_DB_URL)
-  .option('-e, --edge <url>', 'Edge database connection URL', process.env.EDGE_DB_URL)
+  .option('-c, --cloud <url>', 'Cloud database connection URL (default: CLOUD_DB_URL)')
+  .option('-e, --edge <url>', 'Edge database connection URL (default: EDGE_DB_URL)')
+  .option('--from <profile>', 'Cloud environment from the config file, e.g. cloud-prod')
+  .option('--to <profile>', 'Edge environment from the config file, e.g. edge-istanbul-01')
+  .option('--config <file>', 'Project config file (default: PDI_CONFIG or pdi.config.json when present)')
   .option('--cloud-dump <file>', 'Cloud database dump file')
   .option('--edge-dump <file>', 'Edge database dump file')
-  .option('-s, --schema <n>', 'Schema name to compare', process.env.DEFAULT_SCHEMA || 'public')
+  .option('--cloud-snapshot <file>', 'Cloud schema snapshot file (see pdi snapshot)')
+  .option('--edge-snapshot <file>', 'Edge schema snapshot file (see pdi snapshot)')
+  .option('-s, --schema <n>', 'Schema name(s) to compare, comma-separated or "all" (default: DEFAULT_SCHEMA or public)')
+  .option('--schema-map <mapping>', 'Map Cloud schemas to Edge schemas, e.g. public:site_042 (comma-separated, default: SCHEMA_MAP)')
+  .option('--role-map <mapping>', 'Map Cloud roles to Edge roles for privileges and policies, e.g. app_rw:site_042_rw (comma-separated, default: ROLE_MAP)')
   .option('-t, --table <tables>', 'Comma-separated list of specific tables to compare (optional)')
+  .option('--ignore-file <file>', 'Rules for accepted differences (default: PDI_IGNORE_FILE or .pdiignore when present)')
+  .option('--no-ignore', 'Report every difference, ignoring the ignore file')
   .option('-o, --output <file>', 'Output file (optional)')
+  .option('--html <file>', 'Write a self-contained HTML report for review and change tickets')
+  .option('--format <formats>', 'Also write the report as markdown and/or junit to the output directory (comma-separated)')
+  .option('--fail-on <level>', 'Exit with a non-zero code when a difference reaches this severity: breaking, risky or informational')
   .option('-v, --verbose', 'Verbose output')
-  .option('--execute', 'Automatically create missing tables')
+  .option('--execute', 'Automatically create missing tables and apply table migrations')
+  .option('--apply-renames', 'Treat detected table/column renames above --rename-threshold as confirmed (ALTER ... RENAME instead of CREATE)')
+  .option('--rename-threshold <n>', 'Minimum confidence (0-1) for --apply-renames (default: 0.8)', parseFloat, 0.8)
+  .option('--rename-map <file>', 'JSON file with confirmed renames: { "tables": { "cloud": "edge" }, "columns": { "table": { "cloud": "edge" } } }')
+  .option('--direction <direction>', 'Migration direction for --execute: cloud-to-edge, edge-to-cloud or both (default: both)', 'both')
+  .option('--transaction', 'Run the whole --execute plan in one transaction per database, rolled back on the first error')
+  .option('--savepoints', 'With --transaction, run each table in its own savepoint so that only failed tables are rolled back')
+  .option('--lock-timeout <ms>', 'Stop --execute statements waiting longer than this for a lock, in milliseconds (default: 10000)', value => parseInt(value, 10), 10000)
   .option('--dry-run', 'Preview SQL execution without running')
   .option('--timeout <ms>', 'Connection timeout in milliseconds (default: 120000)', parseInt)
   .option('--query-timeout <ms>', 'Query timeout in milliseconds (default: 300000)', parseInt)
   .option('--batch-size <n>', 'Batch size for large table processing (default: 10000)', parseInt)
+  .option('--output-dir <dir>', 'Directory of the organized SQL output (default: OUTPUT_DIR or output)')
   .action(async (options) => {
     try {
+      // Command line over environment variables over pdi.config.json
+      await applyProjectConfig(options, SCHEMA_SETTINGS);
+
       // Parameter validation
       const hasCloudUrl = options.cloud;
       const hasEdgeUrl = options.edge;
       const hasCloudDump = options.cloudDump;
       const hasEdgeDump = options.edgeDump;
+      const hasCloudSnapshot = options.cloudSnapshot;
+      const hasEdgeSnapshot = options.edgeSnapshot;
 
-      if (!hasCloudUrl && !hasCloudDump) {
-        console.error(chalk.red('❌ Cloud source required: --cloud URL, --cloud-dump file, or CLOUD_DB_URL environment variable'));
+      if (!hasCloudUrl && !hasCloudDump && !hasCloudSnapshot) {
+        console.error(chalk.red('❌ Cloud source required: --cloud URL, --from environment, --cloud-dump file, --cloud-snapshot file, or CLOUD_DB_URL environment variable'));
         process.exit(1);
       }
 
-      if (!hasEdgeUrl && !hasEdgeDump) {
-        console.error(chalk.red('❌ Edge source required: --edge URL, --edge-dump file, or EDGE_DB_URL environment variable'));
+      if (!hasEdgeUrl && !hasEdgeDump && !hasEdgeSnapshot) {
+        console.error(chalk.red('❌ Edge source required: --edge URL, --to environment, --edge-dump file, --edge-snapshot file, or EDGE_DB_URL environment variable'));
+        process.exit(1);
+      }
+
+      if ((hasCloudDump && hasCloudSnapshot) || (hasEdgeDump && hasEdgeSnapshot)) {
+        console.error(chalk.red('❌ Use either a dump file or a snapshot file for each side, not both'));
         process.exit(1);
       }
 
+      if (!['cloud-to-edge', 'edge-to-cloud', 'both'].includes(options.direction)) {
+        console.error(chalk.red('❌ Invalid --direction: use cloud-to-edge, edge-to-cloud or both'));
+        process.exit(1);
+      }
+
+      validateExecutionOptions(options);
+      validateFailOn(options);
+      const reportFormats = parseReportFormats(options.format);
+
       console.log(chalk.blue.bold('🔍 Postgres Diff Inspector (PDI) - Schema Comparison'));
       console.log(chalk.gray('='.repeat(50)));
 
@@ -64,17 +128,23 @@ program
       const comparator = new DatabaseComparator();
 
       console.log(chalk.yellow('📊 Starting comparison...'));
+      if (options.from || options.to) console.log(chalk.gray(`Environments: ${options.from || '-'} → ${options.to || '-'}`));
       if (hasCloudUrl) console.log(chalk.gray(`Cloud DB: ${options.cloud}`));
       if (hasCloudDump) console.log(chalk.gray(`Cloud Dump: ${options.cloudDump}`));
+      if (hasCloudSnapshot) console.log(chalk.gray(`Cloud Snapshot: ${options.cloudSnapshot}`));
       if (hasEdgeUrl) console.log(chalk.gray(`Edge DB: ${options.edge}`));
       if (hasEdgeDump) console.log(chalk.gray(`Edge Dump: ${options.edgeDump}`));
+      if (hasEdgeSnapshot) console.log(chalk.gray(`Edge Snapshot: ${options.edgeSnapshot}`));
       console.log(chalk.gray(`Schema: ${options.schema}`));
+      if (options.schemaMap) console.log(chalk.gray(`Schema Map: ${options.schemaMap}`));
+      if (options.roleMap) console.log(chalk.gray(`Role Map: ${options.roleMap}`));
       if (options.table) console.log(chalk.gray(`Tables: ${options.table}`));
       if (Object.keys(timeoutOptions).length > 0) {
         console.log(chalk.gray(`Timeout Config: ${JSON.stringify(timeoutOptions)}`));
       }
       if (options.execute) {
         console.log(chalk.red('⚠️  AUTOMATIC TABLE CREATION MODE ACTIVE!'));
+        console.log(chalk.gray(`Transaction: ${formatTransactionMode(options)}, lock timeout ${options.lockTimeout}ms`));
       }
       if (options.dryRun) {
         console.log(chalk.yellow('🔍 DRY RUN MODE ACTIVE!'));
@@ -84,6 +154,12 @@ program
       // Parse table filter if provided
       const tableFilter = options.table ? options.table.split(',').map(t => t.trim()) : null;
 
+      // Accepted differences from the ignore file
+      const ignoreRules = await loadIgnoreRules(options);
+
+      // Confirmed renames from the mapping file
+      const renameMap = options.renameMap ? await comparator.renameDetector.loadRenameMap(options.renameMap) : null;
+
       const result = await comparator.compareDatabases(
         options.cloud,
         options.edge,
@@ -92,7 +168,15 @@ program
         {
           cloudDump: options.cloudDump,
           edgeDump: options.edgeDump,
+          cloudSnapshot: options.cloudSnapshot,
+          edgeSnapshot: options.edgeSnapshot,
           tables: tableFilter,
+          schemaMap: options.schemaMap,
+          roleMap: options.roleMap,
+          renameMap,
+          applyRenames: options.applyRenames,
+          renameThreshold: options.renameThreshold,
+          ignoreRules,
           ...timeoutOptions
         }
       );
@@ -100,31 +184,114 @@ program
       // Display results
       displayResults(result, options.verbose);
 
-      // Handle missing tables if any
-      if (result.createTableQueries && result.createTableQueries.length > 0) {
-        console.log(chalk.blue.bold('\n🔧 Missing Table Operations'));
+      const createTableQueries = result.createTableQueries || [];
+      const alterTableQueries = result.alterTableQueries || [];
+      const viewQueries = result.viewQueries || [];
+      const routineQueries = result.routineQueries || [];
+      const sequenceQueries = result.sequenceQueries || [];
+      const typeQueries = result.typeQueries || [];
+      const extensionQueries = result.extensionQueries || [];
+      const createSchemaQueries = result.schemaQueries || [];
+      const securityQueries = result.securityQueries || [];
+      const schemaQueries = [...createSchemaQueries, ...extensionQueries, ...typeQueries, ...sequenceQueries, ...createTableQueries, ...alterTableQueries, ...routineQueries, ...viewQueries, ...securityQueries];
+
+      // Handle missing tables, migrations, routines and views if any
+      if (schemaQueries.length > 0) {
+        console.log(chalk.blue.bold('\n🔧 Schema Sync Operations'));
         console.log(chalk.gray('='.repeat(50)));
 
         // Generate organized output
-        const organizedOutput = await comparator.generateOrganizedSchemaOutput(result.createTableQueries);
+        const organizedOutput = await comparator.generateOrganizedSchemaOutput(schemaQueries, options.outputDir, result.severity);
         console.log(chalk.green(`📁 Organized schema output created:`));
-        console.log(chalk.gray(`   • Cloud → Edge: ${organizedOutput.cloudToEdgeQueries} tables`));
-        console.log(chalk.gray(`   • Edge → Cloud: ${organizedOutput.edgeToCloudQueries} tables`));
+        console.log(chalk.gray(`   • Cloud → Edge: ${formatOutputCounts(organizedOutput.cloudToEdge)}`));
+        console.log(chalk.gray(`   • Edge → Cloud: ${formatOutputCounts(organizedOutput.edgeToCloud)}`));
         console.log(chalk.gray(`   • Total missing tables: ${organizedOutput.totalQueries}`));
 
-        // Execute mode - create tables
+        // Execute mode - create tables and apply migrations
         if (options.execute) {
-          console.log(chalk.blue('\n🚀 Creating missing tables...'));
-
-          const executionResults = await comparator.executeCreateTableQueries(
-            result.createTableQueries,
-            options.cloud,
-            options.edge,
-            { dryRun: options.dryRun }
-          );
+          const executionResults = {
+            cloud: { success: 0, failed: 0, errors: [] },
+            edge: { success: 0, failed: 0, errors: [] }
+          };
+          const transaction = createTransaction(options, comparator, timeoutOptions);
+          const executeOptions = {
+            ...timeoutOptions,
+            dryRun: options.dryRun,
+            direction: options.direction,
+            lockTimeout: options.lockTimeout,
+            transaction
+          };
+
+          try {
+            // Schemas, extensions, types and sequences first, columns and defaults of new tables may use them
+            const preTableSteps = [
+              { label: 'schemas', queries: createSchemaQueries },
+              { label: 'extensions', queries: extensionQueries },
+              { label: 'types', queries: typeQueries },
+              { label: 'sequences', queries: sequenceQueries }
+            ];
+
+            for (const step of preTableSteps) {
+              if (step.queries.length === 0) continue;
+
+              console.log(chalk.blue(`\n🚀 Applying ${step.label} (${options.direction})...`));
+
+              const stepResults = await comparator.executeSchemaQueries(
+                step.queries,
+                options.cloud,
+                options.edge,
+                executeOptions
+              );
+              mergeExecutionResults(executionResults, stepResults);
+            }
+
+            if (createTableQueries.length > 0) {
+              console.log(chalk.blue('\n🚀 Creating missing tables...'));
+
+              const createResults = await comparator.executeCreateTableQueries(
+                createTableQueries,
+                options.cloud,
+                options.edge,
+                executeOptions
+              );
+              mergeExecutionResults(executionResults, createResults);
+            }
+
+            // Functions come before views and triggers that use them,
+            // views after migrations since they may select from new columns,
+            // privileges and policies last since they need every object to exist
+            const schemaSteps = [
+              { label: 'table migrations', queries: alterTableQueries },
+              { label: 'functions and procedures', queries: routineQueries.filter(q => q.type.startsWith('FUNCTION_')) },
+              { label: 'views', queries: viewQueries },
+              { label: 'triggers', queries: routineQueries.filter(q => q.type.startsWith('TRIGGER_')) },
+              { label: 'privileges and policies', queries: securityQueries }
+            ];
+
+            for (const step of schemaSteps) {
+              if (step.queries.length === 0) continue;
+
+              console.log(chalk.blue(`\n🚀 Applying ${step.label} (${options.direction})...`));
+
+              const stepResults = await comparator.executeSchemaQueries(
+                step.queries,
+                options.cloud,
+                options.edge,
+                executeOptions
+              );
+              mergeExecutionResults(executionResults, stepResults);
+            }
+
+            if (transaction) {
+              await commitTransaction(transaction);
+            }
+          } catch (error) {
+            if (!transaction) throw error;
+            await abortTransaction(transaction, error);
+          }
 
           // Display results
-          console.log(chalk.blue.bold('\n📋 Table Creation Results:'));
+          console.log(chalk.blue.bold('\n📋 Schema Sync Results:'));
           console.log(chalk.gray(`  • Total Successful: ${executionResults.cloud.success + executionResults.edge.success}`));
           console.log(chalk.gray(`  • Total Failed: ${executionResults.cloud.failed + executionResults.edge.failed}`));
 
@@ -157,6 +324,64 @@ program
         console.log(chalk.green(`📄 Report saved: ${options.output}`));
       }
 
+      if (options.html) {
+        const htmlReport = new HtmlReport();
+        await htmlReport.writeReport(options.html, htmlReport.renderSchemaReport(result, describeSources(options)));
+        console.log(chalk.green(`🌐 HTML report saved: ${options.html}`));
+      }
+
+      await writeFormatReports('schema', result, reportFormats, options);
+
+      exitOnSeverity(comparator.severityClassifier, result.severity, options.failOn);
+
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error:'), error.message);
+      if (options.verbose) {
+        console.error(chalk.red(error.stack));
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('snapshot')
+  .description('Save the schema of a PostgreSQL database to a snapshot file for later comparisons')
+  .requiredOption('-u, --url <url>', 'Database connection URL')
+  .requiredOption('-o, --output <file>', 'Snapshot file to write (JSON)')
+  .option('-s, --schema <n>', 'Schema name(s) to save, comma-separated or "all"', process.env.DEFAULT_SCHEMA || 'public')
+  .option('-t, --table <tables>', 'Comma-separated list of specific tables to save (optional)')
+  .option('-v, --verbose', 'Verbose output')
+  .option('--timeout <ms>', 'Connection timeout in milliseconds (default: 120000)', parseInt)
+  .option('--query-timeout <ms>', 'Query timeout in milliseconds (default: 300000)', parseInt)
+  .action(async (options) => {
+    try {
+      console.log(chalk.blue.bold('📸 Postgres Diff Inspector (PDI) - Schema Snapshot'));
+      console.log(chalk.gray('='.repeat(50)));
+
+      // Timeout configuration
+      const timeoutOptions = {};
+      if (options.timeout) timeoutOptions.timeout = options.timeout;
+      if (options.queryTimeout) timeoutOptions.queryTimeout = options.queryTimeout;
+
+      console.log(chalk.gray(`Schema: ${options.schema}`));
+      if (options.table) console.log(chalk.gray(`Tables: ${options.table}`));
+      console.log('');
+
+      const comparator = new DatabaseComparator();
+      const tableFilter = options.table ? options.table.split(',').map(t => t.trim()) : null;
+      const snapshot = await comparator.createSnapshot(options.url, options.output, options.schema, {
+        tables: tableFilter,
+        verbose: options.verbose,
+        ...timeoutOptions
+      });
+
+      const schemaInfo = snapshot.schemaInfo;
+      console.log(chalk.green(`📄 Snapshot saved: ${options.output}`));
+      console.log(chalk.gray(`  • Schemas: ${schemaInfo.schemas.join(', ') || '-'}`));
+      console.log(chalk.gray(`  • Tables: ${schemaInfo.totalTables}, views: ${schemaInfo.views.length}, routines: ${schemaInfo.routines.length}, triggers: ${schemaInfo.triggers.length}`));
+      console.log(chalk.gray(`  • Sequences: ${schemaInfo.sequences.length}, types: ${schemaInfo.types.length}, extensions: ${schemaInfo.extensions.length}`));
+      console.log(chalk.gray(`  • Compare against it with --cloud-snapshot ${options.output} or --edge-snapshot ${options.output}`));
+
     } catch (error) {
       console.error(chalk.red.bold('❌ Error:'), error.message);
       if (options.verbose) {
@@ -205,21 +430,38 @@ program
 program
   .command('records')
   .description('Compare and synchronize database records between two PostgreSQL databases')
-  .option('-c, --cloud <url>', 'Cloud database connection URL', process.env.CLOUD_DB_URL)
-  .option('-e, --edge <url>', 'Edge database connection URL', process.env.EDGE_DB_URL)
+  .option('-c, --cloud <url>', 'Cloud database connection URL (default: CLOUD_DB_URL)')
+  .option('-e, --edge <url>', 'Edge database connection URL (default: EDGE_DB_URL)')
+  .option('--from <profile>', 'Cloud environment from the config file, e.g. cloud-prod')
+  .option('--to <profile>', 'Edge environment from the config file, e.g. edge-istanbul-01')
+  .option('--config <file>', 'Project config file (default: PDI_CONFIG or pdi.config.json when present)')
   .option('--cloud-dump <file>', 'Cloud database dump file')
   .option('--edge-dump <file>', 'Edge database dump file')
-  .option('-s, --schema <n>', 'Schema name to compare', process.env.DEFAULT_SCHEMA || 'public')
+  .option('-s, --schema <n>', 'Schema name(s) to compare, comma-separated or "all" (default: DEFAULT_SCHEMA or public)')
+  .option('--schema-map <mapping>', 'Map Cloud schemas to Edge schemas, e.g. public:site_042 (comma-separated, default: SCHEMA_MAP)')
   .option('-t, --table <tables>', 'Comma-separated list of specific tables to compare (optional)')
+  .option('--ignore-file <file>', 'Rules for accepted differences (default: PDI_IGNORE_FILE or .pdiignore when present)')
+  .option('--no-ignore', 'Report every difference, ignoring the ignore file')
   .option('-o, --output <file>', 'SQL output file (optional)')
+  .option('--html <file>', 'Write a self-contained HTML report with samples of the missing records')
+  .option('--format <formats>', 'Also write the report as markdown and/or junit to the output directory (comma-separated)')
+  .option('--fail-on <level>', 'Exit with a non-zero code when a difference reaches this severity: breaking, risky or informational')
   .option('-v, --verbose', 'Verbose output')
+  .option('--partitions <mode>', 'Compare partitioned tables through the parent table or each partition on its own: parent or each (default: parent)', 'parent')
   .option('--execute', 'Automatically insert missing records')
+  .option('--transaction', 'Run the whole --execute plan in one transaction per database, rolled back on the first error')
+  .option('--savepoints', 'With --transaction, run each table in its own savepoint so that only failed tables are rolled back')
+  .option('--lock-timeout <ms>', 'Stop --execute statements waiting longer than this for a lock, in milliseconds (default: 10000)', value => parseInt(value, 10), 10000)
   .option('--dry-run', 'Preview SQL execution without running')
   .option('--timeout <ms>', 'Connection timeout in milliseconds (default: 120000)', parseInt)
   .option('--query-timeout <ms>', 'Query timeout in milliseconds (default: 300000)', parseInt)
   .option('--batch-size <n>', 'Batch size for large table processing (default: 10000)', parseInt)
+  .option('--output-dir <dir>', 'Directory of the organized SQL output (default: OUTPUT_DIR or output)')
   .action(async (options) => {
     try {
+      // Command line over environment variables over pdi.config.json
+      await applyProjectConfig(options, RECORDS_SETTINGS);
+
       // Parameter validation
       const hasCloudUrl = options.cloud;
       const hasEdgeUrl = options.edge;
@@ -227,15 +469,24 @@ program
       const hasEdgeDump = options.edgeDump;
 
       if (!hasCloudUrl && !hasCloudDump) {
-        console.error(chalk.red('❌ Cloud source required: --cloud URL, --cloud-dump file, or CLOUD_DB_URL environment variable'));
+        console.error(chalk.red('❌ Cloud source required: --cloud URL, --from environment, --cloud-dump file, or CLOUD_DB_URL environment variable'));
         process.exit(1);
       }
 
       if (!hasEdgeUrl && !hasEdgeDump) {
-        console.error(chalk.red('❌ Edge source required: --edge URL, --edge-dump file, or EDGE_DB_URL environment variable'));
+        console.error(chalk.red('❌ Edge source required: --edge URL, --to environment, --edge-dump file, or EDGE_DB_URL environment variable'));
+        process.exit(1);
+      }
+
+      if (!['parent', 'each'].includes(options.partitions)) {
+        console.error(chalk.red('❌ Invalid --partitions: use parent or each'));
         process.exit(1);
       }
 
+      validateExecutionOptions(options);
+      validateFailOn(options);
+      const reportFormats = parseReportFormats(options.format);
+
       console.log(chalk.blue.bold('🔍 Postgres Diff Inspector (PDI) - Data Comparison'));
       console.log(chalk.gray('='.repeat(50)));
 
@@ -248,17 +499,21 @@ program
       const dataComparator = new DataComparator();
 
       console.log(chalk.yellow('📊 Starting data comparison...'));
+      if (options.from || options.to) console.log(chalk.gray(`Environments: ${options.from || '-'} → ${options.to || '-'}`));
       if (hasCloudUrl) console.log(chalk.gray(`Cloud DB: ${options.cloud}`));
       if (hasCloudDump) console.log(chalk.gray(`Cloud Dump: ${options.cloudDump}`));
       if (hasEdgeUrl) console.log(chalk.gray(`Edge DB: ${options.edge}`));
       if (hasEdgeDump) console.log(chalk.gray(`Edge Dump: ${options.edgeDump}`));
       console.log(chalk.gray(`Schema: ${options.schema}`));
+      if (options.schemaMap) console.log(chalk.gray(`Schema Map: ${options.schemaMap}`));
       if (options.table) console.log(chalk.gray(`Tables: ${options.table}`));
+      console.log(chalk.gray(`Partitions: ${options.partitions}`));
       if (Object.keys(timeoutOptions).length > 0) {
         console.log(chalk.gray(`Timeout Config: ${JSON.stringify(timeoutOptions)}`));
       }
       if (options.execute) {
         console.log(chalk.red('⚠️  AUTOMATIC RECORD INSERTION MODE ACTIVE!'));
+        console.log(chalk.gray(`Transaction: ${formatTransactionMode(options)}, lock timeout ${options.lockTimeout}ms`));
       }
       if (options.dryRun) {
         console.log(chalk.yellow('🔍 DRY RUN MODE ACTIVE!'));
@@ -268,6 +523,9 @@ program
       // Parse table filter if provided
       const tableFilter = options.table ? options.table.split(',').map(t => t.trim()) : null;
 
+      // Accepted differences from the ignore file
+      const ignoreRules = await loadIgnoreRules(options);
+
       const result = await dataComparator.compareData(
         options.cloud,
         options.edge,
@@ -277,6 +535,9 @@ program
           cloudDump: options.cloudDump,
           edgeDump: options.edgeDump,
           tables: tableFilter,
+          schemaMap: options.schemaMap,
+          partitions: options.partitions,
+          ignoreRules,
           ...timeoutOptions
         }
       );
@@ -285,22 +546,63 @@ program
       displayDataResults(result, options.verbose);
 
       // Generate organized output
-      const organizedOutput = await dataComparator.generateOrganizedOutput(result.insertQueries);
+      const organizedOutput = await dataComparator.generateOrganizedOutput(result.insertQueries, options.outputDir, result.severity);
       console.log(chalk.green(`📁 Organized data output created:`));
       console.log(chalk.gray(`   • Cloud → Edge: ${organizedOutput.cloudToEdgeQueries} SQL files`));
       console.log(chalk.gray(`   • Edge → Cloud: ${organizedOutput.edgeToCloudQueries} SQL files`));
       console.log(chalk.gray(`   • Total records: ${organizedOutput.totalQueries}`));
 
+      if (options.html) {
+        const htmlReport = new HtmlReport();
+        await htmlReport.writeReport(options.html, htmlReport.renderDataReport(result, describeSources(options)));
+        console.log(chalk.green(`🌐 HTML report saved: ${options.html}`));
+      }
+
+      await writeFormatReports('records', result, reportFormats, options);
+
       // Execute mode - insert records
       if (options.execute) {
-        console.log(chalk.blue('\n🚀 Inserting missing records...'));
+        const transaction = createTransaction(options, dataComparator, timeoutOptions);
+        const executeOptions = { ...timeoutOptions, dryRun: options.dryRun, lockTimeout: options.lockTimeout, transaction };
+        let executionResults;
 
-        const executionResults = await dataComparator.executeAllInsertQueries(
-          result.insertQueries,
-          options.cloud,
-          options.edge,
-          { dryRun: options.dryRun }
-        );
+        try {
+          console.log(chalk.blue('\n🚀 Inserting missing records...'));
+
+          const insertResults = await dataComparator.executeAllInsertQueries(
+            result.insertQueries,
+            options.cloud,
+            options.edge,
+            executeOptions
+          );
+          executionResults = {
+            cloud: insertResults.cloudResults,
+            edge: insertResults.edgeResults
+          };
+
+          // Move sequences past the inserted keys so nextval does not collide
+          if (result.sequenceFixQueries && result.sequenceFixQueries.length > 0) {
+            console.log(chalk.blue('\n🔢 Fixing sequences of synced tables...'));
+
+            const fixResults = await dataComparator.executeSequenceFixQueries(
+              result.sequenceFixQueries,
+              options.cloud,
+              options.edge,
+              executeOptions
+            );
+            const fixErrors = [...fixResults.cloudResults.errors, ...fixResults.edgeResults.errors];
+            console.log(chalk.gray(`  • Sequence fix-ups: ${fixResults.cloudResults.success + fixResults.edgeResults.success} successful, ${fixErrors.length} failed`));
+            executionResults.cloud.errors.push(...fixResults.cloudResults.errors);
+            executionResults.edge.errors.push(...fixResults.edgeResults.errors);
+          }
+
+          if (transaction) {
+            await commitTransaction(transaction);
+          }
+        } catch (error) {
+          if (!transaction) throw error;
+          await abortTransaction(transaction, error);
+        }
 
         // Display execution results
         console.log(chalk.blue.bold('\n📋 Record Insertion Results:'));
@@ -324,11 +626,13 @@ program
         if (allErrors.length > 0) {
           console.log(chalk.red.bold('\n❌ Errors:'));
           allErrors.forEach(error => {
-            console.log(chalk.red(`  • ${error}`));
+            console.log(chalk.red(`  • ${error.table}: ${error.error}`));
           });
         }
       }
 
+      exitOnSeverity(dataComparator.severityClassifier, result.severity, options.failOn);
+
     } catch (error) {
       console.error(chalk.red.bold('❌ Error:'), error.message);
       if (options.verbose) {
@@ -338,8 +642,259 @@ program
     }
   });
 
+program
+  .command('config')
+  .description('Inspect the project config file')
+  .command('show')
+  .description('Print the resolved settings and where each one comes from (command line, environment or config file)')
+  .option('--from <profile>', 'Cloud environment from the config file')
+  .option('--to <profile>', 'Edge environment from the config file')
+  .option('--config <file>', 'Project config file (default: PDI_CONFIG or pdi.config.json when present)')
+  .option('--json', 'Print the settings as JSON')
+  .action(async (options) => {
+    try {
+      const config = await loadProjectConfig(options);
+      const { values, sources } = config.resolve({}, { from: options.from, to: options.to });
+      const settings = Object.fromEntries(SCHEMA_SETTINGS.map(key => [key, {
+        value: (['cloud', 'edge'].includes(key) ? maskConnectionUrl(values[key]) : values[key]) ?? null,
+        source: sources[key] || null
+      }]));
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          configFile: config.filePath,
+          environments: config.getProfileNames(),
+          from: options.from || null,
+          to: options.to || null,
+          settings
+        }, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue.bold('⚙️  Postgres Diff Inspector (PDI) - Resolved Settings'));
+      console.log(chalk.gray('='.repeat(50)));
+      if (config.filePath) {
+        const environments = config.getProfileNames();
+        console.log(chalk.gray(`Config file: ${config.filePath} (environments: ${environments.join(', ') || '-'})`));
+      } else {
+        console.log(chalk.gray('Config file: none'));
+      }
+      if (options.from || options.to) console.log(chalk.gray(`Environments: ${options.from || '-'} → ${options.to || '-'}`));
+      console.log('');
+
+      const width = Math.max(...SCHEMA_SETTINGS.map(key => key.length));
+      for (const [key, setting] of Object.entries(settings)) {
+        const value = setting.value === null ? chalk.gray('(not set)') : chalk.white(String(setting.value));
+        const source = setting.source ? chalk.gray(` (${setting.source})`) : '';
+        console.log(`  ${chalk.cyan(key.padEnd(width))}  ${value}${source}`);
+      }
+
+    } catch (error) {
+      console.error(chalk.red.bold('❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
 
+function validateFailOn(options) {
+  if (options.failOn && !SEVERITY_LEVELS.includes(options.failOn)) {
+    console.error(chalk.red(`❌ Invalid --fail-on: use ${[...SEVERITY_LEVELS].reverse().join(', ')}`));
+    process.exit(1);
+  }
+}
+
+function parseReportFormats(value) {
+  if (!value) return [];
+  const formats = [...new Set(value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+  const invalid = formats.filter(format => !REPORT_FORMATS[format]);
+  if (invalid.length > 0) {
+    console.error(chalk.red(`❌ Invalid --format ${invalid.join(', ')}: use ${Object.keys(REPORT_FORMATS).join(', ')}`));
+    process.exit(1);
+  }
+  return formats;
+}
+
+// --format reports of a schema or records result, next to the organized SQL output
+async function writeFormatReports(command, result, formats, options) {
+  for (const format of formats) {
+    const { label, extension, create } = REPORT_FORMATS[format];
+    const report = create();
+    const filePath = path.join(options.outputDir, `${command}-report.${extension}`);
+    const content = command === 'schema'
+      ? report.renderSchemaReport(result, describeSources(options))
+      : report.renderDataReport(result, describeSources(options));
+    await report.writeReport(filePath, content);
+    console.log(chalk.green(`📝 ${label} report saved: ${filePath}`));
+  }
+}
+
+// Exit codes: 0 nothing reached --fail-on, 1 error, otherwise SEVERITY_EXIT_CODES of the highest severity
+function exitOnSeverity(severityClassifier, severity, failOn) {
+  const exitCode = severityClassifier.getExitCode(severity, failOn);
+  if (exitCode !== 0) {
+    console.log(chalk.red.bold(`\n🚦 Differences reached --fail-on ${failOn} (highest: ${severity.highest}), exiting with code ${exitCode}`));
+    process.exit(exitCode);
+  }
+}
+
+function validateExecutionOptions(options) {
+  if (options.savepoints && !options.transaction) {
+    console.error(chalk.red('❌ --savepoints requires --transaction'));
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(options.lockTimeout) || options.lockTimeout < 0) {
+    console.error(chalk.red('❌ Invalid --lock-timeout: use a number of milliseconds (0 disables it)'));
+    process.exit(1);
+  }
+}
+
+function formatTransactionMode(options) {
+  if (!options.transaction) return 'off (each table commits on its own)';
+  return options.savepoints ? 'one per database, savepoint per table' : 'one per database, all-or-nothing';
+}
+
+// A dry run executes nothing, so it needs no transaction
+function createTransaction(options, comparator, timeoutOptions) {
+  const connect = url => comparator.createClient(url, { ...timeoutOptions, lockTimeout: options.lockTimeout });
+  return options.transaction && !options.dryRun
+    ? new TransactionManager(connect, { savepoints: options.savepoints })
+    : null;
+}
+
+async function commitTransaction(transaction) {
+  const committed = await transaction.commit();
+  if (committed.length > 0) {
+    console.log(chalk.green(`\n✅ Transaction committed in ${committed.join(' and ')}`));
+  }
+}
+
+async function abortTransaction(transaction, error) {
+  const rolledBack = await transaction.rollback();
+
+  console.log(chalk.red.bold('\n❌ Transaction rolled back'));
+  if (rolledBack.length > 0) {
+    console.log(chalk.gray(`  • Rolled back: ${rolledBack.join(', ')}`));
+  }
+  if (error.committed && error.committed.length > 0) {
+    console.log(chalk.yellow(`  • Already committed before the failure: ${error.committed.join(', ')}`));
+  }
+
+  if (error instanceof TransactionAbortedError) {
+    const { failure } = error;
+    console.log(chalk.red(`  • Failed in ${failure.label}: ${failure.name}`));
+    console.log(chalk.red(`  • Error: ${failure.message}`));
+    if (failure.statement) {
+      console.log(chalk.red('  • Statement:'));
+      console.log(chalk.gray(failure.statement));
+    }
+  } else {
+    console.log(chalk.red(`  • Error: ${error.message}`));
+  }
+
+  process.exit(1);
+}
+
+function mergeExecutionResults(target, source) {
+  for (const side of ['cloud', 'edge']) {
+    target[side].success += source[side].success;
+    target[side].failed += source[side].failed;
+    target[side].errors.push(...source[side].errors);
+  }
+}
+
+// An explicitly given config file must exist, the default pdi.config.json is optional.
+// --from and --to need a config file to look the environments up in.
+async function loadProjectConfig(options) {
+  const filePath = options.config || process.env.PDI_CONFIG;
+  const required = Boolean(filePath || options.from || options.to);
+  return new ProjectConfig().loadFile(filePath || DEFAULT_CONFIG_FILE, required);
+}
+
+// Replace the option values of a command with the resolved settings:
+// command line over environment variables over the config file over built-in defaults
+async function applyProjectConfig(options, keys) {
+  const config = await loadProjectConfig(options);
+  const cli = Object.fromEntries(keys.map(key => [key, options[key]]));
+  const { values } = config.resolve(cli, { from: options.from, to: options.to });
+  keys.forEach(key => {
+    options[key] = values[key];
+  });
+  if (config.filePath && options.verbose) {
+    console.log(chalk.gray(`Config file: ${config.filePath}`));
+  }
+  return config;
+}
+
+// Cloud and Edge sources for report headers, in the order the comparators pick them
+function describeSources(options) {
+  return {
+    cloud: options.cloudSnapshot || options.cloudDump || maskConnectionUrl(options.cloud),
+    edge: options.edgeSnapshot || options.edgeDump || maskConnectionUrl(options.edge)
+  };
+}
+
+// Connection URL with the password hidden, for printing
+function maskConnectionUrl(url) {
+  if (!url) return url;
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '****';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+// An explicitly given ignore file must exist, the default .pdiignore is optional
+async function loadIgnoreRules(options) {
+  const ignoreRules = new IgnoreRules();
+  if (options.ignore === false) return ignoreRules;
+
+  const filePath = options.ignoreFile || (existsSync('.pdiignore') ? '.pdiignore' : null);
+  if (filePath) {
+    await ignoreRules.loadFile(filePath);
+    console.log(chalk.gray(`Ignore rules: ${ignoreRules.rules.length} from ${filePath}`));
+  }
+  return ignoreRules;
+}
+
+function formatSeverity(severity) {
+  return severity ? SEVERITY_COLORS[severity](`[${severity}]`) : '';
+}
+
+// Counts per severity; breaking and risky differences are listed, informational ones with --verbose
+function displaySeverity(severity, verbose = false) {
+  if (!severity) return;
+
+  const counts = [...SEVERITY_LEVELS].reverse().map(level => SEVERITY_COLORS[level](`${severity.counts[level]} ${level}`));
+  console.log(chalk.bold(`\n🚦 Severity: ${counts.join(', ')}`));
+  severity.items
+    .filter(item => verbose || item.severity !== 'informational')
+    .forEach(item => {
+      console.log(`  ${formatSeverity(item.severity)} ${item.category} ${item.name}: ${item.difference}`);
+    });
+}
+
+function displayIgnoredDifferences(ignored, verbose = false) {
+  if (!ignored) return;
+
+  console.log(chalk.gray.bold(`\n🙈 Ignored Differences: ${ignored.totalSuppressed} suppressed`));
+  ignored.rules
+    .filter(rule => verbose || rule.suppressed > 0)
+    .forEach(rule => {
+      const direction = rule.direction === 'both' ? '' : ` [${rule.direction}]`;
+      console.log(chalk.gray(`  • ${rule.rule}${direction}: ${rule.suppressed} (${rule.source})`));
+    });
+}
+
+function formatOutputCounts(counts) {
+  return Object.entries(counts)
+    .map(([kind, count]) => `${count} ${kind}`)
+    .join(', ');
+}
+
 function displayResults(result, verbose = false) {
   console.log(chalk.blue.bold('\n📋 Comparison Results'));
   console.log(chalk.gray('='.repeat(50)));
@@ -378,6 +933,23 @@ function displayResults(result, verbose = false) {
     console.log('');
   }
 
+  // Likely renames, confirmed ones are migrated with ALTER ... RENAME
+  if (result.renames && (result.renames.tables.length > 0 || result.renames.columns.length > 0)) {
+    const formatRename = rename => {
+      const confidence = rename.confidence === null ? 'mapped' : `${Math.round(rename.confidence * 100)}%`;
+      const status = rename.confirmed ? chalk.green('confirmed') : chalk.yellow('candidate');
+      return `${rename.target} (Edge) -> ${rename.source} (Cloud), confidence ${confidence}, ${status}`;
+    };
+
+    console.log(chalk.magenta.bold('🔀 Likely Renames:'));
+    result.renames.tables.forEach(rename => console.log(`  • Table ${formatRename(rename)}`));
+    result.renames.columns.forEach(rename => console.log(`  • Column ${rename.tableName}: ${formatRename(rename)}`));
+    if ([...result.renames.tables, ...result.renames.columns].some(rename => !rename.confirmed)) {
+      console.log(chalk.gray('  Confirm candidates with --apply-renames or --rename-map <file>'));
+    }
+    console.log('');
+  }
+
   // CREATE TABLE SQL information
   if (result.createTableQueries && result.createTableQueries.length > 0) {
     console.log(chalk.green.bold('🔧 Generated CREATE TABLE SQLs:'));
@@ -400,30 +972,285 @@ function displayResults(result, verbose = false) {
     console.log('');
   }
 
+  // ALTER TABLE SQL information
+  if (result.alterTableQueries && result.alterTableQueries.length > 0) {
+    console.log(chalk.green.bold('🔧 Generated ALTER TABLE SQLs:'));
+    const edgeMigrations = result.alterTableQueries.filter(q => q.type === 'ALTER_IN_EDGE');
+    const cloudMigrations = result.alterTableQueries.filter(q => q.type === 'ALTER_IN_CLOUD');
+
+    if (edgeMigrations.length > 0) {
+      console.log(`  To be migrated in Edge database (to match Cloud):`);
+      edgeMigrations.forEach(query => {
+        console.log(`    • ${query.tableName}: ${query.statements.length} statements`);
+        (query.warnings || []).forEach(warning => console.log(chalk.yellow(`        ⚠️  ${warning}`)));
+        if (verbose) {
+          query.statements.forEach(statement => console.log(chalk.gray(`        ${statement.sql}`)));
+        }
+      });
+    }
+
+    if (cloudMigrations.length > 0) {
+      console.log(`  To be migrated in Cloud database (to match Edge):`);
+      cloudMigrations.forEach(query => {
+        console.log(`    • ${query.tableName}: ${query.statements.length} statements`);
+        (query.warnings || []).forEach(warning => console.log(chalk.yellow(`        ⚠️  ${warning}`)));
+        if (verbose) {
+          query.statements.forEach(statement => console.log(chalk.gray(`        ${statement.sql}`)));
+        }
+      });
+    }
+    console.log('');
+  }
+
+  // View information
+  if (result.views) {
+    if (result.views.onlyInSource.length > 0) {
+      console.log(chalk.yellow.bold('👁️  Views Only in Cloud:'));
+      result.views.onlyInSource.forEach(view => console.log(`  • ${view}`));
+      console.log('');
+    }
+
+    if (result.views.onlyInTarget.length > 0) {
+      console.log(chalk.yellow.bold('👁️  Views Only in Edge:'));
+      result.views.onlyInTarget.forEach(view => console.log(`  • ${view}`));
+      console.log('');
+    }
+
+    if (result.views.differences.length > 0) {
+      console.log(chalk.red.bold('🔍 View Differences:'));
+      result.views.differences.forEach(diff => {
+        console.log(`  • ${diff.viewName}: ${diff.difference}`);
+      });
+      console.log('');
+    }
+  }
+
+  if (result.viewQueries && result.viewQueries.length > 0) {
+    console.log(chalk.green.bold('🔧 Generated View SQLs:'));
+    result.viewQueries.forEach(query => {
+      console.log(`  • ${query.objectName}: ${query.description}`);
+      if (verbose) {
+        console.log(chalk.gray(query.sql.trim().split('\n').map(line => `      ${line}`).join('\n')));
+      }
+    });
+    console.log('');
+  }
+
+  // Schema information
+  if (result.schemas) {
+    const { onlyInSource, onlyInTarget } = result.schemas;
+
+    if (onlyInSource.length > 0 || onlyInTarget.length > 0) {
+      console.log(chalk.magenta.bold('🗂️  Schemas:'));
+      onlyInSource.forEach(schema => console.log(`  • ${schema}: only in Cloud`));
+      onlyInTarget.forEach(schema => console.log(`  • ${schema}: only in Edge`));
+      console.log('');
+    }
+  }
+
+  // Extension information
+  if (result.extensions) {
+    const { onlyInSource, onlyInTarget, differences } = result.extensions;
+
+    if (onlyInSource.length > 0 || onlyInTarget.length > 0 || differences.length > 0) {
+      console.log(chalk.magenta.bold('🧩 Extensions:'));
+      onlyInSource.forEach(extension => console.log(`  • ${extension}: only in Cloud`));
+      onlyInTarget.forEach(extension => console.log(`  • ${extension}: only in Edge`));
+      differences.forEach(diff => console.log(`  • ${diff.extensionName}: ${diff.difference}`));
+      console.log('');
+    }
+  }
+
+  // User-defined type information
+  if (result.types) {
+    if (result.types.onlyInSource.length > 0) {
+      console.log(chalk.yellow.bold('🏷️  Types Only in Cloud:'));
+      result.types.onlyInSource.forEach(type => console.log(`  • ${type}`));
+      console.log('');
+    }
+
+    if (result.types.onlyInTarget.length > 0) {
+      console.log(chalk.yellow.bold('🏷️  Types Only in Edge:'));
+      result.types.onlyInTarget.forEach(type => console.log(`  • ${type}`));
+      console.log('');
+    }
+
+    if (result.types.differences.length > 0) {
+      console.log(chalk.red.bold('🔍 Type Differences:'));
+      result.types.differences.forEach(diff => {
+        console.log(`  • ${diff.typeName}: ${diff.difference}`);
+      });
+      console.log('');
+    }
+  }
+
+  if (result.typeQueries && result.typeQueries.length > 0) {
+    console.log(chalk.green.bold('🔧 Generated Type SQLs:'));
+    result.typeQueries.forEach(query => {
+      console.log(`  • ${query.objectName}: ${query.description}`);
+      query.warnings.forEach(warning => console.log(chalk.yellow(`      ⚠️  ${warning}`)));
+      if (verbose) {
+        query.statements.forEach(statement => console.log(chalk.gray(`      ${statement.sql}`)));
+      }
+    });
+    console.log('');
+  }
+
+  // Sequence information
+  if (result.sequences) {
+    if (result.sequences.onlyInSource.length > 0) {
+      console.log(chalk.yellow.bold('🔢 Sequences Only in Cloud:'));
+      result.sequences.onlyInSource.forEach(sequence => console.log(`  • ${sequence}`));
+      console.log('');
+    }
+
+    if (result.sequences.onlyInTarget.length > 0) {
+      console.log(chalk.yellow.bold('🔢 Sequences Only in Edge:'));
+      result.sequences.onlyInTarget.forEach(sequence => console.log(`  • ${sequence}`));
+      console.log('');
+    }
+
+    if (result.sequences.differences.length > 0) {
+      console.log(chalk.red.bold('🔍 Sequence Differences:'));
+      result.sequences.differences.forEach(diff => {
+        console.log(`  • ${diff.sequenceName}: ${diff.difference}`);
+      });
+      console.log('');
+    }
+  }
+
+  if (result.sequenceQueries && result.sequenceQueries.length > 0) {
+    console.log(chalk.green.bold('🔧 Generated Sequence SQLs:'));
+    result.sequenceQueries.forEach(query => {
+      console.log(`  • ${query.objectName}: ${query.description}`);
+      if (verbose) {
+        query.statements.forEach(statement => console.log(chalk.gray(`      ${statement.sql}`)));
+      }
+    });
+    console.log('');
+  }
+
+  // Function, procedure and trigger information
+  if (result.routines) {
+    const objectGroups = [
+      { title: '⚙️  Functions Only in Cloud:', items: result.routines.onlyInSource },
+      { title: '⚙️  Functions Only in Edge:', items: result.routines.onlyInTarget },
+      { title: '⚡ Triggers Only in Cloud:', items: result.triggers.onlyInSource },
+      { title: '⚡ Triggers Only in Edge:', items: result.triggers.onlyInTarget }
+    ];
+
+    objectGroups.forEach(group => {
+      if (group.items.length > 0) {
+        console.log(chalk.yellow.bold(group.title));
+        group.items.forEach(item => console.log(`  • ${item}`));
+        console.log('');
+      }
+    });
+
+    if (result.routines.differences.length > 0) {
+      console.log(chalk.red.bold('🔍 Function Differences:'));
+      result.routines.differences.forEach(diff => {
+        console.log(`  • ${diff.signature}: ${diff.difference}`);
+      });
+      console.log('');
+    }
+
+    if (result.triggers.differences.length > 0) {
+      console.log(chalk.red.bold('🔍 Trigger Differences:'));
+      result.triggers.differences.forEach(diff => {
+        console.log(`  • ${diff.tableName}.${diff.triggerName}: ${diff.difference}`);
+      });
+      console.log('');
+    }
+  }
+
+  if (result.routineQueries && result.routineQueries.length > 0) {
+    console.log(chalk.green.bold('🔧 Generated Function/Trigger SQLs:'));
+    result.routineQueries.forEach(query => {
+      console.log(`  • ${query.objectName}: ${query.description}`);
+      if (verbose) {
+        console.log(chalk.gray(query.sql.trim().split('\n').map(line => `      ${line}`).join('\n')));
+      }
+    });
+    console.log('');
+  }
+
+  // Privilege, row level security and policy information
+  if (result.security) {
+    const securityGroups = [
+      { title: '🔐 Privileges Only in Cloud:', items: result.security.privileges.onlyInSource },
+      { title: '🔐 Privileges Only in Edge:', items: result.security.privileges.onlyInTarget },
+      { title: '🔐 Default Privileges Only in Cloud:', items: result.security.defaultPrivileges.onlyInSource },
+      { title: '🔐 Default Privileges Only in Edge:', items: result.security.defaultPrivileges.onlyInTarget },
+      { title: '🛡️  Policies Only in Cloud:', items: result.security.policies.onlyInSource },
+      { title: '🛡️  Policies Only in Edge:', items: result.security.policies.onlyInTarget },
+      { title: '🛡️  Row Level Security Only in Cloud:', items: result.security.rowSecurity.onlyInSource },
+      { title: '🛡️  Row Level Security Only in Edge:', items: result.security.rowSecurity.onlyInTarget }
+    ];
+
+    securityGroups.forEach(group => {
+      if (group.items.length > 0) {
+        console.log(chalk.yellow.bold(group.title));
+        group.items.forEach(item => console.log(`  • ${item}`));
+        console.log('');
+      }
+    });
+
+    const securityDifferences = [
+      ...result.security.privileges.differences.map(diff => ({ name: diff.privilegeName, difference: diff.difference })),
+      ...result.security.defaultPrivileges.differences.map(diff => ({ name: diff.privilegeName, difference: diff.difference })),
+      ...result.security.rowSecurity.differences.map(diff => ({ name: diff.tableName, difference: diff.difference })),
+      ...result.security.policies.differences.map(diff => ({ name: diff.policyName, difference: diff.difference }))
+    ];
+    if (securityDifferences.length > 0) {
+      console.log(chalk.red.bold('🔍 Security Differences:'));
+      securityDifferences.forEach(diff => console.log(`  • ${diff.name}: ${diff.difference}`));
+      console.log('');
+    }
+  }
+
+  if (result.securityQueries && result.securityQueries.length > 0) {
+    console.log(chalk.green.bold('🔧 Generated Security SQLs:'));
+    result.securityQueries.forEach(query => {
+      console.log(`  • ${query.objectName}: ${query.description}`);
+      if (verbose) {
+        query.statements.forEach(statement => console.log(chalk.gray(`      ${statement.sql}`)));
+      }
+    });
+    console.log('');
+  }
+
   // Common table differences
   if (result.tableDifferences.length > 0) {
     console.log(chalk.red.bold('🔍 Differences in Common Tables:'));
     result.tableDifferences.forEach(diff => {
-      console.log(`\n  📋 Table: ${chalk.bold(diff.tableName)}`);
+      console.log(`\n  📋 Table: ${chalk.bold(diff.tableName)} ${formatSeverity(diff.severity)}`);
 
       if (diff.columnDifferences.length > 0) {
         console.log('    🔹 Column Differences:');
         diff.columnDifferences.forEach(colDiff => {
-          console.log(`      • ${colDiff.columnName}: ${colDiff.difference}`);
+          console.log(`      • ${colDiff.columnName}: ${colDiff.difference} ${formatSeverity(colDiff.severity)}`);
         });
       }
 
       if (diff.constraintDifferences.length > 0) {
         console.log('    🔹 Constraint Differences:');
         diff.constraintDifferences.forEach(constDiff => {
-          console.log(`      • ${constDiff.constraintName}: ${constDiff.difference}`);
+          console.log(`      • ${constDiff.constraintName}: ${constDiff.difference} ${formatSeverity(constDiff.severity)}`);
         });
       }
 
       if (diff.indexDifferences.length > 0) {
         console.log('    🔹 Index Differences:');
         diff.indexDifferences.forEach(indexDiff => {
-          console.log(`      • ${indexDiff.indexName}: ${indexDiff.difference}`);
+          console.log(`      • ${indexDiff.indexName}: ${indexDiff.difference} ${formatSeverity(indexDiff.severity)}`);
+        });
+      }
+
+      if (diff.partitionDifferences && diff.partitionDifferences.length > 0) {
+        console.log('    🔹 Partition Differences:');
+        diff.partitionDifferences.forEach(partitionDiff => {
+          console.log(`      • ${partitionDiff.partitionName}: ${partitionDiff.difference} ${formatSeverity(partitionDiff.severity)}`);
         });
       }
     });
@@ -431,6 +1258,9 @@ function displayResults(result, verbose = false) {
     console.log(chalk.green('✅ No differences found in common tables!'));
   }
 
+  displayIgnoredDifferences(result.ignored, verbose);
+  displaySeverity(result.severity, verbose);
+
   console.log('\n' + '='.repeat(50));
   console.log(chalk.green.bold('✨ Schema comparison completed!'));
 }
@@ -448,7 +1278,7 @@ function displayDataResults(result, verbose = false) {
   console.log(chalk.cyan.bold('\n📋 Table-by-Table Results:'));
   result.tableResults.forEach(tableResult => {
     if (tableResult.hasDifferences) {
-      console.log(`  ❌ ${tableResult.tableName}`);
+      console.log(`  ❌ ${tableResult.tableName} ${formatSeverity(tableResult.severity)}`);
       console.log(`    • Cloud record count: ${tableResult.totalCloudRecords}`);
       console.log(`    • Edge record count: ${tableResult.totalEdgeRecords}`);
       console.log(`    • Missing in Edge: ${tableResult.missingInEdge.length} records`);
@@ -491,6 +1321,9 @@ function displayDataResults(result, verbose = false) {
     }
   }
 
+  displayIgnoredDifferences(result.ignored, verbose);
+  displaySeverity(result.severity, verbose);
+
   console.log('\n' + '='.repeat(50));
   console.log(chalk.green.bold('✨ Data comparison completed!'));
 } 
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { TABLE_MEMBERS, sortBySeverity, writeReportFile } from './reportUtils.js';
+import { SEVERITY_LEVELS } from './severityClassifier.js';
+
+// Schema objects outside tables, one test case per category of SeverityClassifier items
+const OBJECT_CASES = [
+  { category: 'schema', name: 'schemas' },
+  { category: 'extension', name: 'extensions' },
+  { category: 'type', name: 'types' },
+  { category: 'sequence', name: 'sequences' },
+  { category: 'view', name: 'views' },
+  { category: 'function', name: 'functions' },
+  { category: 'trigger', name: 'triggers' },
+  { category: 'privilege', name: 'privileges' },
+  { category: 'policy', name: 'policies' }
+];
+
+/**
+ * Escape text for XML content and attributes, dropping characters XML 1.0 does not allow
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function highestOf(items) {
+  return [...SEVERITY_LEVELS].reverse().find(level => items.some(item => item.severity === level)) || null;
+}
+
+/**
+ * A test case, failed when it has differences ({ severity, text } each)
+ * @returns {object} { failed, xml }
+ */
+function testCase(classname, name, differences, message) {
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+  if (differences.length === 0) {
+    return { failed: false, xml: `${open}/>` };
+  }
+  const severity = highestOf(differences);
+  const text = sortBySeverity(differences).map(diff => `[${diff.severity || 'difference'}] ${diff.text}`).join('\n');
+  return {
+    failed: true,
+    xml: `${open}>\n      <failure type="${escapeXml(severity || 'difference')}" message="${escapeXml(message)}">${escapeXml(text)}</failure>\n    </testcase>`
+  };
+}
+
+/**
+ * JUnit XML reports of schema and data comparisons for CI test dashboards: one test case
+ * per table, failed when the table has differences, with the severity as failure type.
+ * Schema reports add one test case per kind of other schema object.
+ */
+export class JunitReport {
+  /**
+   * Render the report of a schema comparison (see DatabaseComparator.compareSchemas)
+   * @param {object} metadata - { cloud, edge } source descriptions, written as suite properties
+   */
+  renderSchemaReport(result, metadata = {}) {
+    const items = result.severity?.items || [];
+    const tableDifferences = new Map((result.tableDifferences || []).map(table => [table.tableName, table]));
+    const tableNames = [...new Set([
+      ...(result.commonTables || []),
+      ...tableDifferences.keys(),
+      ...(result.onlyInSource || []),
+      ...(result.onlyInTarget || [])
+    ])];
+
+    const cases = tableNames.map(tableName => {
+      // Missing and renamed tables are classified as table items, members on the table difference
+      const differences = items
+        .filter(item => item.category === 'table' && item.name === tableName)
+        .map(item => ({ severity: item.severity, text: item.difference }));
+      const table = tableDifferences.get(tableName);
+      for (const member of TABLE_MEMBERS) {
+        (table?.[member.list] || []).forEach(diff => {
+          differences.push({ severity: diff.severity, text: `${member.label} ${member.name(diff)}: ${diff.difference}` });
+        });
+      }
+      return testCase('pdi.schema.tables', tableName, differences, `${differences.length} differences between Cloud and Edge`);
+    });
+
+    for (const objectCase of OBJECT_CASES) {
+      const differences = items
+        .filter(item => item.category === objectCase.category)
+        .map(item => ({ severity: item.severity, text: `${item.name}: ${item.difference}` }));
+      cases.push(testCase('pdi.schema.objects', objectCase.name, differences, `${differences.length} ${objectCase.name} differ between Cloud and Edge`));
+    }
+
+    return this.renderDocument('pdi.schema', metadata, cases);
+  }
+
+  /**
+   * Render the report of a data comparison (see DataComparator.compareData)
+   * @param {object} metadata - { cloud, edge } source descriptions, written as suite properties
+   */
+  renderDataReport(result, metadata = {}) {
+    const cases = (result.tableResults || []).map(table => {
+      const differences = [];
+      if (table.missingInEdge.length > 0) {
+        differences.push({ severity: table.severity, text: `${table.missingInEdge.length} records exist in Cloud but not in Edge` });
+      }
+      if (table.missingInCloud.length > 0) {
+        differences.push({ severity: table.severity, text: `${table.missingInCloud.length} records exist in Edge but not in Cloud` });
+      }
+      const message = `${table.missingInEdge.length} records missing in Edge, ${table.missingInCloud.length} missing in Cloud`;
+      return testCase('pdi.records', table.tableName, differences, message);
+    });
+
+    return this.renderDocument('pdi.records', metadata, cases);
+  }
+
+  /**
+   * Write a rendered report, creating the directory when needed
+   */
+  async writeReport(filePath, xml) {
+    await writeReportFile(filePath, xml);
+  }
+
+  renderDocument(suiteName, metadata, cases) {
+    const failures = cases.filter(testCaseResult => testCaseResult.failed).length;
+    const timestamp = (metadata.generatedAt || new Date().toISOString()).replace(/\.\d+Z$/, '');
+    const properties = ['cloud', 'edge']
+      .filter(key => metadata[key])
+      .map(key => `      <property name="${key}" value="${escapeXml(metadata[key])}"/>`);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${suiteName}" tests="${cases.length}" failures="${failures}" errors="0">`,
+      `  <testsuite name="${suiteName}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0" timestamp="${escapeXml(timestamp)}">`,
+      ...(properties.length > 0 ? ['    <properties>', ...properties, '    </properties>'] : []),
+      ...cases.map(testCaseResult => testCaseResult.xml),
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+}
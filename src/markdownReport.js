@@ -0,0 +1,213 @@
+import {
+  SCHEMA_OBJECT_GROUPS,
+  TABLE_MEMBERS,
+  DIRECTIONS,
+  getSchemaQueries,
+  getDirectionQueries,
+  writeReportFile
+} from './reportUtils.js';
+import { SEVERITY_LEVELS } from './severityClassifier.js';
+
+// Entries per list before the rest is only counted; merge request comments have a size limit
+const MAX_LIST_ITEMS = 50;
+
+/**
+ * Text for a table cell or list entry: no line breaks, pipes and markup escaped
+ */
+function escapeMarkdown(value) {
+  return String(value ?? '')
+    .replace(/\s*\r?\n\s*/g, ' ')
+    .replace(/([\\`*_|<>[\]])/g, '\\$1');
+}
+
+/**
+ * Object name as inline code
+ */
+function code(value) {
+  const text = String(value ?? '').replace(/\s*\r?\n\s*/g, ' ');
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+function formatSeverity(severity) {
+  return severity ? `**${severity}**` : '';
+}
+
+function sumOf(items, valueOf) {
+  return items.reduce((sum, item) => sum + (valueOf(item) || 0), 0);
+}
+
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Bullet list cut to MAX_LIST_ITEMS entries
+ */
+function bulletList(lines) {
+  const shown = lines.slice(0, MAX_LIST_ITEMS).map(line => `- ${line}`);
+  if (lines.length > MAX_LIST_ITEMS) {
+    shown.push(`- … ${lines.length - MAX_LIST_ITEMS} more`);
+  }
+  return shown.join('\n');
+}
+
+/**
+ * Markdown reports of schema and data comparisons for merge request comments and CI job
+ * summaries: summary tables, the differences of each table and the generated SQL per direction.
+ * The SQL itself stays in the organized output files.
+ */
+export class MarkdownReport {
+  /**
+   * Render the report of a schema comparison (see DatabaseComparator.compareSchemas)
+   * @param {object} metadata - { cloud, edge } source descriptions shown in the header
+   */
+  renderSchemaReport(result, metadata = {}) {
+    const queries = getSchemaQueries(result);
+
+    const summary = markdownTable(['', 'Cloud', 'Edge'], [
+      ['Tables', result.sourceStats?.totalTables ?? '-', result.targetStats?.totalTables ?? '-'],
+      ['Missing tables', (result.onlyInTarget || []).length, (result.onlyInSource || []).length],
+      ['SQL statements to run', getDirectionQueries(queries, DIRECTIONS[1]).length, getDirectionQueries(queries, DIRECTIONS[0]).length]
+    ]);
+
+    const sections = [
+      this.renderHeader('Schema Comparison', metadata, result.severity),
+      `${summary}\n\n${(result.commonTables || []).length} common tables, ${(result.tableDifferences || []).length} with differences.`,
+      this.renderSeverity(result.severity),
+      this.renderMissingObjects(result),
+      this.renderTableDifferences(result.tableDifferences || []),
+      this.renderObjectDifferences(result),
+      this.renderIgnored(result.ignored)
+    ];
+
+    return `${sections.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  /**
+   * Render the report of a data comparison (see DataComparator.compareData)
+   * @param {object} metadata - { cloud, edge } source descriptions shown in the header
+   */
+  renderDataReport(result, metadata = {}) {
+    const tableResults = result.tableResults || [];
+    const changed = tableResults.filter(table => table.hasDifferences);
+    const queries = [...(result.insertQueries || []), ...(result.sequenceFixQueries || [])];
+
+    const summary = markdownTable(['', 'Cloud', 'Edge'], [
+      ['Records', sumOf(tableResults, table => table.totalCloudRecords), sumOf(tableResults, table => table.totalEdgeRecords)],
+      ['Missing records', sumOf(tableResults, table => table.missingInCloud.length), sumOf(tableResults, table => table.missingInEdge.length)]
+    ]);
+
+    const rows = changed.slice(0, MAX_LIST_ITEMS).map(table => [
+      code(table.tableName),
+      table.totalCloudRecords ?? '-',
+      table.totalEdgeRecords ?? '-',
+      table.missingInEdge.length,
+      table.missingInCloud.length,
+      formatSeverity(table.severity)
+    ]);
+    const inSync = tableResults.length - changed.length;
+    const tables = changed.length > 0
+      ? [
+        markdownTable(['Table', 'Cloud records', 'Edge records', 'Missing in Edge', 'Missing in Cloud', 'Severity'], rows),
+        changed.length > MAX_LIST_ITEMS ? `… ${changed.length - MAX_LIST_ITEMS} more tables with differences.` : '',
+        inSync > 0 ? `${inSync} tables in sync.` : ''
+      ].filter(Boolean).join('\n\n')
+      : `All ${tableResults.length} tables in sync.`;
+
+    const sql = DIRECTIONS.map(direction => {
+      const directionQueries = getDirectionQueries(queries, direction);
+      const records = sumOf(directionQueries, query => query.recordCount);
+      return `- ${direction.title}: ${directionQueries.length} statements, ${records} records`;
+    });
+
+    const sections = [
+      this.renderHeader('Data Comparison', metadata, result.severity),
+      `${summary}\n\n${tableResults.length} tables compared, ${changed.length} with differences.`,
+      this.renderSeverity(result.severity),
+      `### Tables\n\n${tables}`,
+      `### Generated SQL\n\n${sql.join('\n')}`,
+      this.renderIgnored(result.ignored)
+    ];
+
+    return `${sections.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  /**
+   * Write a rendered report, creating the directory when needed
+   */
+  async writeReport(filePath, markdown) {
+    await writeReportFile(filePath, markdown);
+  }
+
+  renderHeader(title, metadata, severity) {
+    const lines = [`## Postgres Diff Inspector — ${title}`];
+    const sources = [
+      metadata.cloud ? `Cloud: ${code(metadata.cloud)}` : '',
+      metadata.edge ? `Edge: ${code(metadata.edge)}` : ''
+    ].filter(Boolean);
+    if (sources.length > 0) {
+      lines.push(sources.join(' · '));
+    }
+    if (severity) {
+      lines.push(severity.highest ? `Highest severity: ${formatSeverity(severity.highest)}` : 'No differences found.');
+    }
+    return lines.join('\n\n');
+  }
+
+  renderSeverity(severity) {
+    if (!severity) return '';
+    const levels = [...SEVERITY_LEVELS].reverse();
+    return markdownTable(levels, [levels.map(level => severity.counts[level])]);
+  }
+
+  renderMissingObjects(result) {
+    const list = key => SCHEMA_OBJECT_GROUPS
+      .map(group => ({ label: group.label, names: group.select(result)?.[key] || [] }))
+      .filter(group => group.names.length > 0)
+      .map(group => `${group.label} (${group.names.length}): ${group.names.slice(0, MAX_LIST_ITEMS).map(code).join(', ')}` +
+        (group.names.length > MAX_LIST_ITEMS ? `, … ${group.names.length - MAX_LIST_ITEMS} more` : ''));
+
+    const onlyInSource = list('onlyInSource');
+    const onlyInTarget = list('onlyInTarget');
+    if (onlyInSource.length === 0 && onlyInTarget.length === 0) return '';
+
+    return [
+      '### Missing Objects',
+      onlyInSource.length > 0 ? `**Only in Cloud** (missing in Edge)\n\n${bulletList(onlyInSource)}` : '',
+      onlyInTarget.length > 0 ? `**Only in Edge** (missing in Cloud)\n\n${bulletList(onlyInTarget)}` : ''
+    ].filter(Boolean).join('\n\n');
+  }
+
+  renderTableDifferences(tableDifferences) {
+    if (tableDifferences.length === 0) return '';
+
+    const tables = tableDifferences.map(table => {
+      const lines = TABLE_MEMBERS.flatMap(member => (table[member.list] || []).map(diff =>
+        `${formatSeverity(diff.severity)} ${member.label} ${code(member.name(diff))}: ${escapeMarkdown(diff.difference)}`.trim()));
+      if (table.tableRename) {
+        const { target } = table.tableRename;
+        lines.unshift(`Renamed in Edge: ${code(`${target.schema}.${target.name}`)}`);
+      }
+      const severity = table.severity ? ` (${table.severity})` : '';
+      return `#### ${code(table.tableName)}${severity}\n\n${bulletList(lines)}`;
+    });
+
+    return `### Table Differences\n\n${tables.join('\n\n')}`;
+  }
+
+  renderObjectDifferences(result) {
+    const lines = SCHEMA_OBJECT_GROUPS.flatMap(group => (group.select(result)?.differences || []).map(diff =>
+      `${formatSeverity(diff.severity)} ${group.label} ${code(group.name(diff))}: ${escapeMarkdown(diff.difference)}`.trim()));
+    if (lines.length === 0) return '';
+    return `### Changed Objects\n\n${bulletList(lines)}`;
+  }
+
+  renderIgnored(ignored) {
+    if (!ignored) return '';
+    return `_${ignored.totalSuppressed} differences suppressed by the ignore file._`;
+  }
+}
@@ -0,0 +1,646 @@
+import { qualifyName } from './schemaUtils.js';
+
+/**
+ * Generates ALTER TABLE migrations for tables that exist in both databases
+ */
+export class MigrationGenerator {
+  /**
+   * Generate migration queries for both directions from a compareTable result.
+   * ALTER_IN_EDGE makes the Edge table match Cloud, ALTER_IN_CLOUD the reverse.
+   */
+  generateTableMigrations(tableDiff, sourceTable, targetTable) {
+    const queries = [];
+    const tableName = tableDiff.tableName;
+
+    const warnings = this.getPartitionWarnings(tableDiff);
+
+    const edgeStatements = this.buildStatements(tableDiff, sourceTable, targetTable, 'source');
+    const edgeWarnings = [...warnings, ...this.getBackfillWarnings(tableDiff, 'source')];
+    const edgeManualSteps = this.getManualSteps(tableDiff, targetTable, 'source');
+    if (edgeStatements.length > 0 || edgeWarnings.length > 0) {
+      queries.push({
+        type: 'ALTER_IN_EDGE',
+        tableName,
+        statements: edgeStatements,
+        warnings: edgeWarnings,
+        manualSteps: edgeManualSteps,
+        sql: this.formatMigrationSQL(tableName, 'ALTER_IN_EDGE', edgeStatements, edgeWarnings, edgeManualSteps),
+        description: `Migrate ${tableName} table in Edge to match Cloud`
+      });
+    }
+
+    const cloudStatements = this.buildStatements(tableDiff, targetTable, sourceTable, 'target');
+    const cloudWarnings = [...warnings, ...this.getBackfillWarnings(tableDiff, 'target')];
+    const cloudManualSteps = this.getManualSteps(tableDiff, sourceTable, 'target');
+    if (cloudStatements.length > 0 || cloudWarnings.length > 0) {
+      queries.push({
+        type: 'ALTER_IN_CLOUD',
+        tableName,
+        statements: cloudStatements,
+        warnings: cloudWarnings,
+        manualSteps: cloudManualSteps,
+        sql: this.formatMigrationSQL(tableName, 'ALTER_IN_CLOUD', cloudStatements, cloudWarnings, cloudManualSteps),
+        description: `Migrate ${tableName} table in Cloud to match Edge`
+      });
+    }
+
+    return queries;
+  }
+
+  /**
+   * Differences that cannot be migrated with ALTER TABLE.
+   * PostgreSQL cannot change the partition key of an existing table.
+   */
+  getPartitionWarnings(tableDiff) {
+    return (tableDiff.partitionDifferences || [])
+      .filter(partitionDiff => partitionDiff.kind === 'PARTITION_KEY')
+      .map(partitionDiff => `Partition key of ${tableDiff.tableName} differs (${partitionDiff.sourceValue || 'not partitioned'} vs ${partitionDiff.targetValue || 'not partitioned'}), this requires recreating the table`);
+  }
+
+  /**
+   * Missing columns that are added without NOT NULL (see requiresBackfill), since
+   * existing rows would have no value for them
+   */
+  getBackfillColumns(tableDiff, desiredSide) {
+    const currentSide = desiredSide === 'source' ? 'target' : 'source';
+    return tableDiff.columnDifferences
+      .filter(colDiff => ['MISSING_IN_TARGET', 'MISSING_IN_SOURCE'].includes(colDiff.kind) && !colDiff[`${currentSide}Column`])
+      .map(colDiff => colDiff[`${desiredSide}Column`])
+      .filter(column => column && this.requiresBackfill(column));
+  }
+
+  /**
+   * Warnings for the columns added as nullable
+   */
+  getBackfillWarnings(tableDiff, desiredSide) {
+    return this.getBackfillColumns(tableDiff, desiredSide)
+      .map(column => `Column ${column.name} of ${tableDiff.tableName} is NOT NULL without a default, it is added as nullable: backfill existing rows, then run the SET NOT NULL manual step`);
+  }
+
+  /**
+   * SET NOT NULL for the columns added as nullable. These are only written as
+   * comments and never executed, since they fail until existing rows are backfilled.
+   * They run after the migration, so a renamed table has its desired name by then.
+   */
+  getManualSteps(tableDiff, currentTable, desiredSide) {
+    const tableName = tableDiff.tableRename ? tableDiff.tableRename[desiredSide] : currentTable.name || tableDiff.tableName;
+    const table = qualifyName(currentTable.schema, tableName);
+    return this.getBackfillColumns(tableDiff, desiredSide)
+      .map(column => `ALTER TABLE ${table} ALTER COLUMN "${column.name}" SET NOT NULL;`);
+  }
+
+  /**
+   * A NOT NULL column without a default, identity or generation expression
+   * cannot be added to a table that already has rows
+   */
+  requiresBackfill(column) {
+    return !column.nullable &&
+      !column.identity &&
+      !column.generationExpression &&
+      (!column.defaultValue || column.defaultValue === 'NULL');
+  }
+
+  /**
+   * Build ordered statements that turn currentTable into desiredTable.
+   * desiredSide tells which side of the diff ('source' or 'target') is desired.
+   *
+   * Order: drop foreign keys, other constraints, indexes and primary key first so
+   * that columns can be dropped or retyped, then add/alter columns, then recreate
+   * constraints and indexes. Extra partitions are detached (not dropped) first and
+   * missing partitions are created last.
+   *
+   * Renamed tables and columns are compared under their Cloud names, so Edge
+   * renames them first and Cloud renames them back to the Edge names last.
+   */
+  buildStatements(tableDiff, desiredTable, currentTable, desiredSide) {
+    const currentSide = desiredSide === 'source' ? 'target' : 'source';
+    const tableName = currentTable.name || tableDiff.tableName;
+    const table = qualifyName(currentTable.schema, tableName);
+    const indexName = name => qualifyName(currentTable.schema, name);
+
+    const phases = {
+      renameTable: [],
+      renameColumns: [],
+      detachPartitions: [],
+      dropForeignKeys: [],
+      dropConstraints: [],
+      dropIndexes: [],
+      dropPrimaryKey: [],
+      dropColumns: [],
+      addColumns: [],
+      alterTypes: [],
+      alterDefaults: [],
+      alterNullability: [],
+      alterIdentity: [],
+      addPrimaryKey: [],
+      addConstraints: [],
+      renameForeignKeys: [],
+      addForeignKeys: [],
+      createIndexes: [],
+      renamePartitions: [],
+      createPartitions: [],
+      renameColumnsLast: [],
+      renameTableLast: []
+    };
+    const renameFirst = desiredSide === 'source';
+
+    // Column differences
+    const retypedColumns = new Set();
+
+    for (const colDiff of tableDiff.columnDifferences) {
+      const desiredCol = colDiff[`${desiredSide}Column`];
+      const currentCol = colDiff[`${currentSide}Column`];
+
+      switch (colDiff.kind) {
+        case 'RENAMED': {
+          const from = renameFirst ? colDiff.targetName : colDiff.sourceName;
+          const to = renameFirst ? colDiff.sourceName : colDiff.targetName;
+          phases[renameFirst ? 'renameColumns' : 'renameColumnsLast'].push({
+            sql: `ALTER TABLE ${table} RENAME COLUMN "${from}" TO "${to}";`,
+            additive: false
+          });
+          break;
+        }
+
+        case 'MISSING_IN_TARGET':
+        case 'MISSING_IN_SOURCE':
+          if (desiredCol && !currentCol) {
+            // Added as nullable, SET NOT NULL is a manual step after backfilling (see getManualSteps)
+            phases.addColumns.push({
+              sql: `ALTER TABLE ${table} ADD COLUMN ${this.formatColumnDefinition(this.requiresBackfill(desiredCol) ? { ...desiredCol, nullable: true } : desiredCol)};`,
+              additive: true
+            });
+          } else if (currentCol && !desiredCol) {
+            phases.dropColumns.push({
+              sql: `ALTER TABLE ${table} DROP COLUMN "${currentCol.name}";`,
+              additive: false
+            });
+          }
+          break;
+
+        // All type related attributes are applied with a single ALTER TYPE
+        case 'DATA_TYPE':
+        case 'ARRAY_ELEMENT_TYPE':
+        case 'MAX_LENGTH':
+        case 'PRECISION':
+        case 'SCALE':
+        case 'TYPE_MODIFIER':
+        case 'COLLATION': {
+          if (retypedColumns.has(desiredCol.name)) break;
+          retypedColumns.add(desiredCol.name);
+
+          const columnType = this.formatColumnType(desiredCol);
+          const collate = desiredCol.collation ? ` COLLATE "${desiredCol.collation}"` : '';
+          phases.alterTypes.push({
+            sql: `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" TYPE ${columnType}${collate} USING "${desiredCol.name}"::${columnType};`,
+            additive: false
+          });
+          break;
+        }
+
+        case 'DEFAULT':
+          phases.alterDefaults.push({
+            sql: desiredCol.defaultValue && desiredCol.defaultValue !== 'NULL'
+              ? `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" SET DEFAULT ${desiredCol.defaultValue};`
+              : `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" DROP DEFAULT;`,
+            additive: false
+          });
+          break;
+
+        case 'NULLABLE':
+          phases.alterNullability.push({
+            sql: desiredCol.nullable
+              ? `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" DROP NOT NULL;`
+              : `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" SET NOT NULL;`,
+            additive: false
+          });
+          break;
+
+        case 'IDENTITY': {
+          let sql;
+          if (desiredCol.identity && currentCol.identity) {
+            sql = `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" SET GENERATED ${desiredCol.identity};`;
+          } else if (desiredCol.identity) {
+            sql = `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" ADD GENERATED ${desiredCol.identity} AS IDENTITY;`;
+          } else {
+            sql = `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" DROP IDENTITY IF EXISTS;`;
+          }
+          phases.alterIdentity.push({ sql, additive: false });
+          break;
+        }
+
+        // A generation expression cannot be altered in place, the column is recreated
+        case 'GENERATED':
+          if (desiredCol.generationExpression) {
+            phases.dropColumns.push({
+              sql: `ALTER TABLE ${table} DROP COLUMN "${currentCol.name}";`,
+              additive: false
+            });
+            phases.addColumns.push({
+              sql: `ALTER TABLE ${table} ADD COLUMN ${this.formatColumnDefinition(desiredCol)};`,
+              additive: false
+            });
+          } else {
+            phases.alterTypes.push({
+              sql: `ALTER TABLE ${table} ALTER COLUMN "${desiredCol.name}" DROP EXPRESSION;`,
+              additive: false
+            });
+          }
+          break;
+      }
+    }
+
+    // Constraint differences
+    const changedForeignKeys = new Map();
+    const renamedForeignKeys = [];
+    const recreatedForeignKeys = new Set();
+
+    for (const constDiff of tableDiff.constraintDifferences) {
+      switch (constDiff.kind) {
+        case 'PRIMARY_KEY': {
+          const currentPKs = currentTable.primaryKeys || [];
+          const desiredPKs = desiredTable.primaryKeys || [];
+
+          if (currentPKs.length > 0) {
+            const pkName = currentTable.primaryKeyName || `${tableName}_pkey`;
+            phases.dropPrimaryKey.push({
+              sql: `ALTER TABLE ${table} DROP CONSTRAINT "${pkName}";`,
+              additive: false
+            });
+          }
+          if (desiredPKs.length > 0) {
+            const pkName = desiredTable.primaryKeyName || `${desiredTable.name || tableName}_pkey`;
+            const pkColumns = desiredPKs.map(col => `"${col}"`).join(', ');
+            phases.addPrimaryKey.push({
+              sql: `ALTER TABLE ${table} ADD CONSTRAINT "${pkName}" PRIMARY KEY (${pkColumns});`,
+              additive: currentPKs.length === 0
+            });
+          }
+          break;
+        }
+
+        case 'FK_MISSING_IN_TARGET':
+        case 'FK_MISSING_IN_SOURCE': {
+          const desiredFK = constDiff[`${desiredSide}ForeignKey`];
+          const currentFK = constDiff[`${currentSide}ForeignKey`];
+
+          if (desiredFK && !currentFK) {
+            phases.addForeignKeys.push({
+              sql: `ALTER TABLE ${table} ADD CONSTRAINT "${desiredFK.name}" ${this.formatForeignKey(desiredFK)};`,
+              additive: true
+            });
+          } else if (currentFK && !desiredFK) {
+            phases.dropForeignKeys.push({
+              sql: `ALTER TABLE ${table} DROP CONSTRAINT "${currentFK.name}";`,
+              additive: false
+            });
+          }
+          break;
+        }
+
+        case 'FK_RENAMED':
+          renamedForeignKeys.push(constDiff);
+          break;
+
+        case 'CONSTRAINT_MISSING_IN_TARGET':
+        case 'CONSTRAINT_MISSING_IN_SOURCE': {
+          const desiredConstraint = constDiff[`${desiredSide}Constraint`];
+          const currentConstraint = constDiff[`${currentSide}Constraint`];
+
+          if (desiredConstraint && !currentConstraint) {
+            phases.addConstraints.push({
+              sql: `ALTER TABLE ${table} ADD CONSTRAINT "${desiredConstraint.name}" ${desiredConstraint.definition};`,
+              additive: true
+            });
+          } else if (currentConstraint && !desiredConstraint) {
+            phases.dropConstraints.push({
+              sql: `ALTER TABLE ${table} DROP CONSTRAINT "${currentConstraint.name}";`,
+              additive: false
+            });
+          }
+          break;
+        }
+
+        case 'CONSTRAINT_CHANGED': {
+          const desiredConstraint = constDiff[`${desiredSide}Constraint`];
+          const currentConstraint = constDiff[`${currentSide}Constraint`];
+          phases.dropConstraints.push({
+            sql: `ALTER TABLE ${table} DROP CONSTRAINT "${currentConstraint.name}";`,
+            additive: false
+          });
+          phases.addConstraints.push({
+            sql: `ALTER TABLE ${table} ADD CONSTRAINT "${desiredConstraint.name}" ${desiredConstraint.definition};`,
+            additive: false
+          });
+          break;
+        }
+
+        case 'CONSTRAINT_RENAMED': {
+          const desiredConstraint = constDiff[`${desiredSide}Constraint`];
+          const currentConstraint = constDiff[`${currentSide}Constraint`];
+          phases.addConstraints.push({
+            sql: `ALTER TABLE ${table} RENAME CONSTRAINT "${currentConstraint.name}" TO "${desiredConstraint.name}";`,
+            additive: false
+          });
+          break;
+        }
+
+        case 'FK_CHANGED': {
+          const key = `${constDiff.sourceForeignKey.name}|${constDiff.targetForeignKey.name}`;
+          if (!changedForeignKeys.has(key)) {
+            changedForeignKeys.set(key, { diff: constDiff, attributes: [] });
+          }
+          changedForeignKeys.get(key).attributes.push(constDiff.attribute);
+          break;
+        }
+      }
+    }
+
+    // Changed foreign keys: deferrability and validation can be altered in place,
+    // anything else requires recreating the constraint
+    for (const { diff, attributes } of changedForeignKeys.values()) {
+      const desiredFK = diff[`${desiredSide}ForeignKey`];
+      const currentFK = diff[`${currentSide}ForeignKey`];
+      // The constraint may be renamed earlier in the same migration
+      const currentName = renamedForeignKeys.some(d => d[`${currentSide}ForeignKey`] === currentFK)
+        ? desiredFK.name
+        : currentFK.name;
+
+      if (attributes.every(attribute => ['deferrable', 'initiallyDeferred'].includes(attribute))) {
+        phases.addForeignKeys.push({
+          sql: `ALTER TABLE ${table} ALTER CONSTRAINT "${currentName}" ${this.formatDeferrable(desiredFK)};`,
+          additive: false
+        });
+      } else if (attributes.length === 1 && attributes[0] === 'validated' && desiredFK.validated !== false) {
+        phases.addForeignKeys.push({
+          sql: `ALTER TABLE ${table} VALIDATE CONSTRAINT "${currentName}";`,
+          additive: false
+        });
+      } else {
+        recreatedForeignKeys.add(currentFK);
+        phases.dropForeignKeys.push({
+          sql: `ALTER TABLE ${table} DROP CONSTRAINT "${currentFK.name}";`,
+          additive: false
+        });
+        phases.addForeignKeys.push({
+          sql: `ALTER TABLE ${table} ADD CONSTRAINT "${desiredFK.name}" ${this.formatForeignKey(desiredFK)};`,
+          additive: false
+        });
+      }
+    }
+
+    for (const renameDiff of renamedForeignKeys) {
+      const desiredFK = renameDiff[`${desiredSide}ForeignKey`];
+      const currentFK = renameDiff[`${currentSide}ForeignKey`];
+      if (recreatedForeignKeys.has(currentFK)) continue;
+
+      phases.renameForeignKeys.push({
+        sql: `ALTER TABLE ${table} RENAME CONSTRAINT "${currentFK.name}" TO "${desiredFK.name}";`,
+        additive: false
+      });
+    }
+
+    // Index differences
+    for (const indexDiff of tableDiff.indexDifferences) {
+      const desiredIndex = indexDiff[`${desiredSide}Index`];
+      const currentIndex = indexDiff[`${currentSide}Index`];
+
+      switch (indexDiff.kind) {
+        case 'MISSING_IN_TARGET':
+        case 'MISSING_IN_SOURCE':
+          if (desiredIndex && !currentIndex) {
+            phases.createIndexes.push({
+              sql: this.formatCreateIndex(desiredIndex, tableName, currentTable.schema),
+              additive: true
+            });
+          } else if (currentIndex && !desiredIndex) {
+            phases.dropIndexes.push({
+              sql: `DROP INDEX IF EXISTS ${indexName(currentIndex.name)};`,
+              additive: false
+            });
+          }
+          break;
+
+        case 'DEFINITION_CHANGED':
+          phases.dropIndexes.push({
+            sql: `DROP INDEX IF EXISTS ${indexName(currentIndex.name)};`,
+            additive: false
+          });
+          phases.createIndexes.push({
+            sql: this.formatCreateIndex(desiredIndex, tableName, currentTable.schema),
+            additive: false
+          });
+          break;
+
+        case 'RENAMED':
+          phases.createIndexes.push({
+            sql: `ALTER INDEX ${indexName(currentIndex.name)} RENAME TO "${desiredIndex.name}";`,
+            additive: false
+          });
+          break;
+      }
+    }
+
+    // Partition differences (partition key differences are only reported as warnings)
+    for (const partitionDiff of tableDiff.partitionDifferences || []) {
+      const desiredPartition = partitionDiff[`${desiredSide}Partition`];
+      const currentPartition = partitionDiff[`${currentSide}Partition`];
+
+      switch (partitionDiff.kind) {
+        case 'MISSING_IN_TARGET':
+        case 'MISSING_IN_SOURCE':
+          if (desiredPartition && !currentPartition) {
+            phases.createPartitions.push({
+              sql: this.formatCreatePartition(desiredPartition, { schema: currentTable.schema, name: tableName }),
+              additive: true
+            });
+          } else if (currentPartition && !desiredPartition) {
+            phases.detachPartitions.push({
+              sql: `ALTER TABLE ${table} DETACH PARTITION ${qualifyName(currentPartition.schema || currentTable.schema, currentPartition.name)};`,
+              additive: false
+            });
+          }
+          break;
+
+        case 'RENAMED':
+          phases.renamePartitions.push(...this.formatTableRename(
+            { schema: currentPartition.schema || currentTable.schema, name: currentPartition.name },
+            { schema: desiredPartition.schema || currentTable.schema, name: desiredPartition.name }
+          ));
+          break;
+      }
+    }
+
+    if (tableDiff.tableRename) {
+      const from = renameFirst ? tableDiff.tableRename.target : tableDiff.tableRename.source;
+      const to = renameFirst ? tableDiff.tableRename.source : tableDiff.tableRename.target;
+      phases[renameFirst ? 'renameTable' : 'renameTableLast'].push(...this.formatTableRename(from, to));
+    }
+
+    // Statements of a renamed table or column depend on the rename, which is never additive
+    const statements = Object.values(phases).flat();
+    const renamed = tableDiff.tableRename || tableDiff.columnDifferences.some(colDiff => colDiff.kind === 'RENAMED');
+    return renamed ? statements.map(statement => ({ ...statement, additive: false })) : statements;
+  }
+
+  /**
+   * ALTER TABLE ... SET SCHEMA / RENAME TO statements moving a table to a new name
+   */
+  formatTableRename(from, to) {
+    const statements = [];
+    let schema = from.schema;
+
+    if (from.schema !== to.schema) {
+      statements.push({ sql: `ALTER TABLE ${qualifyName(from.schema, from.name)} SET SCHEMA "${to.schema}";`, additive: false });
+      schema = to.schema;
+    }
+    if (from.name !== to.name) {
+      statements.push({ sql: `ALTER TABLE ${qualifyName(schema, from.name)} RENAME TO "${to.name}";`, additive: false });
+    }
+
+    return statements;
+  }
+
+  /**
+   * CREATE TABLE ... PARTITION OF statement for a partition of a partitioned table
+   * @param {object} partition - { name, schema, bound, partitionKey } where bound is "FOR VALUES ..." or "DEFAULT"
+   * @param {object} parentTable - { schema, name } of the partitioned table
+   */
+  formatCreatePartition(partition, parentTable) {
+    const name = qualifyName(partition.schema || parentTable.schema, partition.name);
+    const subPartitionKey = partition.partitionKey ? ` PARTITION BY ${partition.partitionKey}` : '';
+    return `CREATE TABLE ${name} PARTITION OF ${qualifyName(parentTable.schema, parentTable.name)} ${partition.bound}${subPartitionKey};`;
+  }
+
+  /**
+   * Format column type including length, precision, scale and array element type.
+   * Live columns carry the canonical format_type name, which is used as is.
+   */
+  formatColumnType(column) {
+    if (column.formattedType) {
+      return column.formattedType;
+    }
+
+    const dataType = column.dataType;
+    // Enums, domains and composite types live in a schema
+    const typeName = name => column.typeSchema ? qualifyName(column.typeSchema, name) : name;
+
+    if (dataType === 'ARRAY' && column.elementType) {
+      return `${typeName(column.elementType)}[]`;
+    }
+
+    if (column.maxLength && ['character varying', 'character', 'varchar', 'char'].includes(dataType)) {
+      return `${dataType}(${column.maxLength})`;
+    }
+
+    if (dataType === 'numeric' && column.precision) {
+      return column.scale !== null && column.scale !== undefined
+        ? `numeric(${column.precision}, ${column.scale})`
+        : `numeric(${column.precision})`;
+    }
+
+    return typeName(dataType);
+  }
+
+  /**
+   * Format a column definition for CREATE TABLE and ADD COLUMN
+   */
+  formatColumnDefinition(column) {
+    let columnDef = `"${column.name}" ${this.formatColumnType(column)}`;
+
+    if (column.collation) {
+      columnDef += ` COLLATE "${column.collation}"`;
+    }
+
+    if (column.generationExpression) {
+      columnDef += ` GENERATED ALWAYS AS (${column.generationExpression}) STORED`;
+    } else if (column.identity) {
+      columnDef += ` GENERATED ${column.identity} AS IDENTITY`;
+    } else if (column.defaultValue && column.defaultValue !== 'NULL') {
+      columnDef += ` DEFAULT ${column.defaultValue}`;
+    }
+
+    if (!column.nullable) {
+      columnDef += ' NOT NULL';
+    }
+
+    return columnDef;
+  }
+
+  /**
+   * Format FOREIGN KEY clause including referential actions, match type,
+   * deferrability and validation state
+   */
+  formatForeignKey(fk) {
+    const fkColumns = fk.columns.map(col => `"${col}"`).join(', ');
+    const refColumns = fk.referencedColumns.map(col => `"${col}"`).join(', ');
+    const refTable = fk.referencedSchema
+      ? `"${fk.referencedSchema}"."${fk.referencedTable}"`
+      : `"${fk.referencedTable}"`;
+
+    let clause = `FOREIGN KEY (${fkColumns}) REFERENCES ${refTable}(${refColumns})`;
+
+    if (fk.matchType && fk.matchType !== 'SIMPLE') {
+      clause += ` MATCH ${fk.matchType}`;
+    }
+    if (fk.onUpdate && fk.onUpdate !== 'NO ACTION') {
+      clause += ` ON UPDATE ${fk.onUpdate}`;
+    }
+    if (fk.onDelete && fk.onDelete !== 'NO ACTION') {
+      clause += ` ON DELETE ${fk.onDelete}`;
+    }
+    if (fk.deferrable) {
+      clause += ` ${this.formatDeferrable(fk)}`;
+    }
+    if (fk.validated === false) {
+      clause += ' NOT VALID';
+    }
+
+    return clause;
+  }
+
+  /**
+   * Format DEFERRABLE clause
+   */
+  formatDeferrable(constraint) {
+    if (!constraint.deferrable) {
+      return 'NOT DEFERRABLE';
+    }
+    return constraint.initiallyDeferred ? 'DEFERRABLE INITIALLY DEFERRED' : 'DEFERRABLE INITIALLY IMMEDIATE';
+  }
+
+  /**
+   * Format CREATE INDEX statement from a live definition or parsed columns.
+   * With a schema, the table of a live definition is replaced by the schema-qualified one.
+   * ON ONLY (partitioned tables) is dropped so that the index is also built on the partitions.
+   */
+  formatCreateIndex(index, tableName, schema = null) {
+    const table = qualifyName(schema, tableName);
+
+    if (index.definition) {
+      if (!schema) {
+        return `${index.definition.replace(/ ON ONLY /, ' ON ')};`;
+      }
+      return `${index.definition.replace(/ ON (?:ONLY )?(?:"[^"]*"|[^\s."(]+)(?:\.(?:"[^"]*"|[^\s."(]+))? (USING |\()/, ` ON ${table} $1`)};`;
+    }
+
+    const indexColumns = (index.columns || []).map(col => `"${col}"`).join(', ');
+    const uniqueKeyword = index.unique ? 'UNIQUE ' : '';
+    return `CREATE ${uniqueKeyword}INDEX "${index.name}" ON ${table} (${indexColumns});`;
+  }
+
+  /**
+   * Format migration statements as a SQL script section
+   */
+  formatMigrationSQL(tableName, queryType, statements, warnings = [], manualSteps = []) {
+    let sql = `-- ${queryType} - Migrate ${tableName} table\n`;
+    sql += warnings.map(warning => `-- WARNING: ${warning}\n`).join('');
+    sql += statements.map(statement => statement.sql).join('\n');
+    if (manualSteps.length > 0) {
+      sql += '\n-- MANUAL STEPS (not executed, run after backfilling existing rows):\n';
+      sql += manualSteps.map(step => `-- ${step}`).join('\n');
+    }
+    sql += '\n\n';
+    return sql;
+  }
+}
@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import { objectKey, splitObjectKey } from './schemaUtils.js';
+
+// Candidates below this confidence are not reported at all
+const MIN_CONFIDENCE = 0.5;
+
+// Table rename score weights, rows are only used when both sides have a row count
+const TABLE_WEIGHTS = { columns: 0.5, types: 0.2, constraints: 0.2, rows: 0.1 };
+
+// Column rename score weights
+const COLUMN_WEIGHTS = { type: 0.5, nullable: 0.1, default: 0.1, name: 0.2, position: 0.1 };
+
+/**
+ * Detects renamed tables and columns among objects that only exist on one side.
+ * Renames are matched in Cloud -> Edge pairs, e.g. { source: 'public.customers', target: 'public.clients' }.
+ */
+export class RenameDetector {
+  /**
+   * Load a rename mapping file
+   * { "tables": { "public.customers": "public.clients" }, "columns": { "public.users": { "full_name": "fullname" } } }
+   * Keys are Cloud names, values the Edge names.
+   */
+  async loadRenameMap(filePath) {
+    const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return {
+      tables: content.tables || {},
+      columns: content.columns || {}
+    };
+  }
+
+  /**
+   * Score Cloud-only tables against Edge-only tables and pick the best one-to-one pairs
+   * @param {object[]} sourceTables - Tables only in Cloud
+   * @param {object[]} targetTables - Tables only in Edge
+   */
+  detectTableRenames(sourceTables, targetTables) {
+    const candidates = [];
+
+    for (const sourceTable of sourceTables) {
+      for (const targetTable of targetTables) {
+        const confidence = this.scoreTables(sourceTable, targetTable);
+        if (confidence >= MIN_CONFIDENCE) {
+          candidates.push({
+            source: objectKey(sourceTable.schema, sourceTable.name),
+            target: objectKey(targetTable.schema, targetTable.name),
+            confidence
+          });
+        }
+      }
+    }
+
+    return this.pickBestPairs(candidates);
+  }
+
+  /**
+   * Score Cloud-only columns against Edge-only columns of a common table
+   * @param {object[]} sourceColumns - Columns only in the Cloud table
+   * @param {object[]} targetColumns - Columns only in the Edge table
+   * @param {object} sourceTable - Cloud table, for column positions
+   * @param {object} targetTable - Edge table, for column positions
+   */
+  detectColumnRenames(sourceColumns, targetColumns, sourceTable, targetTable) {
+    const candidates = [];
+
+    for (const sourceColumn of sourceColumns) {
+      for (const targetColumn of targetColumns) {
+        const confidence = this.scoreColumns(sourceColumn, targetColumn, sourceTable, targetTable);
+        if (confidence >= MIN_CONFIDENCE) {
+          candidates.push({ source: sourceColumn.name, target: targetColumn.name, confidence });
+        }
+      }
+    }
+
+    return this.pickBestPairs(candidates);
+  }
+
+  /**
+   * Table similarity from column set, column types, constraints and row counts (0..1)
+   */
+  scoreTables(sourceTable, targetTable) {
+    const sourceColumns = new Map((sourceTable.columns || []).map(column => [column.name, column]));
+    const targetColumns = new Map((targetTable.columns || []).map(column => [column.name, column]));
+    const common = [...sourceColumns.keys()].filter(name => targetColumns.has(name));
+    const allNames = new Set([...sourceColumns.keys(), ...targetColumns.keys()]);
+
+    const columns = allNames.size > 0 ? common.length / allNames.size : 0;
+    const types = common.length > 0
+      ? common.filter(name => sourceColumns.get(name).dataType === targetColumns.get(name).dataType).length / common.length
+      : 0;
+
+    const constraintChecks = [
+      this.sameList(sourceTable.primaryKeys, targetTable.primaryKeys),
+      this.sameList(
+        (sourceTable.foreignKeys || []).map(fk => `${fk.columns.join(',')}->${fk.referencedTable}`),
+        (targetTable.foreignKeys || []).map(fk => `${fk.columns.join(',')}->${fk.referencedTable}`)
+      ),
+      (sourceTable.indexes || []).length === (targetTable.indexes || []).length,
+      (sourceTable.constraints || []).length === (targetTable.constraints || []).length
+    ];
+    const constraints = constraintChecks.filter(Boolean).length / constraintChecks.length;
+
+    const scores = { columns, types, constraints };
+    const sourceRows = this.rowCount(sourceTable);
+    const targetRows = this.rowCount(targetTable);
+    if (sourceRows !== null && targetRows !== null) {
+      scores.rows = Math.max(sourceRows, targetRows) === 0
+        ? 1
+        : Math.min(sourceRows, targetRows) / Math.max(sourceRows, targetRows);
+    }
+
+    return this.weightedScore(scores, TABLE_WEIGHTS);
+  }
+
+  /**
+   * Column similarity from type, nullability, default, name and position (0..1)
+   */
+  scoreColumns(sourceColumn, targetColumn, sourceTable, targetTable) {
+    const typeOf = column => [column.dataType, column.maxLength, column.precision, column.scale, column.elementType]
+      .map(value => value ?? '')
+      .join('|');
+    const sourcePosition = (sourceTable.columns || []).indexOf(sourceColumn);
+    const targetPosition = (targetTable.columns || []).indexOf(targetColumn);
+
+    return this.weightedScore({
+      type: typeOf(sourceColumn) === typeOf(targetColumn) ? 1 : 0,
+      nullable: sourceColumn.nullable === targetColumn.nullable ? 1 : 0,
+      default: (sourceColumn.defaultValue ?? null) === (targetColumn.defaultValue ?? null) ? 1 : 0,
+      name: this.nameSimilarity(sourceColumn.name, targetColumn.name),
+      position: sourcePosition === targetPosition ? 1 : 0
+    }, COLUMN_WEIGHTS);
+  }
+
+  /**
+   * Weighted average of the available scores, rounded to two decimals
+   */
+  weightedScore(scores, weights) {
+    let total = 0;
+    let weightSum = 0;
+    for (const [key, score] of Object.entries(scores)) {
+      total += score * weights[key];
+      weightSum += weights[key];
+    }
+    return weightSum > 0 ? Math.round((total / weightSum) * 100) / 100 : 0;
+  }
+
+  /**
+   * Keep the highest scored pairs so that each object is used at most once
+   */
+  pickBestPairs(candidates) {
+    const usedSources = new Set();
+    const usedTargets = new Set();
+    const pairs = [];
+
+    for (const candidate of [...candidates].sort((a, b) => b.confidence - a.confidence)) {
+      if (usedSources.has(candidate.source) || usedTargets.has(candidate.target)) continue;
+      usedSources.add(candidate.source);
+      usedTargets.add(candidate.target);
+      pairs.push(candidate);
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Resolve confirmed renames from detected candidates, the mapping and --apply-renames
+   * @param {object[]} candidates - Detected { source, target, confidence } pairs
+   * @param {object} mapping - { cloudName: edgeName } from the rename mapping file
+   * @param {object} options - { applyRenames, threshold }
+   * @param {string[]} sourceNames - Names that exist only in Cloud
+   * @param {string[]} targetNames - Names that exist only in Edge
+   */
+  confirmRenames(candidates, mapping, options, sourceNames, targetNames) {
+    const renames = [];
+    const mapped = new Set();
+
+    for (const [sourceName, targetName] of Object.entries(mapping || {})) {
+      const source = this.resolveName(sourceName, sourceNames);
+      const target = this.resolveName(targetName, targetNames);
+      if (!source || !target) continue;
+
+      const candidate = candidates.find(item => item.source === source && item.target === target);
+      renames.push({ source, target, confidence: candidate ? candidate.confidence : null, confirmed: true, origin: 'mapping' });
+      mapped.add(source).add(target);
+    }
+
+    for (const candidate of candidates) {
+      if (mapped.has(candidate.source) || mapped.has(candidate.target)) continue;
+      const confirmed = Boolean(options.applyRenames) && candidate.confidence >= (options.threshold ?? 0.8);
+      renames.push({ ...candidate, confirmed, origin: 'detected' });
+    }
+
+    return renames;
+  }
+
+  /**
+   * Find a name in a list, bare table names match any schema
+   */
+  resolveName(name, names) {
+    if (names.includes(name)) return name;
+    return names.find(candidate => splitObjectKey(candidate).name === name) || null;
+  }
+
+  /**
+   * Copy of an Edge table with columns renamed to their Cloud names
+   * @param {object} table - Edge table
+   * @param {object} renames - { edgeName: cloudName }
+   */
+  renameColumns(table, renames) {
+    if (Object.keys(renames).length === 0) return table;
+
+    const column = name => renames[name] || name;
+    const text = value => (value ? this.renameIdentifiers(value, renames) : value);
+
+    return {
+      ...table,
+      columns: (table.columns || []).map(col => ({ ...col, name: column(col.name) })),
+      primaryKeys: (table.primaryKeys || []).map(column),
+      foreignKeys: (table.foreignKeys || []).map(fk => ({ ...fk, columns: fk.columns.map(column) })),
+      constraints: (table.constraints || []).map(constraint => ({ ...constraint, definition: text(constraint.definition) })),
+      indexes: (table.indexes || []).map(index => ({
+        ...index,
+        definition: text(index.definition),
+        columns: (index.columns || []).map(text),
+        include: (index.include || []).map(text),
+        predicate: text(index.predicate)
+      }))
+    };
+  }
+
+  /**
+   * Replace whole identifiers (quoted or not) in an SQL fragment
+   */
+  renameIdentifiers(text, renames) {
+    let result = String(text);
+    for (const [from, to] of Object.entries(renames)) {
+      const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      result = result.replace(new RegExp(`(?<![\\w.$])"?${escaped}"?(?![\\w$])`, 'g'), `"${to}"`);
+    }
+    return result;
+  }
+
+  /**
+   * Similarity of two names from their edit distance (0..1)
+   */
+  nameSimilarity(a, b) {
+    const left = a.toLowerCase().replace(/_/g, '');
+    const right = b.toLowerCase().replace(/_/g, '');
+    const length = Math.max(left.length, right.length);
+    if (length === 0) return 1;
+
+    let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= left.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= right.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[right.length] / length;
+  }
+
+  /**
+   * Compare two lists ignoring order
+   */
+  sameList(left = [], right = []) {
+    return JSON.stringify([...left].sort()) === JSON.stringify([...right].sort());
+  }
+
+  /**
+   * Row count of a table (estimated for live databases, parsed rows for dumps)
+   */
+  rowCount(table) {
+    return typeof table.estimatedRows === 'number' ? table.estimatedRows : null;
+  }
+}
@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SEVERITY_LEVELS } from './severityClassifier.js';
+
+/**
+ * Sections of comparison results shared by the HTML, Markdown and JUnit reports
+ */
+
+// Queries of each direction in the order the SQL files are written
+export const SCHEMA_QUERY_LISTS = [
+  'schemaQueries',
+  'extensionQueries',
+  'typeQueries',
+  'sequenceQueries',
+  'createTableQueries',
+  'alterTableQueries',
+  'routineQueries',
+  'viewQueries',
+  'securityQueries'
+];
+
+// Object comparisons of a schema comparison, shown as missing and changed objects
+export const SCHEMA_OBJECT_GROUPS = [
+  { label: 'Schemas', select: result => result.schemas },
+  { label: 'Tables', select: result => ({ onlyInSource: result.onlyInSource, onlyInTarget: result.onlyInTarget, differences: [] }) },
+  { label: 'Views', select: result => result.views, name: diff => diff.viewName },
+  { label: 'Extensions', select: result => result.extensions, name: diff => diff.extensionName },
+  { label: 'Types', select: result => result.types, name: diff => diff.typeName },
+  { label: 'Sequences', select: result => result.sequences, name: diff => diff.sequenceName },
+  { label: 'Functions', select: result => result.routines, name: diff => diff.signature },
+  { label: 'Triggers', select: result => result.triggers, name: diff => `${diff.tableName}.${diff.triggerName}` },
+  { label: 'Privileges', select: result => result.security?.privileges, name: diff => diff.privilegeName },
+  { label: 'Default privileges', select: result => result.security?.defaultPrivileges, name: diff => diff.privilegeName },
+  { label: 'Row level security', select: result => result.security?.rowSecurity, name: diff => diff.tableName },
+  { label: 'Policies', select: result => result.security?.policies, name: diff => diff.policyName }
+];
+
+export const TABLE_MEMBERS = [
+  { list: 'columnDifferences', label: 'Column', name: diff => diff.columnName },
+  { list: 'constraintDifferences', label: 'Constraint', name: diff => diff.constraintName },
+  { list: 'indexDifferences', label: 'Index', name: diff => diff.indexName },
+  { list: 'partitionDifferences', label: 'Partition', name: diff => diff.partitionName }
+];
+
+export const DIRECTIONS = [
+  // Query types end with the target database, e.g. CREATE_IN_EDGE or INSERT_TO_CLOUD
+  { suffix: 'EDGE', title: 'Cloud → Edge', note: 'Statements to run on the Edge database' },
+  { suffix: 'CLOUD', title: 'Edge → Cloud', note: 'Statements to run on the Cloud database' }
+];
+
+/**
+ * Generated schema queries of both directions, in SQL file order
+ */
+export function getSchemaQueries(result) {
+  return SCHEMA_QUERY_LISTS.flatMap(key => result[key] || []);
+}
+
+/**
+ * Queries of one direction (see DIRECTIONS)
+ */
+export function getDirectionQueries(queries, direction) {
+  return queries.filter(query => query.type.endsWith(`_${direction.suffix}`));
+}
+
+/**
+ * Classified differences, most severe first
+ */
+export function sortBySeverity(items) {
+  return [...items].sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity));
+}
+
+/**
+ * Write a rendered report, creating the directory when needed
+ */
+export async function writeReportFile(filePath, content) {
+  const directory = path.dirname(filePath);
+  if (directory !== '.') {
+    await fs.mkdir(directory, { recursive: true });
+  }
+  await fs.writeFile(filePath, content, 'utf8');
+}
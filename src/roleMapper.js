@@ -0,0 +1,72 @@
+/**
+ * Maps role names between Cloud and Edge, e.g. app_rw (Cloud) -> site_042_rw (Edge).
+ * Edge grantees are renamed into the Cloud namespace before comparison and
+ * Edge-bound GRANT/REVOKE/POLICY statements are generated with the Edge names.
+ */
+export class RoleMapper {
+  /**
+   * @param {string|object|null} mapping - "app_rw:site_042_rw,app_ro:site_042_ro" or { app_rw: 'site_042_rw' }
+   */
+  constructor(mapping = null) {
+    this.cloudToEdge = RoleMapper.parse(mapping);
+    this.edgeToCloud = Object.fromEntries(Object.entries(this.cloudToEdge).map(([cloud, edge]) => [edge, cloud]));
+  }
+
+  /**
+   * Parse a mapping option into a { cloudRole: edgeRole } object
+   */
+  static parse(mapping) {
+    if (!mapping) return {};
+    if (typeof mapping === 'object') return { ...mapping };
+
+    const result = {};
+    for (const entry of String(mapping).split(',').map(part => part.trim()).filter(Boolean)) {
+      const [cloudRole, edgeRole] = entry.split(':').map(part => part.trim());
+      if (!cloudRole || !edgeRole) {
+        throw new Error(`Invalid role mapping "${entry}", expected cloud_role:edge_role`);
+      }
+      result[cloudRole] = edgeRole;
+    }
+    return result;
+  }
+
+  /**
+   * Whether any role is mapped
+   */
+  isEmpty() {
+    return Object.keys(this.cloudToEdge).length === 0;
+  }
+
+  /**
+   * Edge role name of a Cloud role
+   */
+  toEdge(role) {
+    return this.cloudToEdge[role] || role;
+  }
+
+  /**
+   * Cloud role name of an Edge role
+   */
+  toCloud(role) {
+    return this.edgeToCloud[role] || role;
+  }
+
+  /**
+   * Rename the roles of the Edge security info into the Cloud namespace
+   */
+  normalizeEdgeSecurity(security) {
+    if (this.isEmpty()) return security;
+
+    const role = name => this.toCloud(name);
+    return {
+      ...security,
+      privileges: security.privileges.map(privilege => ({ ...privilege, grantee: role(privilege.grantee) })),
+      defaultPrivileges: security.defaultPrivileges.map(privilege => ({
+        ...privilege,
+        owner: role(privilege.owner),
+        grantee: role(privilege.grantee)
+      })),
+      policies: security.policies.map(policy => ({ ...policy, roles: policy.roles.map(role) }))
+    };
+  }
+}
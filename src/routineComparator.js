@@ -0,0 +1,305 @@
+import { createHash } from 'crypto';
+import { qualifyName, objectKey, splitObjectKey, sortBySchema } from './schemaUtils.js';
+
+const VOLATILITY = { i: 'IMMUTABLE', s: 'STABLE', v: 'VOLATILE' };
+
+const ROUTINE_ATTRIBUTES = [
+  { key: 'kind', kind: 'KIND', label: 'Routine kind' },
+  { key: 'returnType', kind: 'RETURN_TYPE', label: 'Return type' },
+  { key: 'language', kind: 'LANGUAGE', label: 'Language' },
+  { key: 'volatility', kind: 'VOLATILITY', label: 'Volatility' },
+  { key: 'securityDefiner', kind: 'SECURITY_DEFINER', label: 'Security definer' },
+  { key: 'bodyHash', kind: 'BODY', label: 'Body hash' }
+];
+
+const TRIGGER_ATTRIBUTES = [
+  { key: 'timing', kind: 'TIMING', label: 'Timing' },
+  { key: 'events', kind: 'EVENTS', label: 'Events' },
+  { key: 'level', kind: 'LEVEL', label: 'Level' },
+  { key: 'whenClause', kind: 'WHEN', label: 'WHEN clause' },
+  { key: 'functionName', kind: 'FUNCTION', label: 'Function' }
+];
+
+/**
+ * Introspects, compares and scripts functions, procedures and triggers
+ */
+export class RoutineComparator {
+  /**
+   * Get functions and procedures of the given schemas, excluding extension members
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   */
+  async getRoutines(client, schemas) {
+    const routinesQuery = `
+      SELECT
+        n.nspname AS schema_name,
+        p.proname AS routine_name,
+        pg_get_function_identity_arguments(p.oid) AS identity_arguments,
+        p.prokind,
+        l.lanname AS language,
+        p.provolatile,
+        p.prosecdef,
+        pg_get_function_result(p.oid) AS return_type,
+        p.prosrc,
+        pg_get_functiondef(p.oid) AS definition
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      JOIN pg_language l ON l.oid = p.prolang
+      WHERE n.nspname = ANY($1)
+      AND p.prokind IN ('f', 'p')
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend d
+        WHERE d.classid = 'pg_proc'::regclass
+        AND d.objid = p.oid
+        AND d.deptype = 'e'
+      )
+      ORDER BY p.proname, identity_arguments
+    `;
+
+    const result = await client.query(routinesQuery, [schemas]);
+
+    return sortBySchema(result.rows, schemas).map(row => ({
+      name: row.routine_name,
+      schema: row.schema_name,
+      signature: `${objectKey(row.schema_name, row.routine_name)}(${row.identity_arguments})`,
+      arguments: row.identity_arguments,
+      kind: row.prokind === 'p' ? 'PROCEDURE' : 'FUNCTION',
+      language: row.language,
+      volatility: VOLATILITY[row.provolatile] || row.provolatile,
+      securityDefiner: row.prosecdef,
+      returnType: row.return_type,
+      bodyHash: this.hashBody(row.prosrc),
+      definition: row.definition
+    }));
+  }
+
+  /**
+   * Get user defined triggers of the given tables and views
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   * @param {string[]} relationKeys - Tables and views to read triggers from, as schema.table keys
+   */
+  async getTriggers(client, schemas, relationKeys) {
+    if (relationKeys.length === 0) return [];
+
+    const triggersQuery = `
+      SELECT
+        n.nspname AS schema_name,
+        c.relname AS table_name,
+        t.tgname AS trigger_name,
+        t.tgtype,
+        t.tgfoid::regprocedure::text AS function_name,
+        pg_get_triggerdef(t.oid) AS definition
+      FROM pg_trigger t
+      JOIN pg_class c ON c.oid = t.tgrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1)
+      AND c.relname = ANY($2)
+      AND NOT t.tgisinternal
+      ORDER BY c.relname, t.tgname
+    `;
+
+    const relationNames = [...new Set(relationKeys.map(key => splitObjectKey(key).name))];
+    const result = await client.query(triggersQuery, [schemas, relationNames]);
+    // The same relation name can be selected in one schema and not in another
+    const selected = new Set(relationKeys);
+    const rows = result.rows.filter(row => selected.has(objectKey(row.schema_name, row.table_name)));
+
+    return sortBySchema(rows, schemas).map(row => {
+      // tgtype bits: 1 ROW, 2 BEFORE, 4 INSERT, 8 DELETE, 16 UPDATE, 32 TRUNCATE, 64 INSTEAD OF
+      const events = [];
+      if (row.tgtype & 4) events.push('INSERT');
+      if (row.tgtype & 8) events.push('DELETE');
+      if (row.tgtype & 16) events.push('UPDATE');
+      if (row.tgtype & 32) events.push('TRUNCATE');
+
+      const whenMatch = row.definition.match(/\sWHEN\s+\((.*)\)\s+EXECUTE\s+(?:FUNCTION|PROCEDURE)\s/i);
+
+      return {
+        name: row.trigger_name,
+        schema: row.schema_name,
+        tableName: objectKey(row.schema_name, row.table_name),
+        relationName: row.table_name,
+        timing: row.tgtype & 64 ? 'INSTEAD OF' : (row.tgtype & 2 ? 'BEFORE' : 'AFTER'),
+        events: events.join(' OR '),
+        level: row.tgtype & 1 ? 'ROW' : 'STATEMENT',
+        whenClause: whenMatch ? whenMatch[1] : null,
+        functionName: row.function_name,
+        definition: row.definition
+      };
+    });
+  }
+
+  /**
+   * Compare functions/procedures by signature
+   */
+  compareRoutines(sourceRoutines, targetRoutines) {
+    return this.compareObjects(
+      sourceRoutines,
+      targetRoutines,
+      routine => routine.signature,
+      ROUTINE_ATTRIBUTES,
+      (sourceRoutine, targetRoutine, attribute) => ({
+        signature: sourceRoutine.signature,
+        kind: attribute.kind,
+        difference: `${attribute.label} difference: ${this.formatValue(sourceRoutine, attribute)} vs ${this.formatValue(targetRoutine, attribute)}`,
+        sourceRoutine,
+        targetRoutine
+      })
+    );
+  }
+
+  /**
+   * Compare triggers by table and trigger name
+   */
+  compareTriggers(sourceTriggers, targetTriggers) {
+    return this.compareObjects(
+      sourceTriggers,
+      targetTriggers,
+      trigger => this.triggerKey(trigger),
+      TRIGGER_ATTRIBUTES,
+      (sourceTrigger, targetTrigger, attribute) => ({
+        tableName: sourceTrigger.tableName,
+        triggerName: sourceTrigger.name,
+        kind: attribute.kind,
+        difference: `${attribute.label} difference: ${this.formatValue(sourceTrigger, attribute)} vs ${this.formatValue(targetTrigger, attribute)}`,
+        sourceTrigger,
+        targetTrigger
+      })
+    );
+  }
+
+  /**
+   * Match objects by key and compare the given attributes
+   */
+  compareObjects(sourceObjects, targetObjects, getKey, attributes, buildDifference) {
+    const sourceMap = new Map(sourceObjects.map(object => [getKey(object), object]));
+    const targetMap = new Map(targetObjects.map(object => [getKey(object), object]));
+
+    const onlyInSource = [...sourceMap.keys()].filter(key => !targetMap.has(key));
+    const onlyInTarget = [...targetMap.keys()].filter(key => !sourceMap.has(key));
+    const differences = [];
+
+    for (const [key, sourceObject] of sourceMap) {
+      const targetObject = targetMap.get(key);
+      if (!targetObject) continue;
+
+      for (const attribute of attributes) {
+        if (sourceObject[attribute.key] !== targetObject[attribute.key]) {
+          differences.push(buildDifference(sourceObject, targetObject, attribute));
+        }
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Generate function and trigger queries for both directions
+   * FUNCTION_IN_EDGE / TRIGGER_IN_EDGE bring Edge in line with Cloud, *_IN_CLOUD the reverse.
+   */
+  generateRoutineQueries(routines, triggers, source, target) {
+    const changedRoutines = new Set(routines.differences.map(diff => diff.signature));
+    const changedTriggers = new Set(triggers.differences.map(diff => `${diff.tableName}.${diff.triggerName}`));
+
+    return [
+      ...this.buildFunctionQueries('FUNCTION_IN_EDGE', source.routines, target.routines, routines.onlyInSource, changedRoutines, 'Cloud', 'Edge'),
+      ...this.buildFunctionQueries('FUNCTION_IN_CLOUD', target.routines, source.routines, routines.onlyInTarget, changedRoutines, 'Edge', 'Cloud'),
+      ...this.buildTriggerQueries('TRIGGER_IN_EDGE', source.triggers, triggers.onlyInSource, changedTriggers, 'Cloud', 'Edge'),
+      ...this.buildTriggerQueries('TRIGGER_IN_CLOUD', target.triggers, triggers.onlyInTarget, changedTriggers, 'Edge', 'Cloud')
+    ];
+  }
+
+  /**
+   * Build CREATE OR REPLACE FUNCTION/PROCEDURE queries from the desired side
+   */
+  buildFunctionQueries(type, desiredRoutines, currentRoutines, missingSignatures, changedSignatures, fromLabel, toLabel) {
+    const currentMap = new Map(currentRoutines.map(routine => [routine.signature, routine]));
+    const queries = [];
+
+    for (const routine of desiredRoutines) {
+      const missing = missingSignatures.includes(routine.signature);
+      if (!missing && !changedSignatures.has(routine.signature)) continue;
+
+      let sql = `-- ${type} - ${routine.kind} ${routine.signature}\n`;
+
+      // CREATE OR REPLACE cannot change the return type or turn a function into a procedure
+      const current = currentMap.get(routine.signature);
+      if (current && (current.kind !== routine.kind || current.returnType !== routine.returnType)) {
+        sql += `DROP ${current.kind} IF EXISTS ${qualifyName(routine.schema, routine.name)}(${routine.arguments});\n`;
+      }
+
+      sql += `${routine.definition.trim()};\n\n`;
+
+      queries.push({
+        type,
+        objectType: routine.kind.toLowerCase(),
+        objectName: routine.signature,
+        sql,
+        additive: missing,
+        description: missing
+          ? `Create ${routine.signature} ${routine.kind.toLowerCase()} from ${fromLabel} in ${toLabel}`
+          : `Replace ${routine.signature} ${routine.kind.toLowerCase()} in ${toLabel} with ${fromLabel} definition`
+      });
+    }
+
+    return queries;
+  }
+
+  /**
+   * Build CREATE TRIGGER queries from the desired side
+   */
+  buildTriggerQueries(type, desiredTriggers, missingKeys, changedKeys, fromLabel, toLabel) {
+    const queries = [];
+
+    for (const trigger of desiredTriggers) {
+      const key = this.triggerKey(trigger);
+      const missing = missingKeys.includes(key);
+      if (!missing && !changedKeys.has(key)) continue;
+
+      let sql = `-- ${type} - Trigger ${trigger.name} on ${trigger.tableName}\n`;
+      if (!missing) {
+        sql += `DROP TRIGGER IF EXISTS "${trigger.name}" ON ${qualifyName(trigger.schema, trigger.relationName || trigger.tableName)};\n`;
+      }
+      sql += `${trigger.definition.trim()};\n\n`;
+
+      queries.push({
+        type,
+        objectType: 'trigger',
+        objectName: key,
+        sql,
+        additive: missing,
+        description: missing
+          ? `Create ${trigger.name} trigger on ${trigger.tableName} from ${fromLabel} in ${toLabel}`
+          : `Recreate ${trigger.name} trigger on ${trigger.tableName} in ${toLabel} with ${fromLabel} definition`
+      });
+    }
+
+    return queries;
+  }
+
+  /**
+   * Hash a routine body with whitespace normalized
+   */
+  hashBody(body) {
+    const normalized = String(body || '').replace(/\s+/g, ' ').trim();
+    return createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Unique trigger key (trigger names are only unique per table)
+   */
+  triggerKey(trigger) {
+    return `${trigger.tableName}.${trigger.name}`;
+  }
+
+  /**
+   * Format an attribute value for difference messages
+   */
+  formatValue(object, attribute) {
+    const value = object[attribute.key];
+    if (attribute.kind === 'BODY') return value.substring(0, 12);
+    if (value === null || value === undefined) return 'none';
+    return value;
+  }
+}
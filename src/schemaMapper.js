@@ -0,0 +1,239 @@
+import { objectKey, splitObjectKey } from './schemaUtils.js';
+
+/**
+ * Maps schema names between Cloud and Edge, e.g. public (Cloud) -> site_042 (Edge).
+ * Edge objects are renamed into the Cloud namespace before comparison so that
+ * they pair up, and Edge-bound SQL is renamed back afterwards.
+ */
+export class SchemaMapper {
+  /**
+   * @param {string|object|null} mapping - "public:site_042,billing:site_042_billing" or { public: 'site_042' }
+   */
+  constructor(mapping = null) {
+    this.cloudToEdge = SchemaMapper.parse(mapping);
+    this.edgeToCloud = Object.fromEntries(Object.entries(this.cloudToEdge).map(([cloud, edge]) => [edge, cloud]));
+  }
+
+  /**
+   * Parse a mapping option into a { cloudSchema: edgeSchema } object
+   */
+  static parse(mapping) {
+    if (!mapping) return {};
+    if (typeof mapping === 'object') return { ...mapping };
+
+    const result = {};
+    for (const entry of String(mapping).split(',').map(part => part.trim()).filter(Boolean)) {
+      const [cloudSchema, edgeSchema] = entry.split(':').map(part => part.trim());
+      if (!cloudSchema || !edgeSchema) {
+        throw new Error(`Invalid schema mapping "${entry}", expected cloud_schema:edge_schema`);
+      }
+      result[cloudSchema] = edgeSchema;
+    }
+    return result;
+  }
+
+  /**
+   * Whether any schema is mapped
+   */
+  isEmpty() {
+    return Object.keys(this.cloudToEdge).length === 0;
+  }
+
+  /**
+   * Edge schema name of a Cloud schema
+   */
+  toEdge(schema) {
+    return this.cloudToEdge[schema] || schema;
+  }
+
+  /**
+   * Cloud schema name of an Edge schema
+   */
+  toCloud(schema) {
+    return this.edgeToCloud[schema] || schema;
+  }
+
+  /**
+   * Rename the schema of a schema.name key
+   */
+  mapKey(key, names) {
+    if (!key) return key;
+    const { schema, name } = splitObjectKey(key);
+    return schema ? objectKey(names[schema] || schema, name) : key;
+  }
+
+  /**
+   * Rename schema-qualified references ("public".x or public.x) and schema
+   * names (CREATE SCHEMA "public", WITH SCHEMA "public") in SQL text
+   */
+  mapText(text, names) {
+    if (!text) return text;
+
+    let result = text;
+    for (const [from, to] of Object.entries(names)) {
+      const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const target = /^[a-z_][a-z0-9_$]*$/.test(to) ? to : `"${to}"`;
+      result = result
+        .replace(new RegExp(`(?<![\\w."$])"${escaped}"\\.`, 'g'), `"${to}".`)
+        .replace(new RegExp(`(?<![\\w."$])${escaped}\\.`, 'g'), `${target}.`)
+        .replace(new RegExp(`\\bSCHEMA (IF NOT EXISTS )?"${escaped}"(?!\\.)`, 'g'), `SCHEMA $1"${to}"`);
+    }
+    return result;
+  }
+
+  /**
+   * Rename a routine signature, e.g. site_042.total(site_042.money_type)
+   */
+  mapSignature(signature, names) {
+    const { schema, name } = splitObjectKey(signature);
+    return schema ? objectKey(names[schema] || schema, this.mapText(name, names)) : this.mapText(signature, names);
+  }
+
+  /**
+   * Rename the Edge schema info into the Cloud namespace
+   */
+  normalizeEdgeSchemaInfo(schemaInfo) {
+    return this.isEmpty() ? schemaInfo : this.renameSchemaInfo(schemaInfo, this.edgeToCloud);
+  }
+
+  /**
+   * Rename SQL of Edge-bound queries (*_IN_EDGE) from the Cloud namespace to Edge schemas
+   */
+  mapEdgeQueries(queries) {
+    if (this.isEmpty()) return queries;
+
+    return queries.map(query => {
+      if (!query.type.endsWith('_IN_EDGE')) return query;
+      return {
+        ...query,
+        sql: this.mapText(query.sql, this.cloudToEdge),
+        ...(query.statements ? {
+          statements: query.statements.map(statement => ({ ...statement, sql: this.mapText(statement.sql, this.cloudToEdge) }))
+        } : {})
+      };
+    });
+  }
+
+  /**
+   * Rename schemas, keys and definitions of every object in a schema info
+   */
+  renameSchemaInfo(schemaInfo, names) {
+    const schema = value => (value ? names[value] || value : value);
+    const key = value => this.mapKey(value, names);
+    const text = value => this.mapText(value, names);
+    const renameIndex = index => ({ ...index, definition: text(index.definition) });
+
+    const renameTable = table => ({
+      ...table,
+      schema: schema(table.schema),
+      columns: (table.columns || []).map(column => ({
+        ...column,
+        typeSchema: schema(column.typeSchema),
+        formattedType: text(column.formattedType),
+        defaultValue: text(column.defaultValue),
+        generationExpression: text(column.generationExpression)
+      })),
+      foreignKeys: (table.foreignKeys || []).map(fk => ({ ...fk, referencedSchema: schema(fk.referencedSchema) })),
+      constraints: (table.constraints || []).map(constraint => ({ ...constraint, definition: text(constraint.definition) })),
+      indexes: (table.indexes || []).map(renameIndex),
+      ...(table.partitions ? {
+        partitionKey: text(table.partitionKey),
+        partitions: table.partitions.map(partition => ({ ...partition, schema: schema(partition.schema) }))
+      } : {})
+    });
+
+    const tableList = schemaInfo.tableList.map(table => (typeof table === 'string' ? key(table) : renameTable(table)));
+    const renamed = {
+      ...schemaInfo,
+      schemas: schemaInfo.schemas?.map(schema),
+      tableList
+    };
+
+    if (schemaInfo.tables) {
+      renamed.tables = Object.fromEntries(tableList.map(table => [objectKey(table.schema, table.name), table]));
+    }
+
+    if (schemaInfo.views) {
+      renamed.views = schemaInfo.views.map(view => ({
+        ...view,
+        name: key(view.name),
+        schema: schema(view.schema),
+        definition: text(view.definition),
+        dependsOn: (view.dependsOn || []).map(key),
+        indexes: (view.indexes || []).map(renameIndex)
+      }));
+    }
+
+    if (schemaInfo.routines) {
+      renamed.routines = schemaInfo.routines.map(routine => ({
+        ...routine,
+        schema: schema(routine.schema),
+        signature: this.mapSignature(routine.signature, names),
+        arguments: text(routine.arguments),
+        returnType: text(routine.returnType),
+        definition: text(routine.definition)
+      }));
+    }
+
+    if (schemaInfo.triggers) {
+      renamed.triggers = schemaInfo.triggers.map(trigger => ({
+        ...trigger,
+        schema: schema(trigger.schema),
+        tableName: key(trigger.tableName),
+        functionName: text(trigger.functionName),
+        definition: text(trigger.definition)
+      }));
+    }
+
+    if (schemaInfo.sequences) {
+      renamed.sequences = schemaInfo.sequences.map(sequence => ({
+        ...sequence,
+        name: key(sequence.name),
+        schema: schema(sequence.schema),
+        ownedByTable: key(sequence.ownedByTable),
+        ownedBySchema: schema(sequence.ownedBySchema),
+        ownedBy: key(sequence.ownedBy)
+      }));
+    }
+
+    if (schemaInfo.types) {
+      renamed.types = schemaInfo.types.map(type => ({
+        ...type,
+        name: key(type.name),
+        schema: schema(type.schema),
+        ...(type.baseType ? { baseType: text(type.baseType), defaultValue: text(type.defaultValue) } : {}),
+        ...(type.constraints ? { constraints: type.constraints.map(constraint => ({ ...constraint, definition: text(constraint.definition) })) } : {}),
+        ...(type.attributes ? { attributes: type.attributes.map(attribute => ({ ...attribute, dataType: text(attribute.dataType) })) } : {})
+      }));
+    }
+
+    if (schemaInfo.extensions) {
+      renamed.extensions = schemaInfo.extensions.map(extension => ({ ...extension, schema: schema(extension.schema) }));
+    }
+
+    if (schemaInfo.security) {
+      const security = schemaInfo.security;
+      renamed.security = {
+        ...security,
+        schemas: security.schemas.map(schema),
+        relations: security.relations.map(key),
+        privileges: security.privileges.map(privilege => ({
+          ...privilege,
+          schema: schema(privilege.schema),
+          objectName: privilege.objectType === 'SCHEMA' ? schema(privilege.objectName) : key(privilege.objectName)
+        })),
+        defaultPrivileges: security.defaultPrivileges.map(privilege => ({ ...privilege, schema: schema(privilege.schema) })),
+        rowSecurity: security.rowSecurity.map(table => ({ ...table, schema: schema(table.schema), tableName: key(table.tableName) })),
+        policies: security.policies.map(policy => ({
+          ...policy,
+          schema: schema(policy.schema),
+          tableName: key(policy.tableName),
+          using: text(policy.using),
+          withCheck: text(policy.withCheck)
+        }))
+      };
+    }
+
+    return renamed;
+  }
+}
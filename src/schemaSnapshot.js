@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { objectKey, splitObjectKey, matchesTableFilter } from './schemaUtils.js';
+
+const SNAPSHOT_FORMAT = 'pdi-schema-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Host, port and database name of a connection URL, without the credentials
+ */
+function describeDatabase(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname}${parsed.port ? `:${parsed.port}` : ''}${parsed.pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads and writes schema snapshots: the introspected schemaInfo of a live database
+ * saved as versioned JSON, so that it can stand in for either side of a schema comparison
+ * (e.g. a golden schema kept in git that every edge site is checked against).
+ */
+export class SchemaSnapshot {
+  constructor() {
+    this.metadata = null;
+    this.schemaInfo = null;
+  }
+
+  /**
+   * Write schemaInfo to a snapshot file
+   * @param {string} filePath - Snapshot file
+   * @param {object} schemaInfo - Result of DatabaseComparator.getSchemaInfo
+   * @param {string} url - Connection URL of the database the snapshot was taken from
+   */
+  async writeSnapshotFile(filePath, schemaInfo, url) {
+    // tables is an index over tableList, it is rebuilt on load instead of being stored twice
+    const { tables, ...storedSchemaInfo } = schemaInfo;
+    const snapshot = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      source: {
+        database: describeDatabase(url),
+        schemas: schemaInfo.schemas,
+        totalTables: schemaInfo.totalTables
+      },
+      schemaInfo: storedSchemaInfo
+    };
+
+    const directory = path.dirname(filePath);
+    if (directory !== '.') {
+      await fs.mkdir(directory, { recursive: true });
+    }
+    await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2), 'utf8');
+    return snapshot;
+  }
+
+  /**
+   * Load a snapshot file, rejecting files of another format or a newer version
+   */
+  async readSnapshotFile(filePath) {
+    const snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+    if (snapshot.format !== SNAPSHOT_FORMAT || !snapshot.schemaInfo) {
+      throw new Error(`${filePath} is not a schema snapshot (expected format "${SNAPSHOT_FORMAT}")`);
+    }
+    if (!Number.isInteger(snapshot.version) || snapshot.version > SNAPSHOT_VERSION) {
+      throw new Error(`${filePath} has snapshot version ${snapshot.version}, this version of pdi reads up to ${SNAPSHOT_VERSION}`);
+    }
+
+    const { schemaInfo, ...metadata } = snapshot;
+    this.metadata = metadata;
+    this.schemaInfo = schemaInfo;
+    return metadata;
+  }
+
+  /**
+   * Schemas stored in the snapshot
+   */
+  getSchemas() {
+    return [...this.schemaInfo.schemas];
+  }
+
+  /**
+   * Get the stored schemaInfo limited to the given schemas and table filter,
+   * selecting the same objects a live read with these arguments would
+   * @param {string[]|null} schemas - Schema names, null for every stored schema
+   * @param {object[]|null} tableFilter - Optional parsed table filter (see parseTableFilter)
+   */
+  getSchemaInfo(schemas = null, tableFilter = null) {
+    const stored = this.schemaInfo;
+    const selectedSchemas = stored.schemas.filter(schema => !schemas || schemas.includes(schema));
+
+    // Table and view names selected in a schema, null when the schema is not filtered
+    const namesIn = schema => tableFilter
+      ? tableFilter.filter(entry => !entry.schema || entry.schema === schema).map(entry => entry.name)
+      : null;
+    const inSchema = schema => selectedSchemas.includes(schema) && (!tableFilter || namesIn(schema).length > 0);
+    const inFilter = (schema, name) => inSchema(schema) && (!tableFilter || namesIn(schema).includes(name));
+
+    const tableList = stored.tableList.filter(table =>
+      selectedSchemas.includes(table.schema) && matchesTableFilter(tableFilter, table.schema, table.name)
+    );
+    const views = stored.views.filter(view => inFilter(view.schema, view.viewName));
+    // Triggers are kept for the selected tables and views
+    const relationKeys = new Set([
+      ...tableList.map(table => objectKey(table.schema, table.name)),
+      ...views.map(view => view.name)
+    ]);
+
+    return {
+      totalTables: tableList.length,
+      schemas: selectedSchemas,
+      tableList,
+      tables: Object.fromEntries(tableList.map(table => [objectKey(table.schema, table.name), table])),
+      views,
+      routines: stored.routines.filter(routine => inSchema(routine.schema)),
+      triggers: stored.triggers.filter(trigger => inSchema(trigger.schema) && relationKeys.has(trigger.tableName)),
+      sequences: stored.sequences.filter(sequence => inSchema(sequence.schema) && (!tableFilter ||
+        (sequence.ownedByTable && namesIn(sequence.schema).includes(splitObjectKey(sequence.ownedByTable).name)))),
+      types: stored.types.filter(type => inSchema(type.schema)),
+      extensions: stored.extensions,
+      security: {
+        schemas: stored.security.schemas.filter(schema => inSchema(schema)),
+        relations: stored.security.relations.filter(key => {
+          const { schema, name } = splitObjectKey(key);
+          return inFilter(schema, name);
+        }),
+        privileges: stored.security.privileges.filter(privilege => privilege.objectType === 'SCHEMA'
+          ? inSchema(privilege.schema)
+          : inFilter(privilege.schema, privilege.relationName)),
+        defaultPrivileges: stored.security.defaultPrivileges.filter(privilege =>
+          !privilege.schema || selectedSchemas.includes(privilege.schema)),
+        rowSecurity: stored.security.rowSecurity.filter(table => inFilter(table.schema, table.relationName)),
+        policies: stored.security.policies.filter(policy => inFilter(policy.schema, policy.relationName))
+      }
+    };
+  }
+}
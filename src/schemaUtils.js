@@ -0,0 +1,99 @@
+import pkg from 'pg';
+
+/**
+ * Helpers for schema-qualified object names shared by the comparators
+ */
+
+// Parser of text[] values; arrays of types without a registered parser (e.g. name[]) arrive as literals
+const parseTextArray = pkg.types.getTypeParser(1009);
+
+// Double quoted identifier, embedded double quotes are doubled
+function quoteIdentifier(identifier) {
+  return `"${String(identifier).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a schema-qualified name, e.g. "billing"."invoices"
+ */
+export function qualifyName(schema, name) {
+  return schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(name)}` : quoteIdentifier(name);
+}
+
+/**
+ * Key used to match objects across databases, e.g. billing.invoices
+ */
+export function objectKey(schema, name) {
+  return schema ? `${schema}.${name}` : name;
+}
+
+/**
+ * Split an object key back into schema and name
+ */
+export function splitObjectKey(key) {
+  const dot = key.indexOf('.');
+  return dot === -1
+    ? { schema: null, name: key }
+    : { schema: key.slice(0, dot), name: key.slice(dot + 1) };
+}
+
+/**
+ * Parse the --schema option: a comma-separated list, or "all" for every non-system schema (null)
+ */
+export function parseSchemaOption(value) {
+  const schemas = Array.isArray(value)
+    ? value
+    : String(value || 'public').split(',').map(schema => schema.trim()).filter(Boolean);
+
+  if (schemas.length === 0 || schemas.includes('all') || schemas.includes('*')) {
+    return null;
+  }
+  return schemas;
+}
+
+/**
+ * Parse a table filter where each entry is "table" (any compared schema) or "schema.table"
+ */
+export function parseTableFilter(tables) {
+  if (!tables || tables.length === 0) return null;
+  return tables.map(entry => splitObjectKey(entry));
+}
+
+/**
+ * Check whether a table passes a parsed table filter
+ */
+export function matchesTableFilter(filter, schema, tableName) {
+  if (!filter) return true;
+  return filter.some(entry => entry.name === tableName && (!entry.schema || entry.schema === schema));
+}
+
+/**
+ * Order catalog rows read for several schemas (n.nspname = ANY($1)) by the position of
+ * their schema_name in the list, keeping the query order within each schema
+ */
+export function sortBySchema(rows, schemas) {
+  return [...rows].sort((a, b) => schemas.indexOf(a.schema_name) - schemas.indexOf(b.schema_name));
+}
+
+/**
+ * Array column of a catalog row: a parsed array, or a literal such as {id,"Order Id"} as node-pg
+ * returns it for array types it has no parser for
+ */
+export function parseArrayValue(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : parseTextArray(value);
+}
+
+/**
+ * List the non-system schemas of a database
+ */
+export async function getDatabaseSchemas(client) {
+  const result = await client.query(`
+    SELECT nspname
+    FROM pg_namespace
+    WHERE nspname NOT IN ('pg_catalog', 'information_schema')
+    AND nspname NOT LIKE 'pg_toast%'
+    AND nspname NOT LIKE 'pg_temp_%'
+    ORDER BY nspname
+  `);
+  return result.rows.map(row => row.nspname);
+}
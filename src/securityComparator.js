@@ -0,0 +1,539 @@
+import { qualifyName, objectKey, matchesTableFilter, sortBySchema } from './schemaUtils.js';
+import { RoleMapper } from './roleMapper.js';
+
+// pg_default_acl object type codes
+const DEFAULT_ACL_TYPES = {
+  r: 'TABLES',
+  S: 'SEQUENCES',
+  f: 'FUNCTIONS',
+  T: 'TYPES',
+  n: 'SCHEMAS'
+};
+
+// Relation kinds that carry their own privileges, GRANT ... ON TABLE also covers views
+const RELATION_TYPES = {
+  r: 'TABLE',
+  p: 'TABLE',
+  v: 'TABLE',
+  m: 'TABLE',
+  f: 'TABLE',
+  S: 'SEQUENCE'
+};
+
+const POLICY_ATTRIBUTES = [
+  { key: 'permissive', kind: 'PERMISSIVE', label: 'Policy type' },
+  { key: 'command', kind: 'COMMAND', label: 'Command' },
+  { key: 'roles', kind: 'ROLES', label: 'Roles' },
+  { key: 'using', kind: 'USING', label: 'USING expression' },
+  { key: 'withCheck', kind: 'WITH_CHECK', label: 'WITH CHECK expression' }
+];
+
+/**
+ * Introspects, compares and scripts privileges (table, column, schema and default
+ * privileges), row level security flags and row level security policies.
+ * Privileges of an object owner are implicit and not compared.
+ */
+export class SecurityComparator {
+  /**
+   * Get privileges, row level security flags and policies of the given schemas
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   * @param {object[]|null} tableFilter - Optional parsed table filter for relations
+   */
+  async getSecurity(client, schemas, tableFilter = null) {
+    const relationsQuery = `
+      SELECT
+        n.nspname AS schema_name,
+        c.relname AS relation_name,
+        c.relkind,
+        c.relrowsecurity,
+        c.relforcerowsecurity,
+        COALESCE(r.rolname, 'PUBLIC') AS grantee,
+        acl.privilege_type,
+        acl.is_grantable
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN LATERAL aclexplode(c.relacl) AS acl ON acl.grantee <> c.relowner
+      LEFT JOIN pg_roles r ON r.oid = acl.grantee
+      WHERE n.nspname = ANY($1)
+      AND c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S')
+      AND ($2::text[] IS NULL OR c.relname = ANY($2))
+      ORDER BY c.relname, grantee, acl.privilege_type
+    `;
+
+    const columnsQuery = `
+      SELECT
+        n.nspname AS schema_name,
+        c.relname AS relation_name,
+        a.attname AS column_name,
+        COALESCE(r.rolname, 'PUBLIC') AS grantee,
+        acl.privilege_type,
+        acl.is_grantable
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      CROSS JOIN LATERAL aclexplode(a.attacl) AS acl
+      LEFT JOIN pg_roles r ON r.oid = acl.grantee
+      WHERE n.nspname = ANY($1)
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      AND acl.grantee <> c.relowner
+      AND ($2::text[] IS NULL OR c.relname = ANY($2))
+      ORDER BY c.relname, a.attname, grantee, acl.privilege_type
+    `;
+
+    const schemaQuery = `
+      SELECT
+        n.nspname AS schema_name,
+        COALESCE(r.rolname, 'PUBLIC') AS grantee,
+        acl.privilege_type,
+        acl.is_grantable
+      FROM pg_namespace n
+      CROSS JOIN LATERAL aclexplode(n.nspacl) AS acl
+      LEFT JOIN pg_roles r ON r.oid = acl.grantee
+      WHERE n.nspname = ANY($1)
+      AND acl.grantee <> n.nspowner
+      ORDER BY grantee, acl.privilege_type
+    `;
+
+    const policiesQuery = `
+      SELECT schemaname AS schema_name, tablename, policyname, permissive, roles::text[] AS roles, cmd, qual, with_check
+      FROM pg_policies
+      WHERE schemaname = ANY($1)
+      AND ($2::text[] IS NULL OR tablename = ANY($2))
+      ORDER BY tablename, policyname
+    `;
+
+    // Names narrow the queries down, the filter entry's schema is checked on the rows
+    const names = tableFilter ? tableFilter.map(entry => entry.name) : null;
+    const selectedRows = (result, nameOf) => sortBySchema(
+      result.rows.filter(row => matchesTableFilter(tableFilter, row.schema_name, nameOf(row))),
+      schemas
+    );
+
+    const relationRows = selectedRows(await client.query(relationsQuery, [schemas, names]), row => row.relation_name);
+    const columnRows = selectedRows(await client.query(columnsQuery, [schemas, names]), row => row.relation_name);
+    const schemaRows = sortBySchema((await client.query(schemaQuery, [schemas])).rows, schemas);
+    const policyRows = selectedRows(await client.query(policiesQuery, [schemas, names]), row => row.tablename);
+
+    const relations = [...new Set(relationRows.map(row => objectKey(row.schema_name, row.relation_name)))];
+
+    const privileges = [
+      ...schemaRows.map(row => ({
+        objectType: 'SCHEMA',
+        objectName: row.schema_name,
+        schema: row.schema_name,
+        grantee: row.grantee,
+        privilege: row.privilege_type,
+        grantable: row.is_grantable
+      })),
+      ...relationRows.filter(row => row.privilege_type).map(row => ({
+        objectType: RELATION_TYPES[row.relkind],
+        objectName: objectKey(row.schema_name, row.relation_name),
+        schema: row.schema_name,
+        relationName: row.relation_name,
+        grantee: row.grantee,
+        privilege: row.privilege_type,
+        grantable: row.is_grantable
+      })),
+      ...columnRows.map(row => ({
+        objectType: 'COLUMN',
+        objectName: objectKey(row.schema_name, row.relation_name),
+        schema: row.schema_name,
+        relationName: row.relation_name,
+        columnName: row.column_name,
+        grantee: row.grantee,
+        privilege: row.privilege_type,
+        grantable: row.is_grantable
+      }))
+    ];
+
+    // One row per table, relations without privileges come with a null privilege
+    const rowSecurity = [];
+    for (const row of relationRows) {
+      const tableName = objectKey(row.schema_name, row.relation_name);
+      if (!['r', 'p'].includes(row.relkind) || rowSecurity.some(table => table.tableName === tableName)) continue;
+      rowSecurity.push({
+        tableName,
+        schema: row.schema_name,
+        relationName: row.relation_name,
+        enabled: row.relrowsecurity,
+        forced: row.relforcerowsecurity
+      });
+    }
+
+    const policies = policyRows.map(row => ({
+      name: row.policyname,
+      tableName: objectKey(row.schema_name, row.tablename),
+      schema: row.schema_name,
+      relationName: row.tablename,
+      permissive: row.permissive,
+      command: row.cmd,
+      roles: row.roles.map(role => (role === 'public' ? 'PUBLIC' : role)).sort(),
+      using: row.qual,
+      withCheck: row.with_check
+    }));
+
+    return { relations, privileges, rowSecurity, policies };
+  }
+
+  /**
+   * Get default privileges (ALTER DEFAULT PRIVILEGES) that are global or set in one of the schemas
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   */
+  async getDefaultPrivileges(client, schemas) {
+    const defaultPrivilegesQuery = `
+      SELECT
+        pg_get_userbyid(d.defaclrole) AS owner,
+        n.nspname AS schema_name,
+        d.defaclobjtype,
+        COALESCE(r.rolname, 'PUBLIC') AS grantee,
+        acl.privilege_type,
+        acl.is_grantable
+      FROM pg_default_acl d
+      LEFT JOIN pg_namespace n ON n.oid = d.defaclnamespace
+      CROSS JOIN LATERAL aclexplode(d.defaclacl) AS acl
+      LEFT JOIN pg_roles r ON r.oid = acl.grantee
+      WHERE (d.defaclnamespace = 0 OR n.nspname = ANY($1))
+      AND acl.grantee <> d.defaclrole
+      ORDER BY owner, schema_name, d.defaclobjtype, grantee, acl.privilege_type
+    `;
+
+    const result = await client.query(defaultPrivilegesQuery, [schemas]);
+
+    return result.rows.map(row => ({
+      owner: row.owner,
+      schema: row.schema_name || null,
+      objectType: DEFAULT_ACL_TYPES[row.defaclobjtype] || row.defaclobjtype,
+      grantee: row.grantee,
+      privilege: row.privilege_type,
+      grantable: row.is_grantable
+    }));
+  }
+
+  /**
+   * Compare privileges, default privileges, row level security flags and policies
+   */
+  compareSecurity(source, target) {
+    return {
+      privileges: this.compareGrants(source.privileges, target.privileges, privilege => this.privilegeKey(privilege)),
+      defaultPrivileges: this.compareGrants(source.defaultPrivileges, target.defaultPrivileges, privilege => this.defaultPrivilegeKey(privilege)),
+      rowSecurity: this.compareRowSecurity(source.rowSecurity, target.rowSecurity),
+      policies: this.comparePolicies(source.policies, target.policies)
+    };
+  }
+
+  /**
+   * Match grants by privilege, object and grantee; the grant option is compared separately
+   */
+  compareGrants(sourceGrants, targetGrants, getKey) {
+    const sourceMap = new Map(sourceGrants.map(grant => [getKey(grant), grant]));
+    const targetMap = new Map(targetGrants.map(grant => [getKey(grant), grant]));
+
+    const onlyInSource = [...sourceMap.keys()].filter(key => !targetMap.has(key));
+    const onlyInTarget = [...targetMap.keys()].filter(key => !sourceMap.has(key));
+    const differences = [];
+
+    for (const [key, sourceGrant] of sourceMap) {
+      const targetGrant = targetMap.get(key);
+      if (targetGrant && sourceGrant.grantable !== targetGrant.grantable) {
+        differences.push({
+          privilegeName: key,
+          kind: 'GRANT_OPTION',
+          difference: `Grant option difference: ${sourceGrant.grantable ? 'yes' : 'no'} vs ${targetGrant.grantable ? 'yes' : 'no'}`,
+          sourcePrivilege: sourceGrant,
+          targetPrivilege: targetGrant
+        });
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Compare row level security flags of tables on both sides.
+   * Tables missing on one side are only listed when they use row level security,
+   * so that it is enabled after the table is created.
+   */
+  compareRowSecurity(sourceTables, targetTables) {
+    const sourceMap = new Map(sourceTables.map(table => [table.tableName, table]));
+    const targetMap = new Map(targetTables.map(table => [table.tableName, table]));
+    const usesRowSecurity = table => table.enabled || table.forced;
+
+    const onlyInSource = sourceTables.filter(table => !targetMap.has(table.tableName) && usesRowSecurity(table)).map(table => table.tableName);
+    const onlyInTarget = targetTables.filter(table => !sourceMap.has(table.tableName) && usesRowSecurity(table)).map(table => table.tableName);
+    const differences = [];
+
+    for (const [tableName, sourceTable] of sourceMap) {
+      const targetTable = targetMap.get(tableName);
+      if (!targetTable) continue;
+
+      if (sourceTable.enabled !== targetTable.enabled) {
+        differences.push({
+          tableName,
+          kind: 'ROW_SECURITY',
+          difference: `Row level security difference: ${sourceTable.enabled ? 'enabled' : 'disabled'} vs ${targetTable.enabled ? 'enabled' : 'disabled'}`,
+          sourceTable,
+          targetTable
+        });
+      }
+      if (sourceTable.forced !== targetTable.forced) {
+        differences.push({
+          tableName,
+          kind: 'FORCE_ROW_SECURITY',
+          difference: `Forced row level security difference: ${sourceTable.forced ? 'forced' : 'not forced'} vs ${targetTable.forced ? 'forced' : 'not forced'}`,
+          sourceTable,
+          targetTable
+        });
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Compare policies by table and policy name
+   */
+  comparePolicies(sourcePolicies, targetPolicies) {
+    const sourceMap = new Map(sourcePolicies.map(policy => [this.policyKey(policy), policy]));
+    const targetMap = new Map(targetPolicies.map(policy => [this.policyKey(policy), policy]));
+
+    const onlyInSource = [...sourceMap.keys()].filter(key => !targetMap.has(key));
+    const onlyInTarget = [...targetMap.keys()].filter(key => !sourceMap.has(key));
+    const differences = [];
+
+    for (const [key, sourcePolicy] of sourceMap) {
+      const targetPolicy = targetMap.get(key);
+      if (!targetPolicy) continue;
+
+      for (const attribute of POLICY_ATTRIBUTES) {
+        const sourceValue = this.formatPolicyValue(sourcePolicy, attribute);
+        const targetValue = this.formatPolicyValue(targetPolicy, attribute);
+        if (sourceValue !== targetValue) {
+          differences.push({
+            policyName: key,
+            kind: attribute.kind,
+            difference: `${attribute.label} difference: ${sourceValue} vs ${targetValue}`,
+            sourcePolicy,
+            targetPolicy
+          });
+        }
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Generate GRANT/REVOKE, row level security and policy queries for both directions.
+   * SECURITY_IN_EDGE brings Edge in line with Cloud, SECURITY_IN_CLOUD the reverse.
+   * Edge-bound statements use the mapped Edge role names.
+   */
+  generateSecurityQueries(comparison, source, target, roleMapper = new RoleMapper()) {
+    return [
+      ...this.buildDirectionQueries('SECURITY_IN_EDGE', comparison, source, target, 'source', role => roleMapper.toEdge(role), 'Cloud', 'Edge'),
+      ...this.buildDirectionQueries('SECURITY_IN_CLOUD', comparison, target, source, 'target', role => role, 'Edge', 'Cloud')
+    ];
+  }
+
+  /**
+   * Build one query per object (schema, table, sequence or default privilege owner).
+   * Revokes, dropped policies and disabled row level security come first, then grants
+   * and new policies; row level security is enabled last so that the policies exist.
+   * Objects that do not exist on the desired side are left alone.
+   */
+  buildDirectionQueries(type, comparison, desired, current, desiredSide, roleName, fromLabel, toLabel) {
+    const missingKey = desiredSide === 'source' ? 'onlyInSource' : 'onlyInTarget';
+    const extraKey = desiredSide === 'source' ? 'onlyInTarget' : 'onlyInSource';
+    const role = name => this.formatRole(name === 'PUBLIC' ? name : roleName(name));
+    const objects = new Map();
+    const exists = privilege => privilege.objectType === 'SCHEMA'
+      ? (desired.schemas || []).includes(privilege.schema)
+      : (desired.relations || []).includes(privilege.objectName);
+
+    const add = (objectType, objectName, phase, sql, additive) => {
+      if (!objects.has(objectName)) {
+        objects.set(objectName, { objectType, phases: { remove: [], grant: [], policies: [], enable: [] } });
+      }
+      objects.get(objectName).phases[phase].push({ sql, additive });
+    };
+    const objectTypeOf = privilege => (privilege.objectType === 'COLUMN' ? 'table' : privilege.objectType.toLowerCase());
+
+    // Table, column and schema privileges
+    const desiredPrivileges = new Map(desired.privileges.map(privilege => [this.privilegeKey(privilege), privilege]));
+    const currentPrivileges = new Map(current.privileges.map(privilege => [this.privilegeKey(privilege), privilege]));
+
+    for (const key of comparison.privileges[extraKey]) {
+      const privilege = currentPrivileges.get(key);
+      if (!exists(privilege)) continue;
+      add(objectTypeOf(privilege), privilege.objectName, 'remove', `REVOKE ${this.formatPrivilegeTarget(privilege)} FROM ${role(privilege.grantee)};`, false);
+    }
+    for (const key of comparison.privileges[missingKey]) {
+      const privilege = desiredPrivileges.get(key);
+      add(objectTypeOf(privilege), privilege.objectName, 'grant', this.formatGrant(privilege, role), true);
+    }
+    for (const diff of comparison.privileges.differences) {
+      const privilege = diff[`${desiredSide}Privilege`];
+      if (privilege.grantable) {
+        add(objectTypeOf(privilege), privilege.objectName, 'grant', this.formatGrant(privilege, role), true);
+      } else {
+        add(objectTypeOf(privilege), privilege.objectName, 'remove', `REVOKE GRANT OPTION FOR ${this.formatPrivilegeTarget(privilege)} FROM ${role(privilege.grantee)};`, false);
+      }
+    }
+
+    // Policies, changed policies are recreated since their command and type cannot be altered
+    const desiredPolicies = new Map(desired.policies.map(policy => [this.policyKey(policy), policy]));
+    const currentPolicies = new Map(current.policies.map(policy => [this.policyKey(policy), policy]));
+    const changedPolicies = new Set(comparison.policies.differences.map(diff => diff.policyName));
+
+    for (const key of [...comparison.policies[extraKey], ...changedPolicies]) {
+      const policy = currentPolicies.get(key);
+      if (!(desired.relations || []).includes(policy.tableName)) continue;
+      add('table', policy.tableName, 'remove', `DROP POLICY IF EXISTS "${policy.name}" ON ${qualifyName(policy.schema, policy.relationName)};`, false);
+    }
+    for (const key of [...comparison.policies[missingKey], ...changedPolicies]) {
+      const policy = desiredPolicies.get(key);
+      const additive = !changedPolicies.has(key) && policy.permissive === 'PERMISSIVE';
+      add('table', policy.tableName, 'policies', this.formatCreatePolicy(policy, role), additive);
+    }
+
+    // Row level security flags
+    const desiredTables = new Map(desired.rowSecurity.map(table => [table.tableName, table]));
+    const rowSecurityTables = new Set([
+      ...comparison.rowSecurity[missingKey],
+      ...comparison.rowSecurity.differences.map(diff => diff.tableName)
+    ]);
+    for (const tableName of rowSecurityTables) {
+      const table = desiredTables.get(tableName);
+      const currentTable = current.rowSecurity.find(item => item.tableName === tableName);
+      const name = qualifyName(table.schema, table.relationName);
+
+      if (currentTable ? currentTable.enabled !== table.enabled : table.enabled) {
+        add('table', tableName, table.enabled ? 'enable' : 'remove', `ALTER TABLE ${name} ${table.enabled ? 'ENABLE' : 'DISABLE'} ROW LEVEL SECURITY;`, false);
+      }
+      if (currentTable ? currentTable.forced !== table.forced : table.forced) {
+        add('table', tableName, table.forced ? 'enable' : 'remove', `ALTER TABLE ${name} ${table.forced ? 'FORCE' : 'NO FORCE'} ROW LEVEL SECURITY;`, false);
+      }
+    }
+
+    // Default privileges
+    const desiredDefaults = new Map(desired.defaultPrivileges.map(privilege => [this.defaultPrivilegeKey(privilege), privilege]));
+    const currentDefaults = new Map(current.defaultPrivileges.map(privilege => [this.defaultPrivilegeKey(privilege), privilege]));
+    const defaultsName = privilege => `${privilege.owner}${privilege.schema ? ` in ${privilege.schema}` : ''}`;
+
+    for (const key of comparison.defaultPrivileges[extraKey]) {
+      const privilege = currentDefaults.get(key);
+      if (privilege.schema && !(desired.schemas || []).includes(privilege.schema)) continue;
+      add('default privileges', defaultsName(privilege), 'remove', this.formatDefaultPrivilege(privilege, role, 'REVOKE'), false);
+    }
+    for (const key of comparison.defaultPrivileges[missingKey]) {
+      const privilege = desiredDefaults.get(key);
+      add('default privileges', defaultsName(privilege), 'grant', this.formatDefaultPrivilege(privilege, role, 'GRANT'), true);
+    }
+    for (const diff of comparison.defaultPrivileges.differences) {
+      const privilege = diff[`${desiredSide}Privilege`];
+      add('default privileges', defaultsName(privilege), privilege.grantable ? 'grant' : 'remove', this.formatDefaultPrivilege(privilege, role, privilege.grantable ? 'GRANT' : 'REVOKE GRANT OPTION FOR'), privilege.grantable);
+    }
+
+    return [...objects.entries()].map(([objectName, object]) => {
+      const statements = Object.values(object.phases).flat();
+      const label = object.objectType === 'default privileges'
+        ? `default privileges of ${objectName}`
+        : `privileges and policies of ${object.objectType} ${objectName}`;
+      return {
+        type,
+        objectType: object.objectType,
+        objectName,
+        statements,
+        sql: `-- ${type} - Sync ${label}\n${statements.map(statement => statement.sql).join('\n')}\n\n`,
+        description: `Sync ${label} in ${toLabel} with ${fromLabel}`
+      };
+    });
+  }
+
+  /**
+   * Unique privilege key, e.g. SELECT ON TABLE public.users TO app_ro
+   */
+  privilegeKey(privilege) {
+    const column = privilege.columnName ? ` (${privilege.columnName})` : '';
+    const objectType = privilege.objectType === 'COLUMN' ? 'TABLE' : privilege.objectType;
+    return `${privilege.privilege}${column} ON ${objectType} ${privilege.objectName} TO ${privilege.grantee}`;
+  }
+
+  /**
+   * Unique default privilege key, e.g. SELECT ON TABLES TO app_ro (default for app_owner in public)
+   */
+  defaultPrivilegeKey(privilege) {
+    const scope = privilege.schema ? ` in ${privilege.schema}` : '';
+    return `${privilege.privilege} ON ${privilege.objectType} TO ${privilege.grantee} (default for ${privilege.owner}${scope})`;
+  }
+
+  /**
+   * Unique policy key (policy names are only unique per table)
+   */
+  policyKey(policy) {
+    return `${policy.tableName}.${policy.name}`;
+  }
+
+  /**
+   * Privilege and object part of a GRANT/REVOKE statement, e.g. SELECT ("email") ON TABLE "public"."users"
+   */
+  formatPrivilegeTarget(privilege) {
+    const column = privilege.columnName ? ` ("${privilege.columnName}")` : '';
+    if (privilege.objectType === 'SCHEMA') {
+      return `${privilege.privilege} ON SCHEMA "${privilege.schema}"`;
+    }
+    const objectType = privilege.objectType === 'COLUMN' ? 'TABLE' : privilege.objectType;
+    return `${privilege.privilege}${column} ON ${objectType} ${qualifyName(privilege.schema, privilege.relationName)}`;
+  }
+
+  /**
+   * GRANT statement for a table, column or schema privilege
+   */
+  formatGrant(privilege, role) {
+    const grantOption = privilege.grantable ? ' WITH GRANT OPTION' : '';
+    return `GRANT ${this.formatPrivilegeTarget(privilege)} TO ${role(privilege.grantee)}${grantOption};`;
+  }
+
+  /**
+   * ALTER DEFAULT PRIVILEGES statement
+   * @param {string} action - GRANT, REVOKE or REVOKE GRANT OPTION FOR
+   */
+  formatDefaultPrivilege(privilege, role, action) {
+    const scope = privilege.schema ? ` IN SCHEMA "${privilege.schema}"` : '';
+    const grant = action === 'GRANT'
+      ? `GRANT ${privilege.privilege} ON ${privilege.objectType} TO ${role(privilege.grantee)}${privilege.grantable ? ' WITH GRANT OPTION' : ''}`
+      : `${action} ${privilege.privilege} ON ${privilege.objectType} FROM ${role(privilege.grantee)}`;
+    return `ALTER DEFAULT PRIVILEGES FOR ROLE ${role(privilege.owner)}${scope} ${grant};`;
+  }
+
+  /**
+   * CREATE POLICY statement
+   */
+  formatCreatePolicy(policy, role) {
+    let sql = `CREATE POLICY "${policy.name}" ON ${qualifyName(policy.schema, policy.relationName)}`;
+    sql += ` AS ${policy.permissive} FOR ${policy.command}`;
+    sql += ` TO ${policy.roles.map(role).join(', ')}`;
+    if (policy.using) sql += ` USING (${policy.using})`;
+    if (policy.withCheck) sql += ` WITH CHECK (${policy.withCheck})`;
+    return `${sql};`;
+  }
+
+  /**
+   * Quote a role name, PUBLIC is a keyword
+   */
+  formatRole(name) {
+    return name === 'PUBLIC' ? 'PUBLIC' : `"${name}"`;
+  }
+
+  /**
+   * Format a policy attribute value for comparison and difference messages
+   */
+  formatPolicyValue(policy, attribute) {
+    const value = policy[attribute.key];
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === null || value === undefined) return 'none';
+    return String(value).replace(/\s+/g, ' ').trim();
+  }
+}
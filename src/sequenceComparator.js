@@ -0,0 +1,226 @@
+import { qualifyName, objectKey, matchesTableFilter, sortBySchema } from './schemaUtils.js';
+
+const SEQUENCE_ATTRIBUTES = [
+  { key: 'dataType', kind: 'DATA_TYPE', label: 'Data type' },
+  { key: 'startValue', kind: 'START', label: 'Start value' },
+  { key: 'increment', kind: 'INCREMENT', label: 'Increment' },
+  { key: 'minValue', kind: 'MIN_VALUE', label: 'Min value' },
+  { key: 'maxValue', kind: 'MAX_VALUE', label: 'Max value' },
+  { key: 'cycle', kind: 'CYCLE', label: 'Cycle' },
+  { key: 'ownedBy', kind: 'OWNED_BY', label: 'Owned by' },
+  { key: 'lastValue', kind: 'LAST_VALUE', label: 'Last value' }
+];
+
+/**
+ * Introspects, compares and scripts sequences
+ * Identity sequences are left out since they belong to the column definition.
+ */
+export class SequenceComparator {
+  /**
+   * Get sequences of the given schemas
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   * @param {object[]|null} tableFilter - Optional parsed table filter, keeps sequences owned by these tables
+   */
+  async getSequences(client, schemas, tableFilter = null) {
+    const sequencesQuery = `
+      SELECT
+        n.nspname AS schema_name,
+        c.relname AS sequence_name,
+        format_type(s.seqtypid, NULL) AS data_type,
+        s.seqstart AS start_value,
+        s.seqincrement AS increment,
+        s.seqmin AS min_value,
+        s.seqmax AS max_value,
+        s.seqcycle AS cycle,
+        ps.last_value,
+        owner.relname AS owned_by_table,
+        owner_ns.nspname AS owned_by_schema,
+        a.attname AS owned_by_column
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_sequence s ON s.seqrelid = c.oid
+      LEFT JOIN pg_sequences ps ON ps.schemaname = n.nspname AND ps.sequencename = c.relname
+      LEFT JOIN pg_depend d ON d.classid = 'pg_class'::regclass
+        AND d.objid = c.oid
+        AND d.refclassid = 'pg_class'::regclass
+        AND d.deptype = 'a'
+      LEFT JOIN pg_class owner ON owner.oid = d.refobjid
+      LEFT JOIN pg_namespace owner_ns ON owner_ns.oid = owner.relnamespace
+      LEFT JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+      WHERE n.nspname = ANY($1)
+      AND c.relkind = 'S'
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend i
+        WHERE i.classid = 'pg_class'::regclass
+        AND i.objid = c.oid
+        AND i.deptype = 'i'
+      )
+      ORDER BY c.relname
+    `;
+
+    const result = await client.query(sequencesQuery, [schemas]);
+    const rows = tableFilter
+      ? result.rows.filter(row => row.owned_by_table && matchesTableFilter(tableFilter, row.owned_by_schema, row.owned_by_table))
+      : result.rows;
+
+    return sortBySchema(rows, schemas).map(row => ({
+      name: objectKey(row.schema_name, row.sequence_name),
+      schema: row.schema_name,
+      sequenceName: row.sequence_name,
+      dataType: row.data_type,
+      startValue: String(row.start_value),
+      increment: String(row.increment),
+      minValue: String(row.min_value),
+      maxValue: String(row.max_value),
+      cycle: row.cycle,
+      lastValue: row.last_value === null ? null : String(row.last_value),
+      ownedByTable: row.owned_by_table ? objectKey(row.owned_by_schema, row.owned_by_table) : null,
+      ownedBySchema: row.owned_by_schema,
+      ownedByTableName: row.owned_by_table,
+      ownedByColumn: row.owned_by_column,
+      ownedBy: row.owned_by_table ? `${objectKey(row.owned_by_schema, row.owned_by_table)}.${row.owned_by_column}` : null
+    }));
+  }
+
+  /**
+   * Compare sequences of two schemas
+   * LAST_VALUE differences are reported but never scripted, they follow the data.
+   */
+  compareSequences(sourceSequences, targetSequences) {
+    const sourceMap = new Map(sourceSequences.map(sequence => [sequence.name, sequence]));
+    const targetMap = new Map(targetSequences.map(sequence => [sequence.name, sequence]));
+
+    const onlyInSource = sourceSequences.filter(sequence => !targetMap.has(sequence.name)).map(sequence => sequence.name);
+    const onlyInTarget = targetSequences.filter(sequence => !sourceMap.has(sequence.name)).map(sequence => sequence.name);
+    const differences = [];
+
+    for (const [sequenceName, sourceSequence] of sourceMap) {
+      const targetSequence = targetMap.get(sequenceName);
+      if (!targetSequence) continue;
+
+      for (const attribute of SEQUENCE_ATTRIBUTES) {
+        const sourceValue = sourceSequence[attribute.key];
+        const targetValue = targetSequence[attribute.key];
+        if (sourceValue === targetValue) continue;
+
+        differences.push({
+          sequenceName,
+          kind: attribute.kind,
+          difference: `${attribute.label} difference: ${sourceValue ?? 'none'} vs ${targetValue ?? 'none'}`,
+          sourceValue,
+          targetValue,
+          sourceSequence,
+          targetSequence
+        });
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Generate sequence queries for both directions
+   * SEQUENCE_IN_EDGE creates/alters sequences in Edge from Cloud, SEQUENCE_IN_CLOUD the reverse.
+   * @param {object} comparison - Result of compareSequences
+   * @param {object} source - { sequences, tables } of the Cloud side
+   * @param {object} target - { sequences, tables } of the Edge side
+   */
+  generateSequenceQueries(comparison, source, target) {
+    return [
+      ...this.buildDirectionQueries('SEQUENCE_IN_EDGE', source.sequences, comparison.onlyInSource, comparison.differences, 'sourceSequence', target.tables, 'Cloud', 'Edge'),
+      ...this.buildDirectionQueries('SEQUENCE_IN_CLOUD', target.sequences, comparison.onlyInTarget, comparison.differences, 'targetSequence', source.tables, 'Edge', 'Cloud')
+    ];
+  }
+
+  /**
+   * Build queries for one direction from the desired side's sequences
+   * Ownership of a sequence whose table is missing on the other side is left
+   * to the CREATE TABLE script (see generateOwnershipStatements).
+   */
+  buildDirectionQueries(type, desiredSequences, missingNames, differences, desiredKey, currentTables, fromLabel, toLabel) {
+    const queries = [];
+
+    for (const sequence of desiredSequences) {
+      const ownerExists = !sequence.ownedByTable || Boolean(currentTables[sequence.ownedByTable]);
+      const statements = [];
+
+      if (missingNames.includes(sequence.name)) {
+        statements.push({ sql: `CREATE SEQUENCE IF NOT EXISTS ${this.formatName(sequence)}${this.formatOptions(sequence)};`, additive: true });
+        if (sequence.ownedBy && ownerExists) {
+          statements.push({ sql: this.formatOwnedBy(sequence), additive: true });
+        }
+      } else {
+        const kinds = new Set(
+          differences
+            .filter(diff => diff.sequenceName === sequence.name && diff[desiredKey] === sequence)
+            .map(diff => diff.kind)
+        );
+        kinds.delete('LAST_VALUE');
+        if (kinds.size === 0) continue;
+
+        const definitionKinds = [...kinds].filter(kind => kind !== 'OWNED_BY');
+        if (definitionKinds.length > 0) {
+          statements.push({ sql: `ALTER SEQUENCE ${this.formatName(sequence)}${this.formatOptions(sequence)};`, additive: false });
+        }
+        if (kinds.has('OWNED_BY') && ownerExists) {
+          statements.push({ sql: this.formatOwnedBy(sequence), additive: false });
+        }
+      }
+
+      if (statements.length === 0) continue;
+
+      const missing = missingNames.includes(sequence.name);
+      queries.push({
+        type,
+        objectType: 'sequence',
+        objectName: sequence.name,
+        statements,
+        sql: `-- ${type} - Sequence ${sequence.name}\n${statements.map(statement => statement.sql).join('\n')}\n\n`,
+        description: missing
+          ? `Create ${sequence.name} sequence from ${fromLabel} in ${toLabel}`
+          : `Alter ${sequence.name} sequence in ${toLabel} to match ${fromLabel}`
+      });
+    }
+
+    return queries;
+  }
+
+  /**
+   * OWNED BY statements for sequences owned by the given table
+   */
+  generateOwnershipStatements(sequences, tableName) {
+    return sequences
+      .filter(sequence => sequence.ownedByTable === tableName)
+      .map(sequence => this.formatOwnedBy(sequence));
+  }
+
+  /**
+   * Format sequence options shared by CREATE and ALTER SEQUENCE
+   */
+  formatOptions(sequence) {
+    return ` AS ${sequence.dataType}` +
+      ` INCREMENT BY ${sequence.increment}` +
+      ` MINVALUE ${sequence.minValue}` +
+      ` MAXVALUE ${sequence.maxValue}` +
+      ` START WITH ${sequence.startValue}` +
+      (sequence.cycle ? ' CYCLE' : ' NO CYCLE');
+  }
+
+  /**
+   * Format ALTER SEQUENCE ... OWNED BY
+   */
+  formatOwnedBy(sequence) {
+    const owner = sequence.ownedBy
+      ? `${qualifyName(sequence.ownedBySchema, sequence.ownedByTableName)}."${sequence.ownedByColumn}"`
+      : 'NONE';
+    return `ALTER SEQUENCE ${this.formatName(sequence)} OWNED BY ${owner};`;
+  }
+
+  /**
+   * Quoted, schema-qualified sequence name
+   */
+  formatName(sequence) {
+    return qualifyName(sequence.schema, sequence.sequenceName || sequence.name);
+  }
+}
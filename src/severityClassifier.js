@@ -0,0 +1,257 @@
+// Severity levels, lowest first
+export const SEVERITY_LEVELS = ['informational', 'risky', 'breaking'];
+
+// Exit code of a run whose highest severity reaches --fail-on; 1 stays reserved for errors
+export const SEVERITY_EXIT_CODES = {
+  informational: 2,
+  risky: 3,
+  breaking: 4
+};
+
+// Severity of objects that exist on one side only, and of changed objects.
+// Cloud is the reference: an object Edge lacks is worse than one Edge has in addition.
+const OBJECT_SEVERITIES = {
+  schema: { onlyInSource: 'breaking', onlyInTarget: 'informational' },
+  table: { onlyInSource: 'breaking', onlyInTarget: 'informational' },
+  view: { onlyInSource: 'breaking', onlyInTarget: 'informational', changed: 'risky' },
+  function: { onlyInSource: 'breaking', onlyInTarget: 'informational', changed: 'risky' },
+  trigger: { onlyInSource: 'risky', onlyInTarget: 'risky', changed: 'risky' },
+  sequence: { onlyInSource: 'risky', onlyInTarget: 'informational', changed: 'risky' },
+  type: { onlyInSource: 'breaking', onlyInTarget: 'informational', changed: 'risky' },
+  extension: { onlyInSource: 'breaking', onlyInTarget: 'informational', changed: 'risky' },
+  privilege: { onlyInSource: 'risky', onlyInTarget: 'risky', changed: 'risky' },
+  policy: { onlyInSource: 'risky', onlyInTarget: 'risky', changed: 'risky' }
+};
+
+// Changed object kinds that differ from the default of their category
+const KIND_SEVERITIES = {
+  view: { INDEX: 'informational' },
+  sequence: { LAST_VALUE: 'informational' }
+};
+
+/**
+ * Higher of two severities, null counting as none
+ */
+function maxSeverity(a, b) {
+  return SEVERITY_LEVELS.indexOf(a) >= SEVERITY_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Whether a size limit (length, precision) is smaller on Edge; null means unlimited
+ */
+function isNarrowed(sourceValue, targetValue) {
+  if (targetValue === null || targetValue === undefined) return false;
+  return sourceValue === null || sourceValue === undefined || Number(targetValue) < Number(sourceValue);
+}
+
+/**
+ * Whether a type name only differs by smaller modifiers, e.g. varchar(20) vs varchar(10)
+ * or timestamp(6) vs timestamp(3)
+ */
+function isNarrowedModifier(sourceType, targetType) {
+  const base = type => String(type).replace(/\d+/g, '#');
+  if (base(sourceType) !== base(targetType)) return false;
+
+  const sourceNumbers = String(sourceType).match(/\d+/g) || [];
+  const targetNumbers = String(targetType).match(/\d+/g) || [];
+  return targetNumbers.some((value, index) => Number(value) < Number(sourceNumbers[index]));
+}
+
+/**
+ * Whether rows coming from Cloud must provide a value for an Edge-only column
+ */
+function requiresValue(column) {
+  return Boolean(column) && column.nullable === false &&
+    (column.defaultValue === null || column.defaultValue === undefined) &&
+    !column.identity && !column.generationExpression;
+}
+
+/**
+ * Classifies schema and data differences as breaking, risky or informational:
+ *
+ * - breaking: Edge cannot hold what Cloud has, e.g. a missing table or column,
+ *   a changed or narrowed type, a NOT NULL column that is nullable in Cloud
+ * - risky: the databases behave differently, e.g. defaults, constraints, triggers,
+ *   privileges and policies, or records missing on one side
+ * - informational: Edge has something in addition or under another name, e.g. an extra index
+ *
+ * Differences are tagged with a `severity` field, the classification returns the
+ * counts and the list of classified differences for reports and exit codes.
+ */
+export class SeverityClassifier {
+  /**
+   * Severity of a column difference of a compared table
+   */
+  classifyColumn(diff) {
+    switch (diff.kind) {
+      case 'MISSING_IN_TARGET':
+      case 'DATA_TYPE':
+      case 'ARRAY_ELEMENT_TYPE':
+        return 'breaking';
+      case 'MISSING_IN_SOURCE':
+        return requiresValue(diff.targetColumn) ? 'risky' : 'informational';
+      case 'MAX_LENGTH':
+      case 'PRECISION':
+      case 'SCALE':
+        return isNarrowed(diff.sourceValue, diff.targetValue) ? 'breaking' : 'risky';
+      case 'TYPE_MODIFIER':
+        return isNarrowedModifier(diff.sourceValue, diff.targetValue) ? 'breaking' : 'risky';
+      case 'NULLABLE':
+        return diff.sourceValue === true && diff.targetValue === false ? 'breaking' : 'risky';
+      default:
+        return 'risky';
+    }
+  }
+
+  /**
+   * Severity of a primary key, foreign key or other constraint difference
+   */
+  classifyConstraint(diff) {
+    if (diff.kind === 'PRIMARY_KEY') return 'breaking';
+    if (diff.kind === 'FK_RENAMED' || diff.kind === 'CONSTRAINT_RENAMED') return 'informational';
+    return 'risky';
+  }
+
+  /**
+   * Severity of an index difference; only unique indexes change what a table accepts
+   */
+  classifyIndex(diff) {
+    const unique = Boolean(diff.sourceIndex?.unique || diff.targetIndex?.unique);
+    switch (diff.kind) {
+      case 'MISSING_IN_TARGET':
+      case 'DEFINITION_CHANGED':
+        return unique ? 'risky' : 'informational';
+      default:
+        return 'informational';
+    }
+  }
+
+  /**
+   * Severity of a partition difference; rows of a bound Edge lacks cannot be stored
+   */
+  classifyPartition(diff) {
+    if (diff.kind === 'PARTITION_KEY' || diff.kind === 'MISSING_IN_TARGET') return 'breaking';
+    return 'informational';
+  }
+
+  /**
+   * Classify every difference of a schema comparison (see DatabaseComparator.compareSchemas)
+   * @returns {object} { highest, counts, items: [{ severity, category, name, kind, difference }] }
+   */
+  classifySchemaComparison(comparison) {
+    const items = [];
+    const add = (severity, category, name, kind, difference) => {
+      items.push({ severity, category, name, kind, difference });
+      return severity;
+    };
+
+    const addObjects = (category, objects, differenceName) => {
+      if (!objects) return;
+      const severities = OBJECT_SEVERITIES[category];
+      (objects.onlyInSource || []).forEach(name =>
+        add(severities.onlyInSource, category, name, 'MISSING_IN_TARGET', 'Exists in Cloud but not in Edge'));
+      (objects.onlyInTarget || []).forEach(name =>
+        add(severities.onlyInTarget, category, name, 'MISSING_IN_SOURCE', 'Exists in Edge but not in Cloud'));
+      (objects.differences || []).forEach(diff => {
+        const severity = KIND_SEVERITIES[category]?.[diff.kind] || severities.changed;
+        diff.severity = add(severity, category, differenceName(diff), diff.kind, diff.difference);
+      });
+    };
+
+    addObjects('schema', comparison.schemas);
+    addObjects('table', { onlyInSource: comparison.onlyInSource, onlyInTarget: comparison.onlyInTarget });
+
+    const members = [
+      { list: 'columnDifferences', category: 'column', name: diff => diff.columnName, classify: diff => this.classifyColumn(diff) },
+      { list: 'constraintDifferences', category: 'constraint', name: diff => diff.constraintName, classify: diff => this.classifyConstraint(diff) },
+      { list: 'indexDifferences', category: 'index', name: diff => diff.indexName, classify: diff => this.classifyIndex(diff) },
+      { list: 'partitionDifferences', category: 'partition', name: diff => diff.partitionName, classify: diff => this.classifyPartition(diff) }
+    ];
+    for (const table of comparison.tableDifferences || []) {
+      let tableSeverity = null;
+      if (table.tableRename) {
+        const { target } = table.tableRename;
+        tableSeverity = add('risky', 'table', table.tableName, 'RENAMED', `Table renamed: ${target.schema}.${target.name} (Edge) -> ${table.tableName} (Cloud)`);
+      }
+      for (const member of members) {
+        (table[member.list] || []).forEach(diff => {
+          diff.severity = add(member.classify(diff), member.category, `${table.tableName}.${member.name(diff)}`, diff.kind, diff.difference);
+          tableSeverity = maxSeverity(tableSeverity, diff.severity);
+        });
+      }
+      table.severity = tableSeverity;
+    }
+
+    addObjects('view', comparison.views, diff => diff.viewName);
+    addObjects('extension', comparison.extensions, diff => diff.extensionName);
+    addObjects('type', comparison.types, diff => diff.typeName);
+    addObjects('sequence', comparison.sequences, diff => diff.sequenceName);
+    addObjects('function', comparison.routines, diff => diff.signature);
+    addObjects('trigger', comparison.triggers, diff => `${diff.tableName}.${diff.triggerName}`);
+    if (comparison.security) {
+      addObjects('privilege', comparison.security.privileges, diff => diff.privilegeName);
+      addObjects('privilege', comparison.security.defaultPrivileges, diff => diff.privilegeName);
+      addObjects('policy', comparison.security.rowSecurity, diff => diff.tableName);
+      addObjects('policy', comparison.security.policies, diff => diff.policyName);
+    }
+
+    return this.summarize(items);
+  }
+
+  /**
+   * Classify the record differences of a data comparison (see DataComparator.compareData).
+   * Missing records are risky: the databases drifted, a record sync brings them back in line.
+   */
+  classifyDataComparison(results) {
+    const items = [];
+    for (const tableResult of results.tableResults || []) {
+      tableResult.severity = null;
+      if (tableResult.missingInEdge.length > 0) {
+        items.push({
+          severity: 'risky',
+          category: 'records',
+          name: tableResult.tableName,
+          kind: 'MISSING_IN_TARGET',
+          difference: `${tableResult.missingInEdge.length} records exist in Cloud but not in Edge`
+        });
+        tableResult.severity = 'risky';
+      }
+      if (tableResult.missingInCloud.length > 0) {
+        items.push({
+          severity: 'risky',
+          category: 'records',
+          name: tableResult.tableName,
+          kind: 'MISSING_IN_SOURCE',
+          difference: `${tableResult.missingInCloud.length} records exist in Edge but not in Cloud`
+        });
+        tableResult.severity = 'risky';
+      }
+    }
+    return this.summarize(items);
+  }
+
+  /**
+   * Counts per severity and the highest severity found
+   */
+  summarize(items) {
+    const counts = Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]));
+    items.forEach(item => {
+      counts[item.severity]++;
+    });
+    const highest = [...SEVERITY_LEVELS].reverse().find(level => counts[level] > 0) || null;
+    return { highest, counts, items };
+  }
+
+  /**
+   * Exit code for --fail-on: 0 when no difference reaches the level,
+   * otherwise the code of the highest severity found (see SEVERITY_EXIT_CODES)
+   * @param {object} severity - Result of classifySchemaComparison or classifyDataComparison
+   * @param {string|null} failOn - Lowest severity that fails the run
+   */
+  getExitCode(severity, failOn) {
+    if (!failOn || !severity || !severity.highest) return 0;
+    return SEVERITY_LEVELS.indexOf(severity.highest) >= SEVERITY_LEVELS.indexOf(failOn)
+      ? SEVERITY_EXIT_CODES[severity.highest]
+      : 0;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Raised when a statement fails in all-or-nothing mode. The plan stops at this
+ * statement and every target database is rolled back.
+ */
+export class TransactionAbortedError extends Error {
+  /**
+   * @param {object} failure - { label, name, statement, message }
+   */
+  constructor(failure) {
+    super(`${failure.name} failed in ${failure.label}: ${failure.message}`);
+    this.name = 'TransactionAbortedError';
+    this.failure = failure;
+  }
+}
+
+/**
+ * Runs an --execute plan inside one transaction per target database (--transaction).
+ * Every step of the plan shares the same connection, nothing is committed until
+ * the whole plan succeeded. With savepoints each table or object runs in its own
+ * savepoint, so a failing one is rolled back on its own and the rest still commits.
+ */
+export class TransactionManager {
+  /**
+   * @param {function} connect - (url) => connected pg client
+   * @param {object} options - { savepoints }
+   */
+  constructor(connect, options = {}) {
+    this.connect = connect;
+    this.savepoints = Boolean(options.savepoints);
+    // url -> { client, label }
+    this.sessions = new Map();
+    this.savepointCount = 0;
+  }
+
+  /**
+   * Open the transaction of a target database on first use.
+   * The transaction waits idle while the other database's steps run and until it
+   * is committed, so the idle-in-transaction timeout is turned off for the session.
+   */
+  async getClient(url, label) {
+    if (!this.sessions.has(url)) {
+      const client = await this.connect(url);
+      try {
+        await client.query('SET idle_in_transaction_session_timeout = 0');
+        await client.query('BEGIN');
+      } catch (error) {
+        await client.end();
+        throw error;
+      }
+      this.sessions.set(url, { client, label });
+    }
+    return this.sessions.get(url).client;
+  }
+
+  /**
+   * Run the statements of one table or object in the target's transaction.
+   * Without savepoints the first failure aborts the plan (TransactionAbortedError),
+   * with savepoints only this object is rolled back and the error is rethrown.
+   * @param {object} step - { url, label, name, statements: string[] }
+   */
+  async run({ url, label, name, statements }) {
+    let client;
+    try {
+      client = await this.getClient(url, label);
+    } catch (error) {
+      throw new TransactionAbortedError({ label, name, statement: null, message: error.message });
+    }
+
+    const savepoint = this.savepoints ? `pdi_savepoint_${++this.savepointCount}` : null;
+    let current = null;
+    try {
+      if (savepoint) await client.query(`SAVEPOINT ${savepoint}`);
+      for (const sql of statements) {
+        current = sql;
+        await client.query(sql);
+      }
+      if (savepoint) await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+    } catch (error) {
+      const failure = { label, name, statement: current, message: error.message };
+      if (!savepoint) throw new TransactionAbortedError(failure);
+
+      try {
+        await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      } catch (rollbackError) {
+        throw new TransactionAbortedError({ ...failure, message: `${error.message} (rollback to savepoint failed: ${rollbackError.message})` });
+      }
+      throw new Error(current ? `${error.message}\n    Statement: ${current}` : error.message);
+    }
+  }
+
+  /**
+   * Commit every open transaction, the rest is rolled back when a commit fails.
+   * Databases committed before the failure are listed in error.committed.
+   * @returns {string[]} Labels of the committed databases
+   */
+  async commit() {
+    const committed = [];
+    try {
+      for (const [url, session] of this.sessions) {
+        await session.client.query('COMMIT');
+        await session.client.end();
+        this.sessions.delete(url);
+        committed.push(session.label);
+      }
+    } catch (error) {
+      await this.rollback();
+      error.committed = committed;
+      throw error;
+    }
+    return committed;
+  }
+
+  /**
+   * Roll back and close every open transaction
+   * @returns {string[]} Labels of the rolled back databases
+   */
+  async rollback() {
+    const rolledBack = [];
+    for (const session of this.sessions.values()) {
+      try {
+        await session.client.query('ROLLBACK');
+        rolledBack.push(session.label);
+      } catch (error) {
+        // The connection is gone, the server has already discarded the transaction
+      }
+      await session.client.end();
+    }
+    this.sessions.clear();
+    return rolledBack;
+  }
+}
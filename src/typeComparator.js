@@ -0,0 +1,382 @@
+import { qualifyName, objectKey, parseArrayValue, sortBySchema } from './schemaUtils.js';
+import { DependencyGraph } from './dependencyGraph.js';
+
+// Scripting order between unrelated types, dependencies always come first
+const TYPE_ORDER = { enum: 0, domain: 1, composite: 2 };
+
+/**
+ * Introspects, compares and scripts user-defined types (enums, domains, composite types)
+ */
+export class TypeComparator {
+  /**
+   * Get enums, domains and composite types of the given schemas, excluding extension members
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   */
+  async getTypes(client, schemas) {
+    const typesQuery = `
+      SELECT
+        t.oid,
+        n.nspname AS schema_name,
+        t.typname AS type_name,
+        CASE t.typtype WHEN 'e' THEN 'enum' WHEN 'd' THEN 'domain' ELSE 'composite' END AS kind,
+        ARRAY(
+          SELECT e.enumlabel::text FROM pg_enum e
+          WHERE e.enumtypid = t.oid
+          ORDER BY e.enumsortorder
+        ) AS labels,
+        CASE WHEN t.typtype = 'd' THEN format_type(t.typbasetype, t.typtypmod) END AS base_type,
+        t.typnotnull AS not_null,
+        t.typdefault AS default_value,
+        co.collname AS collation_name
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      LEFT JOIN pg_class c ON c.oid = t.typrelid
+      LEFT JOIN pg_collation co ON co.oid = t.typcollation AND t.typcollation <> 100
+      WHERE n.nspname = ANY($1)
+      AND (t.typtype IN ('e', 'd') OR (t.typtype = 'c' AND c.relkind = 'c'))
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend d
+        WHERE d.classid = 'pg_type'::regclass
+        AND d.objid = t.oid
+        AND d.deptype = 'e'
+      )
+      ORDER BY t.typname
+    `;
+
+    const constraintsQuery = `
+      SELECT con.contypid, con.conname, pg_get_constraintdef(con.oid) AS definition
+      FROM pg_constraint con
+      JOIN pg_type t ON t.oid = con.contypid
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname = ANY($1)
+      ORDER BY con.conname
+    `;
+
+    const attributesQuery = `
+      SELECT t.oid AS type_oid, a.attname, format_type(a.atttypid, a.atttypmod) AS data_type
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      JOIN pg_attribute a ON a.attrelid = t.typrelid
+      WHERE n.nspname = ANY($1)
+      AND t.typtype = 'c'
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      ORDER BY a.attnum
+    `;
+
+    const typesResult = await client.query(typesQuery, [schemas]);
+    const constraintsResult = await client.query(constraintsQuery, [schemas]);
+    const attributesResult = await client.query(attributesQuery, [schemas]);
+
+    return sortBySchema(typesResult.rows, schemas).map(row => {
+      const type = { name: objectKey(row.schema_name, row.type_name), schema: row.schema_name, typeName: row.type_name, kind: row.kind };
+
+      if (row.kind === 'enum') {
+        type.labels = parseArrayValue(row.labels);
+      } else if (row.kind === 'domain') {
+        type.baseType = row.base_type;
+        type.notNull = row.not_null;
+        type.defaultValue = row.default_value;
+        type.collation = row.collation_name;
+        type.constraints = constraintsResult.rows
+          .filter(constraint => constraint.contypid === row.oid)
+          .map(constraint => ({ name: constraint.conname, definition: constraint.definition }));
+      } else {
+        type.attributes = attributesResult.rows
+          .filter(attribute => attribute.type_oid === row.oid)
+          .map(attribute => ({ name: attribute.attname, dataType: attribute.data_type }));
+      }
+
+      return type;
+    });
+  }
+
+  /**
+   * Compare user-defined types of two schemas
+   */
+  compareTypes(sourceTypes, targetTypes) {
+    const sourceMap = new Map(sourceTypes.map(type => [type.name, type]));
+    const targetMap = new Map(targetTypes.map(type => [type.name, type]));
+
+    const onlyInSource = sourceTypes.filter(type => !targetMap.has(type.name)).map(type => type.name);
+    const onlyInTarget = targetTypes.filter(type => !sourceMap.has(type.name)).map(type => type.name);
+    const differences = [];
+
+    for (const [typeName, sourceType] of sourceMap) {
+      const targetType = targetMap.get(typeName);
+      if (!targetType) continue;
+
+      const addDifference = (kind, difference) => {
+        differences.push({ typeName, kind, difference, sourceType, targetType });
+      };
+
+      if (sourceType.kind !== targetType.kind) {
+        addDifference('TYPE_KIND', `Type kind difference: ${sourceType.kind} vs ${targetType.kind}`);
+        continue;
+      }
+
+      if (sourceType.kind === 'enum') {
+        if (sourceType.labels.join(',') !== targetType.labels.join(',')) {
+          addDifference('ENUM_LABELS', `Enum labels difference: (${sourceType.labels.join(', ')}) vs (${targetType.labels.join(', ')})`);
+        }
+      } else if (sourceType.kind === 'domain') {
+        if (sourceType.baseType !== targetType.baseType) {
+          addDifference('DOMAIN_BASE_TYPE', `Base type difference: ${sourceType.baseType} vs ${targetType.baseType}`);
+        }
+        if (sourceType.notNull !== targetType.notNull) {
+          addDifference('DOMAIN_NOT_NULL', `NOT NULL difference: ${sourceType.notNull} vs ${targetType.notNull}`);
+        }
+        if ((sourceType.defaultValue ?? null) !== (targetType.defaultValue ?? null)) {
+          addDifference('DOMAIN_DEFAULT', `Default difference: ${sourceType.defaultValue ?? 'none'} vs ${targetType.defaultValue ?? 'none'}`);
+        }
+        if ((sourceType.collation ?? null) !== (targetType.collation ?? null)) {
+          addDifference('DOMAIN_COLLATION', `Collation difference: ${sourceType.collation ?? 'none'} vs ${targetType.collation ?? 'none'}`);
+        }
+        if (this.formatConstraintList(sourceType) !== this.formatConstraintList(targetType)) {
+          addDifference('DOMAIN_CONSTRAINTS', `Constraint difference: [${this.formatConstraintList(sourceType)}] vs [${this.formatConstraintList(targetType)}]`);
+        }
+      } else if (this.formatAttributeList(sourceType) !== this.formatAttributeList(targetType)) {
+        addDifference('COMPOSITE_ATTRIBUTES', `Attribute difference: (${this.formatAttributeList(sourceType)}) vs (${this.formatAttributeList(targetType)})`);
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Generate type queries for both directions
+   * TYPE_IN_EDGE creates/alters types in Edge from Cloud, TYPE_IN_CLOUD the reverse.
+   */
+  generateTypeQueries(comparison, sourceTypes, targetTypes) {
+    return [
+      ...this.buildDirectionQueries('TYPE_IN_EDGE', sourceTypes, targetTypes, comparison.onlyInSource, comparison.differences, 'Cloud', 'Edge'),
+      ...this.buildDirectionQueries('TYPE_IN_CLOUD', targetTypes, sourceTypes, comparison.onlyInTarget, comparison.differences, 'Edge', 'Cloud')
+    ];
+  }
+
+  /**
+   * Build queries for one direction from the desired side's types
+   */
+  buildDirectionQueries(type, desiredTypes, currentTypes, missingNames, differences, fromLabel, toLabel) {
+    const currentMap = new Map(currentTypes.map(currentType => [currentType.name, currentType]));
+    const changedNames = new Set(differences.map(diff => diff.typeName));
+    const queries = [];
+
+    const selected = desiredTypes
+      .filter(desiredType => missingNames.includes(desiredType.name) || changedNames.has(desiredType.name));
+
+    for (const desiredType of this.sortByDependencies(selected)) {
+      const missing = missingNames.includes(desiredType.name);
+      const { statements, warnings } = missing
+        ? { statements: [{ sql: this.generateCreateSQL(desiredType), additive: true }], warnings: [] }
+        : this.generateAlterStatements(desiredType, currentMap.get(desiredType.name));
+
+      if (statements.length === 0 && warnings.length === 0) continue;
+
+      let sql = `-- ${type} - ${desiredType.kind} type ${desiredType.name}\n`;
+      warnings.forEach(warning => {
+        sql += `-- WARNING: ${warning}\n`;
+      });
+      statements.forEach(statement => {
+        sql += `${statement.sql}\n`;
+      });
+
+      queries.push({
+        type,
+        objectType: desiredType.kind,
+        objectName: desiredType.name,
+        statements,
+        warnings,
+        sql: `${sql}\n`,
+        description: missing
+          ? `Create ${desiredType.name} ${desiredType.kind} type from ${fromLabel} in ${toLabel}`
+          : `Alter ${desiredType.name} ${desiredType.kind} type in ${toLabel} to match ${fromLabel}`
+      });
+    }
+
+    return queries;
+  }
+
+  /**
+   * Sort types so that the enums, domains and composite types a domain or
+   * composite type is built on come first
+   */
+  sortByDependencies(types) {
+    const ordered = [...types].sort((a, b) => TYPE_ORDER[a.kind] - TYPE_ORDER[b.kind]);
+    const typeMap = new Map(ordered.map(type => [type.name, type]));
+    const graph = new DependencyGraph();
+
+    ordered.forEach(type => graph.addNode(type.name));
+    for (const type of ordered) {
+      const usedTypes = type.kind === 'domain'
+        ? [type.baseType]
+        : (type.attributes || []).map(attribute => attribute.dataType);
+      for (const usedType of usedTypes) {
+        graph.addDependency(type.name, this.resolveTypeName(usedType, type.schema));
+      }
+    }
+
+    return graph.sort().order.map(name => typeMap.get(name));
+  }
+
+  /**
+   * Key of a type referenced by format_type text, e.g. billing."Status"[] -> billing.Status.
+   * Unqualified names are assumed to live in the schema of the referencing type.
+   */
+  resolveTypeName(dataType, schema) {
+    const name = String(dataType || '').replace(/(\[\])+$/, '').replace(/"/g, '');
+    return name.includes('.') ? name : objectKey(schema, name);
+  }
+
+  /**
+   * Generate CREATE TYPE / CREATE DOMAIN SQL
+   */
+  generateCreateSQL(type) {
+    if (type.kind === 'enum') {
+      return `CREATE TYPE ${this.formatName(type)} AS ENUM (${type.labels.map(label => this.quoteLiteral(label)).join(', ')});`;
+    }
+
+    if (type.kind === 'domain') {
+      let sql = `CREATE DOMAIN ${this.formatName(type)} AS ${type.baseType}`;
+      if (type.collation) sql += ` COLLATE "${type.collation}"`;
+      if (type.defaultValue) sql += ` DEFAULT ${type.defaultValue}`;
+      if (type.notNull) sql += ' NOT NULL';
+      for (const constraint of type.constraints) {
+        sql += ` CONSTRAINT "${constraint.name}" ${constraint.definition}`;
+      }
+      return `${sql};`;
+    }
+
+    const attributes = type.attributes.map(attribute => `"${attribute.name}" ${attribute.dataType}`);
+    return `CREATE TYPE ${this.formatName(type)} AS (${attributes.join(', ')});`;
+  }
+
+  /**
+   * Generate ALTER statements that turn the current type into the desired one.
+   * Changes PostgreSQL cannot apply in place (removing or reordering enum labels,
+   * changing a domain base type or the type kind) are returned as warnings.
+   */
+  generateAlterStatements(desired, current) {
+    const statements = [];
+    const warnings = [];
+
+    if (desired.kind !== current.kind) {
+      warnings.push(`${desired.name} is a ${desired.kind} type in the source and a ${current.kind} type in the target, recreate it manually`);
+      return { statements, warnings };
+    }
+
+    if (desired.kind === 'enum') {
+      const currentLabels = current.labels;
+      const keptLabels = desired.labels.filter(label => currentLabels.includes(label));
+
+      if (keptLabels.length !== currentLabels.length || keptLabels.join(',') !== currentLabels.join(',')) {
+        warnings.push(`Enum labels of ${desired.name} were removed or reordered, this requires recreating the type`);
+        return { statements, warnings };
+      }
+
+      desired.labels.forEach((label, index) => {
+        if (currentLabels.includes(label)) return;
+        // Earlier labels are added first, so the previous label always exists
+        let position = '';
+        if (index > 0) {
+          position = ` AFTER ${this.quoteLiteral(desired.labels[index - 1])}`;
+        } else if (currentLabels.length > 0) {
+          position = ` BEFORE ${this.quoteLiteral(currentLabels[0])}`;
+        }
+        statements.push({
+          sql: `ALTER TYPE ${this.formatName(desired)} ADD VALUE IF NOT EXISTS ${this.quoteLiteral(label)}${position};`,
+          additive: true
+        });
+      });
+    } else if (desired.kind === 'domain') {
+      if (desired.baseType !== current.baseType || (desired.collation ?? null) !== (current.collation ?? null)) {
+        warnings.push(`Base type or collation of domain ${desired.name} differs (${desired.baseType} vs ${current.baseType}), this requires recreating the domain`);
+      }
+
+      if ((desired.defaultValue ?? null) !== (current.defaultValue ?? null)) {
+        statements.push({
+          sql: desired.defaultValue
+            ? `ALTER DOMAIN ${this.formatName(desired)} SET DEFAULT ${desired.defaultValue};`
+            : `ALTER DOMAIN ${this.formatName(desired)} DROP DEFAULT;`,
+          additive: false
+        });
+      }
+
+      if (desired.notNull !== current.notNull) {
+        statements.push({
+          sql: `ALTER DOMAIN ${this.formatName(desired)} ${desired.notNull ? 'SET' : 'DROP'} NOT NULL;`,
+          additive: false
+        });
+      }
+
+      const currentConstraints = new Map(current.constraints.map(constraint => [constraint.name, constraint]));
+      const desiredConstraints = new Map(desired.constraints.map(constraint => [constraint.name, constraint]));
+
+      for (const constraint of current.constraints) {
+        const desiredConstraint = desiredConstraints.get(constraint.name);
+        if (!desiredConstraint || desiredConstraint.definition !== constraint.definition) {
+          statements.push({ sql: `ALTER DOMAIN ${this.formatName(desired)} DROP CONSTRAINT "${constraint.name}";`, additive: false });
+        }
+      }
+
+      for (const constraint of desired.constraints) {
+        const currentConstraint = currentConstraints.get(constraint.name);
+        if (!currentConstraint || currentConstraint.definition !== constraint.definition) {
+          statements.push({
+            sql: `ALTER DOMAIN ${this.formatName(desired)} ADD CONSTRAINT "${constraint.name}" ${constraint.definition};`,
+            additive: !currentConstraint
+          });
+        }
+      }
+    } else {
+      const currentAttributes = new Map(current.attributes.map(attribute => [attribute.name, attribute]));
+      const desiredAttributes = new Map(desired.attributes.map(attribute => [attribute.name, attribute]));
+
+      for (const attribute of current.attributes) {
+        if (!desiredAttributes.has(attribute.name)) {
+          statements.push({ sql: `ALTER TYPE ${this.formatName(desired)} DROP ATTRIBUTE "${attribute.name}";`, additive: false });
+        }
+      }
+
+      for (const attribute of desired.attributes) {
+        const currentAttribute = currentAttributes.get(attribute.name);
+        if (!currentAttribute) {
+          statements.push({ sql: `ALTER TYPE ${this.formatName(desired)} ADD ATTRIBUTE "${attribute.name}" ${attribute.dataType};`, additive: true });
+        } else if (currentAttribute.dataType !== attribute.dataType) {
+          statements.push({ sql: `ALTER TYPE ${this.formatName(desired)} ALTER ATTRIBUTE "${attribute.name}" TYPE ${attribute.dataType};`, additive: false });
+        }
+      }
+    }
+
+    return { statements, warnings };
+  }
+
+  /**
+   * Constraint list used for domain comparison
+   */
+  formatConstraintList(type) {
+    return (type.constraints || []).map(constraint => `${constraint.name} ${constraint.definition}`).join(', ');
+  }
+
+  /**
+   * Attribute list used for composite type comparison
+   */
+  formatAttributeList(type) {
+    return (type.attributes || []).map(attribute => `${attribute.name} ${attribute.dataType}`).join(', ');
+  }
+
+  /**
+   * Quote a string literal
+   */
+  quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Quoted, schema-qualified type name
+   */
+  formatName(type) {
+    return qualifyName(type.schema, type.typeName || type.name);
+  }
+}
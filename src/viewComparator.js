@@ -0,0 +1,354 @@
+import { qualifyName, objectKey, matchesTableFilter, sortBySchema } from './schemaUtils.js';
+import { DependencyGraph } from './dependencyGraph.js';
+
+/**
+ * Introspects, compares and scripts views and materialized views
+ */
+export class ViewComparator {
+  /**
+   * @param {object} tableComparator - DatabaseComparator used for materialized view indexes
+   */
+  constructor(tableComparator) {
+    this.tableComparator = tableComparator;
+  }
+
+  /**
+   * Get views and materialized views of the given schemas
+   * @param {object} client - Database client
+   * @param {string[]} schemas - Schema names
+   * @param {object[]|null} tableFilter - Optional parsed table filter, also selects views
+   */
+  async getViews(client, schemas, tableFilter = null) {
+    const viewsQuery = `
+      SELECT
+        c.oid AS view_oid,
+        n.nspname AS schema_name,
+        c.relname AS view_name,
+        c.relkind,
+        pg_get_viewdef(c.oid, true) AS definition,
+        ARRAY(
+          SELECT vc.attname::text
+          FROM pg_attribute vc
+          WHERE vc.attrelid = c.oid AND vc.attnum > 0 AND NOT vc.attisdropped
+          ORDER BY vc.attnum
+        ) AS column_names,
+        ARRAY(
+          SELECT format_type(vc.atttypid, vc.atttypmod)
+          FROM pg_attribute vc
+          WHERE vc.attrelid = c.oid AND vc.attnum > 0 AND NOT vc.attisdropped
+          ORDER BY vc.attnum
+        ) AS column_types,
+        ARRAY(
+          SELECT DISTINCT dn.nspname || '.' || d.relname
+          FROM pg_rewrite r
+          JOIN pg_depend dep ON dep.objid = r.oid AND dep.classid = 'pg_rewrite'::regclass
+          JOIN pg_class d ON d.oid = dep.refobjid
+          JOIN pg_namespace dn ON dn.oid = d.relnamespace
+          WHERE r.ev_class = c.oid
+          AND d.oid <> c.oid
+          AND d.relkind IN ('v', 'm')
+        ) AS depends_on
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1)
+      AND c.relkind IN ('v', 'm')
+      ORDER BY c.relname
+    `;
+
+    const result = await client.query(viewsQuery, [schemas]);
+    const rows = sortBySchema(
+      result.rows.filter(row => matchesTableFilter(tableFilter, row.schema_name, row.view_name)),
+      schemas
+    );
+
+    // Indexes of all materialized views in one query
+    const indexes = await this.tableComparator.getIndexes(
+      client,
+      rows.filter(row => row.relkind === 'm').map(row => row.view_oid)
+    );
+
+    const views = rows.map(row => {
+      const materialized = row.relkind === 'm';
+      return {
+        name: objectKey(row.schema_name, row.view_name),
+        schema: row.schema_name,
+        viewName: row.view_name,
+        materialized,
+        definition: row.definition,
+        columns: row.column_names.map((name, i) => ({ name, dataType: row.column_types[i] })),
+        dependsOn: row.depends_on,
+        indexes: indexes.get(row.view_oid) || []
+      };
+    });
+
+    return views;
+  }
+
+  /**
+   * Compare views of two schemas
+   */
+  compareViews(sourceViews, targetViews) {
+    const sourceMap = new Map(sourceViews.map(view => [view.name, view]));
+    const targetMap = new Map(targetViews.map(view => [view.name, view]));
+
+    const onlyInSource = sourceViews.filter(view => !targetMap.has(view.name)).map(view => view.name);
+    const onlyInTarget = targetViews.filter(view => !sourceMap.has(view.name)).map(view => view.name);
+    const differences = [];
+
+    for (const [viewName, sourceView] of sourceMap) {
+      const targetView = targetMap.get(viewName);
+      if (!targetView) continue;
+
+      if (sourceView.materialized !== targetView.materialized) {
+        differences.push({
+          viewName,
+          kind: 'VIEW_TYPE',
+          difference: `View type difference: ${this.viewType(sourceView)} vs ${this.viewType(targetView)}`,
+          sourceView,
+          targetView
+        });
+        continue;
+      }
+
+      if (this.normalizeDefinition(sourceView.definition) !== this.normalizeDefinition(targetView.definition)) {
+        differences.push({
+          viewName,
+          kind: 'DEFINITION_CHANGED',
+          difference: `${this.viewType(sourceView)} definition changed`,
+          sourceView,
+          targetView
+        });
+      }
+
+      if (sourceView.materialized) {
+        const indexDifferences = this.tableComparator.compareIndexes(sourceView.indexes || [], targetView.indexes || []);
+        for (const indexDiff of indexDifferences) {
+          differences.push({
+            viewName,
+            kind: 'INDEX',
+            difference: `Index ${indexDiff.indexName}: ${indexDiff.difference}`,
+            indexDifference: indexDiff,
+            sourceView,
+            targetView
+          });
+        }
+      }
+    }
+
+    return { onlyInSource, onlyInTarget, differences };
+  }
+
+  /**
+   * Generate view queries for both directions in dependency order
+   * VIEW_IN_EDGE creates/replaces views in Edge from Cloud, VIEW_IN_CLOUD the reverse.
+   */
+  generateViewQueries(comparison, sourceViews, targetViews) {
+    const changedViews = new Set(
+      comparison.differences
+        .filter(diff => diff.kind !== 'INDEX')
+        .map(diff => diff.viewName)
+    );
+    const indexOnlyViews = new Set(
+      comparison.differences
+        .filter(diff => diff.kind === 'INDEX' && !changedViews.has(diff.viewName))
+        .map(diff => diff.viewName)
+    );
+
+    return [
+      ...this.buildDirectionQueries('VIEW_IN_EDGE', sourceViews, targetViews, comparison.onlyInSource, changedViews, indexOnlyViews, 'Cloud', 'Edge'),
+      ...this.buildDirectionQueries('VIEW_IN_CLOUD', targetViews, sourceViews, comparison.onlyInTarget, changedViews, indexOnlyViews, 'Edge', 'Cloud')
+    ];
+  }
+
+  /**
+   * Build queries for one direction from the desired side's views.
+   * Views of the current side that select from a view which is dropped and created
+   * again are dropped with it and recreated after it.
+   */
+  buildDirectionQueries(type, desiredViews, currentViews, missingNames, changedViews, indexOnlyViews, fromLabel, toLabel) {
+    const queries = [];
+    const desiredMap = new Map(desiredViews.map(view => [view.name, view]));
+    const currentMap = new Map(currentViews.map(view => [view.name, view]));
+
+    const droppedNames = desiredViews
+      .filter(view => changedViews.has(view.name) && this.requiresDrop(currentMap.get(view.name), view))
+      .map(view => view.name);
+    // Dependents missing on the desired side are recreated as they are
+    const rebuilt = this.findDependents(currentViews, droppedNames)
+      .filter(view => !changedViews.has(view.name))
+      .map(view => desiredMap.get(view.name) || view);
+    const rebuiltNames = new Set(rebuilt.map(view => view.name));
+    const selected = [
+      ...desiredViews.filter(view => !rebuiltNames.has(view.name) &&
+        (missingNames.includes(view.name) || changedViews.has(view.name) || indexOnlyViews.has(view.name))),
+      ...rebuilt
+    ];
+
+    for (const view of this.sortByDependencies(selected)) {
+      const missing = missingNames.includes(view.name);
+      const currentView = changedViews.has(view.name) ? currentMap.get(view.name) : null;
+      let sql;
+      if (currentView) {
+        const dependents = this.requiresDrop(currentView, view) ? this.findDependents(currentViews, [view.name]) : [];
+        sql = this.generateViewSQL(view, type, currentView, dependents);
+      } else if (indexOnlyViews.has(view.name) && !rebuiltNames.has(view.name)) {
+        sql = this.generateIndexSQL(view, type);
+      } else {
+        sql = this.generateViewSQL(view, type);
+      }
+
+      let description = `Replace ${view.name} ${this.viewType(view).toLowerCase()} in ${toLabel} with ${fromLabel} definition`;
+      if (missing) {
+        description = `Create ${view.name} ${this.viewType(view).toLowerCase()} from ${fromLabel} in ${toLabel}`;
+      } else if (rebuiltNames.has(view.name)) {
+        description = `Recreate ${view.name} ${this.viewType(view).toLowerCase()} in ${toLabel} after the views it selects from were recreated`;
+      }
+
+      queries.push({
+        type,
+        objectType: view.materialized ? 'materialized view' : 'view',
+        objectName: view.name,
+        sql,
+        additive: missing,
+        description
+      });
+    }
+
+    return queries;
+  }
+
+  /**
+   * Generate CREATE OR REPLACE VIEW / CREATE MATERIALIZED VIEW SQL.
+   * Materialized views cannot be replaced, and a view can only be replaced while it
+   * keeps its output columns, otherwise the current view is dropped and created again.
+   * The views selecting from it (dependents) would block the DROP, they are dropped first.
+   * @param {object|null} currentView - The view as it is on the side being changed
+   * @param {object[]} dependents - Views of that side built on this one
+   */
+  generateViewSQL(view, queryType, currentView = null, dependents = []) {
+    const definition = view.definition.trim().replace(/;$/, '');
+    const viewName = this.formatName(view);
+    let sql = `-- ${queryType} - ${this.viewType(view)} ${view.name}\n`;
+
+    for (const dependent of this.sortByDependencies(dependents).reverse()) {
+      sql += this.formatDrop(dependent);
+    }
+
+    if (view.materialized) {
+      sql += currentView ? this.formatDrop(currentView) : `DROP MATERIALIZED VIEW IF EXISTS ${viewName};\n`;
+      sql += `CREATE MATERIALIZED VIEW ${viewName} AS\n${definition};\n`;
+      for (const index of view.indexes || []) {
+        sql += `${this.formatCreateIndex(view, index)}\n`;
+      }
+    } else {
+      if (this.requiresDrop(currentView, view)) {
+        sql += this.formatDrop(currentView);
+      }
+      sql += `CREATE OR REPLACE VIEW ${viewName} AS\n${definition};\n`;
+    }
+
+    return `${sql}\n`;
+  }
+
+  /**
+   * Whether the current view has to be dropped before the desired one is created.
+   * CREATE OR REPLACE VIEW only adds output columns at the end; views read without
+   * their columns (older snapshots) are assumed to keep them.
+   */
+  requiresDrop(currentView, view) {
+    if (!currentView) return false;
+    if (currentView.materialized || view.materialized) return true;
+    if (!currentView.columns || !view.columns) return false;
+
+    return !currentView.columns.every((column, i) =>
+      view.columns[i] && view.columns[i].name === column.name && view.columns[i].dataType === column.dataType
+    );
+  }
+
+  /**
+   * Views that select from the given views, directly or through other views
+   */
+  findDependents(views, names) {
+    const found = new Set();
+    let selectedFrom = new Set(names);
+
+    while (selectedFrom.size > 0) {
+      const next = new Set();
+      for (const view of views) {
+        if (found.has(view.name) || names.includes(view.name)) continue;
+        if ((view.dependsOn || []).some(dependency => selectedFrom.has(dependency))) {
+          found.add(view.name);
+          next.add(view.name);
+        }
+      }
+      selectedFrom = next;
+    }
+
+    return views.filter(view => found.has(view.name));
+  }
+
+  /**
+   * DROP statement matching the type of a view
+   */
+  formatDrop(view) {
+    return `DROP ${view.materialized ? 'MATERIALIZED VIEW' : 'VIEW'} IF EXISTS ${this.formatName(view)};\n`;
+  }
+
+  /**
+   * Generate SQL that recreates the indexes of a materialized view
+   */
+  generateIndexSQL(view, queryType) {
+    let sql = `-- ${queryType} - Indexes of materialized view ${view.name}\n`;
+    for (const index of view.indexes || []) {
+      sql += `DROP INDEX IF EXISTS ${qualifyName(view.schema, index.name)};\n`;
+      sql += `${this.formatCreateIndex(view, index)}\n`;
+    }
+    return `${sql}\n`;
+  }
+
+  /**
+   * CREATE INDEX statement for an index of a materialized view
+   */
+  formatCreateIndex(view, index) {
+    return this.tableComparator.migrationGenerator.formatCreateIndex(index, view.viewName || view.name, view.schema);
+  }
+
+  /**
+   * Quoted, schema-qualified view name
+   */
+  formatName(view) {
+    return qualifyName(view.schema, view.viewName || view.name);
+  }
+
+  /**
+   * Sort views so that views used by other views come first.
+   * Dependencies outside of the given list are assumed to exist already.
+   */
+  sortByDependencies(views) {
+    const viewMap = new Map(views.map(view => [view.name, view]));
+    const graph = new DependencyGraph();
+
+    views.forEach(view => graph.addNode(view.name));
+    for (const view of views) {
+      for (const dependency of view.dependsOn || []) {
+        graph.addDependency(view.name, dependency);
+      }
+    }
+
+    return graph.sort().order.map(name => viewMap.get(name));
+  }
+
+  /**
+   * Normalize view definition for comparison
+   */
+  normalizeDefinition(definition) {
+    return String(definition || '').replace(/\s+/g, ' ').replace(/;\s*$/, '').trim();
+  }
+
+  /**
+   * Human readable view type
+   */
+  viewType(view) {
+    return view.materialized ? 'Materialized view' : 'View';
+  }
+}